@@ -7,9 +7,19 @@
  * Google Apps Script will automatically request these permissions when you run the script
  * 
  * @scope https://www.googleapis.com/auth/admin.directory.group.readonly
+ * @scope https://www.googleapis.com/auth/admin.directory.group (only if CLEANUP_ENABLED)
+ * @scope https://www.googleapis.com/auth/admin.reports.audit.readonly
  * @scope https://www.googleapis.com/auth/admin.directory.group.member.readonly
+ * @scope https://www.googleapis.com/auth/admin.directory.group.member (only if REMEDIATION_ENABLED)
+ * @scope https://www.googleapis.com/auth/admin.directory.user.readonly
+ * @scope https://www.googleapis.com/auth/admin.directory.domain.readonly
+ * @scope https://www.googleapis.com/auth/apps.groups.settings (only if CLEANUP_ENABLED or AUDIT_EXTERNAL_MEMBERS)
  * @scope https://www.googleapis.com/auth/spreadsheets
+ * @scope https://www.googleapis.com/auth/drive
  * @scope https://www.googleapis.com/auth/script.scriptapp
+ * @scope https://www.googleapis.com/auth/script.external_request
+ * @scope https://www.googleapis.com/auth/cloud-identity.groups.readonly (only if AUDIT_SECURITY_GROUPS)
+ * @scope https://www.googleapis.com/auth/admin.directory.customer.readonly (only if AUDIT_SECURITY_GROUPS)
  */
 
 /**
@@ -21,9 +31,24 @@
  * 
  * How It Works:
  * - Processes groups in batches of 500 (configurable)
+ * - Fetches OWNER/MANAGER members of many groups at once (see "Groups Member Fetcher.js")
  * - Uses Script Properties to track progress between runs
+ *   (or a hidden sheet / Drive file for large tenants, see "Groups Checkpoint Store.js")
  * - Can be run manually multiple times or scheduled with triggers
+ * - The auto-batch trigger removes itself when the audit completes or stalls
  * - Combines all results into a single spreadsheet
+ * - Optionally expands nested groups to find the real owners (see "Groups Membership Resolver.js")
+ * - Optionally ignores suspended, deleted and long-inactive owners (see "Groups Owner Activity.js")
+ * - Optionally assigns an OWNER to orphaned groups (see "Groups Remediation.js")
+ * - Compares each completed audit with the previous one (see "Groups Audit History.js")
+ * - Optionally asks people in orphaned groups to nominate an owner (see "Groups Owner Nomination.js")
+ * - Detects empty/abandoned groups and can clean them up in stages (see "Groups Cleanup.js")
+ * - Optionally reports external members and external owners (see "Groups External Members.js")
+ * - Optionally finds duplicate/overlapping groups (see "Groups Duplicate Detection.js")
+ * - Optionally checks security groups' owners and lists dynamic group queries and locked groups (see "Groups Security Labels.js")
+ * - Optionally checks group names and descriptions against a policy (see "Groups Naming Policy.js")
+ * - Backs up and restores group memberships (see "Groups Membership Backup.js")
+ * - Escalates groups whose owners missed the ownership attestation deadline (see "Groups Ownership Attestation.js")
  * 
  * Prerequisites:
  * - Enable "Admin SDK API" in Apps Script Services.
@@ -34,9 +59,39 @@
 const CONFIG = {
     // Batch processing settings
     BATCH_SIZE: 500,            // Process 500 groups per run (adjust based on your needs)
-    DELAY_BETWEEN_GROUPS: 100,  // Milliseconds delay between group checks
+    FETCH_CONCURRENCY: 25,      // Groups whose members are fetched in one concurrent round
+    DELAY_BETWEEN_GROUPS: 100,  // Milliseconds delay between fetch rounds (and between settings checks)
     MAX_EXECUTION_TIME: 300,    // Maximum execution time in seconds (5 minutes)
 
+    // Nested group settings (requires "Groups Membership Resolver.js" in the same project)
+    RESOLVE_NESTED_GROUPS: false, // Expand nested groups so only active people count as owners/managers
+    MAX_NESTING_DEPTH: 10,      // Stop expanding nested groups beyond this depth
+
+    // Owner activity settings (requires "Groups Owner Activity.js" in the same project)
+    CHECK_OWNER_ACTIVITY: false, // Don't count suspended, archived, deleted or inactive owners/managers
+    OWNER_INACTIVITY_DAYS: 180, // Owners/managers without a login for this many days don't count
+
+    // Audit scope - leave all empty to audit every group in the customer
+    AUDIT_DOMAIN: '',           // Only groups in this domain, e.g. 'sales.example.com'
+    AUDIT_QUERY: '',            // Directory API groups query, e.g. "email:proj-*" or "name:'Finance*'"
+    INCLUDE_PATTERNS: [],       // Regexes on the group email - only matching groups are audited
+    EXCLUDE_PATTERNS: [],       // Regexes on the group email - matching groups are skipped (wins over INCLUDE)
+
+    // Checkpoint settings - where groupsCache and auditResults are kept between runs
+    // 'PROPERTIES' = Script Properties (default, fine for small tenants - ~9 KB per value)
+    // 'SHEET' or 'DRIVE' = hidden sheet / Drive JSON file (requires "Groups Checkpoint Store.js")
+    CHECKPOINT_STORE: 'PROPERTIES',
+    CHECKPOINT_SPREADSHEET_ID: '', // SHEET store: leave empty to create a dedicated spreadsheet
+    CHECKPOINT_FOLDER_ID: '',   // DRIVE store: leave empty for My Drive
+    GROUPS_CACHE_MAX_AGE_HOURS: 24, // Re-fetch the groups list (and reconcile changes) after this many hours
+
+    // Trigger lifecycle
+    STALL_THRESHOLD: 3,         // Stop the auto-batch trigger and alert admins after this many runs without progress
+    AUDIT_SCHEDULE: 'NONE',     // When to start a fresh audit cycle: 'WEEKLY', 'MONTHLY' or 'NONE'
+    AUDIT_SCHEDULE_WEEKDAY: 'MONDAY', // WEEKLY: day of the week
+    AUDIT_SCHEDULE_MONTH_DAY: 1, // MONTHLY: day of the month (1-28)
+    AUDIT_SCHEDULE_HOUR: 2,     // Hour of the day (script time zone)
+
     // Spreadsheet settings
     SPREADSHEET_ID: '',         // Leave empty to create new, or paste existing spreadsheet ID to append
 
@@ -44,7 +99,74 @@ const CONFIG = {
     EMAIL_RECIPIENTS: 'email1@example.com, email2@example.com',
     EMAIL_SUBJECT: 'Groups Without Owners/Managers Audit Report',
     SEND_EMAIL: false,          // Set to true to enable email notifications
-    EMAIL_ON_COMPLETE_ONLY: true // Only send email when entire audit is complete
+    EMAIL_ON_COMPLETE_ONLY: true, // Only send email when entire audit is complete
+
+    // Remediation settings (requires "Groups Remediation.js" in the same project)
+    REMEDIATION_ENABLED: false,     // Set to true to assign an OWNER to groups without one
+    REMEDIATION_DRY_RUN: true,      // Only report what would change - set to false to apply
+    PROMOTE_MANAGER_FIRST: true,    // Promote the most senior existing MANAGER before using the fallback
+    FALLBACK_OWNER_EMAIL: '',       // Owner added when no manager can be promoted (e.g. groups-admin@example.com)
+    NEW_OWNER_DRY_RUN: true,        // applyNewOwnersFromReport() only validates - set to false to assign owners
+
+    // Run-over-run history (requires "Groups Audit History.js" in the same project)
+    TRACK_HISTORY: true,            // Save a snapshot of each completed audit and compare with the previous one
+    SNAPSHOT_FOLDER_ID: '',         // Drive folder for snapshots - leave empty for My Drive
+    PERSISTENT_ORPHAN_AUDITS: 3,    // Flag groups that have had no OWNER for this many audits in a row
+
+    // Owner nomination emails (requires "Groups Owner Nomination.js" in the same project)
+    SEND_NOMINATION_EMAILS: false,  // Email managers (or top members) of groups without an OWNER after the final report
+    NOMINATION_TOP_MEMBERS: 3,      // Members to email when a group has no managers
+    NOMINATION_COOLDOWN_DAYS: 30,   // Don't email the same group again within this many days
+    MAX_NOMINATIONS_PER_RUN: 50,    // Safety limit of groups emailed per completed audit
+    NOMINATION_QUOTA_RESERVE: 10,   // MailApp daily quota to leave unused
+    NOMINATION_REPLY_TO: '',        // Where replies go - leave empty for the first EMAIL_RECIPIENTS address
+    NOMINATION_SUBJECT: 'Action needed: please nominate an owner for your group',
+
+    // External members (requires "Groups External Members.js" in the same project)
+    AUDIT_EXTERNAL_MEMBERS: false, // Fetch all members and report groups with external members/owners
+    CONSUMER_DOMAINS: ['gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com', 'icloud.com', 'aol.com'],
+
+    // Security, dynamic & locked groups (requires "Groups Security Labels.js" and the Cloud Identity API)
+    AUDIT_SECURITY_GROUPS: false, // Check security group owners and report dynamic group queries and locked groups
+    SECURITY_GROUP_MIN_OWNERS: 2, // Internal, active owners every security group needs
+
+    // Naming & description policy (requires "Groups Naming Policy.js" in the same project)
+    CHECK_NAMING_POLICY: false, // Report groups that break the rules below
+    NAMING_PATTERNS: {},        // Regex for the address (before @) per domain, '*' for all others, e.g. { '*': '^(team|proj|dl)-' }
+    REQUIRE_DESCRIPTION: true,  // Every group needs a description
+    MAX_MEMBERS_USER_CREATED: 0, // Max members of a group not created by an admin (0 = no limit)
+    FORBIDDEN_WORDS: [],        // Words not allowed in names/addresses, e.g. ['test', 'temp']
+
+    // Duplicate groups (requires "Groups Duplicate Detection.js" in the same project)
+    DETECT_DUPLICATE_GROUPS: false, // Fetch all members and report groups with overlapping memberships
+    DUPLICATE_JACCARD_THRESHOLD: 0.8, // Minimum share of common members (shared / combined) to report a pair
+    DUPLICATE_NAME_THRESHOLD: 0.6, // Name similarity (0-1) above which a pair is a merge candidate
+    DUPLICATE_MIN_MEMBERS: 3,   // Ignore groups with fewer members
+    DUPLICATE_MAX_PAIRS: 1000,  // Maximum pairs written to the Duplicates tab
+    DUPLICATE_MAX_GROUPS_PER_MEMBER: 500, // Members of more groups are not counted as shared (keeps pair counting fast)
+
+    // Ownership attestation (requires "Groups Ownership Attestation.js" and a web app deployment)
+    ATTESTATION_ENABLED: false, // Escalate missed attestation deadlines in the final report
+    ATTESTATION_DEADLINE_DAYS: 14, // Days owners have to answer
+    ATTESTATION_WEB_APP_URL: '', // Leave empty to use the current web app deployment
+    ATTESTATION_QUOTA_RESERVE: 10, // MailApp quota left untouched for other emails
+    ATTESTATION_SUBJECT: 'Action required: confirm you own this group',
+
+    // Membership backup & restore (requires "Groups Membership Backup.js" in the same project)
+    MEMBERSHIP_BACKUP_FOLDER_ID: '', // Drive folder for dated backups (empty = My Drive)
+    RESTORE_DRY_RUN: true,      // Restore only writes the diff - set to false to re-create members
+
+    // Empty & abandoned groups (requires "Groups Cleanup.js" in the same project)
+    DETECT_ABANDONED_GROUPS: false, // Flag empty groups, suspended-only groups and groups with no activity
+    ABANDONED_ACTIVITY_DAYS: 180,   // No Groups activity in the Reports API for this many days (max 180)
+    ABANDONED_SCAN_MAX_MEMBERS: 50, // Only list members of groups up to this size to check for suspended-only
+    CLEANUP_ENABLED: false,         // Move abandoned groups through the cleanup stages after the final report
+    CLEANUP_DRY_RUN: true,          // Only record what would happen - set to false to apply
+    CLEANUP_MAX_STAGE: 'LABELED',   // Furthest stage allowed: 'LABELED', 'ARCHIVED' or 'DELETED'
+    CLEANUP_STAGE_DAYS: 30,         // Minimum days between two stages for the same group
+    CLEANUP_MAX_PER_RUN: 25,        // Safety limit of cleanup actions per completed audit
+    CLEANUP_LABEL: '[ABANDONED - scheduled for cleanup]', // Prefix added to the description
+    CLEANUP_BACKUP_FOLDER_ID: ''    // Drive folder for membership backups before deletion - empty for My Drive
 };
 
 /**
@@ -57,14 +179,29 @@ function auditGroupsWithoutOwners() {
 
     Logger.log('=== BATCH PROCESSING GROUP OWNERSHIP AUDIT ===');
 
+    // Did the previous run move processedIndex forward?
+    if (isAuditStalled()) {
+        return;
+    }
+
+    if (CONFIG.REMEDIATION_ENABLED) {
+        Logger.log(`Remediation: ENABLED (${CONFIG.REMEDIATION_DRY_RUN ? 'DRY RUN' : 'LIVE'})`);
+    }
+
     // Get all groups (cached if available)
     const allGroups = getAllGroups();
-    const totalGroups = allGroups.length;
-    Logger.log(`Total groups in domain: ${totalGroups}`);
+    let totalGroups = allGroups.length;
+    Logger.log(`Total groups in scope: ${totalGroups}`);
+
+    // Groups activity from the Reports API (fetched once per audit)
+    const groupActivity = CONFIG.DETECT_ABANDONED_GROUPS ? getGroupActivity() : null;
+
+    // Security/dynamic labels from Cloud Identity (fetched once per audit)
+    const groupLabels = CONFIG.AUDIT_SECURITY_GROUPS ? getGroupLabels() : null;
 
     // Get current progress
     let processedIndex = parseInt(scriptProps.getProperty('processedIndex') || '0');
-    let allResults = JSON.parse(scriptProps.getProperty('auditResults') || '[]');
+    let allResults = loadCheckpoint('auditResults') || [];
 
     Logger.log(`Resuming from group ${processedIndex + 1}/${totalGroups}`);
     Logger.log(`Previously found ${allResults.length} groups with issues\n`);
@@ -79,7 +216,9 @@ function auditGroupsWithoutOwners() {
 
     // Process this batch
     let batchResults = [];
+    let batchMemberships = {};
     let currentIndex = 0;
+    let fetchedMembers = {};
 
     for (let i = 0; i < batchGroups.length; i++) {
         const group = batchGroups[i];
@@ -99,17 +238,100 @@ function auditGroupsWithoutOwners() {
             Logger.log(`Progress: ${currentIndex}/${batchGroups.length} (Overall: ${overallProgress}/${totalGroups}) - ${elapsedTime.toFixed(0)}s`);
         }
 
+        // Fetch OWNER/MANAGER members for the next round of groups in one go
+        if (i % CONFIG.FETCH_CONCURRENCY === 0) {
+            if (i > 0) {
+                Utilities.sleep(CONFIG.DELAY_BETWEEN_GROUPS);
+            }
+            const round = batchGroups.slice(i, i + CONFIG.FETCH_CONCURRENCY).map(g => g.email);
+            fetchedMembers = CONFIG.AUDIT_EXTERNAL_MEMBERS || CONFIG.DETECT_DUPLICATE_GROUPS
+                ? fetchGroupMembers(round)
+                : fetchPrivilegedMembers(round);
+        }
+
+        // Deleted since the groups list was fetched - nothing to report
+        if (fetchedMembers[group.email].notFound) {
+            Logger.log(`Skipping ${group.email}: group no longer exists`);
+            continue;
+        }
+
+        // A failed lookup says nothing about the owners - report it instead of treating the group as orphaned
+        if (fetchedMembers[group.email].error) {
+            batchResults.push({
+                groupName: group.name,
+                groupEmail: group.email,
+                description: group.description || 'N/A',
+                directMembersCount: group.directMembersCount || 0,
+                adminCreated: group.adminCreated || false,
+                hasOwner: null,
+                hasManager: null,
+                missingRoles: 'Unknown (fetch error)',
+                ownerEmails: [],
+                managerEmails: [],
+                abandonedReason: null,
+                fetchError: fetchedMembers[group.email].error,
+                remediationStatus: CONFIG.REMEDIATION_ENABLED ? 'SKIPPED' : undefined,
+                remediation: `Not audited: ${fetchedMembers[group.email].error}`
+            });
+            continue;
+        }
+
+        const groupMembers = fetchedMembers[group.email].members;
+
+        if (CONFIG.DETECT_DUPLICATE_GROUPS) {
+            recordGroupMembership(batchMemberships, group, groupMembers);
+        }
+
+        const owners = groupMembers.filter(m => m.role === 'OWNER');
+        const managers = groupMembers.filter(m => m.role === 'MANAGER');
+        const ownerEmails = owners.map(getMemberLabel);
+        const managerEmails = managers.map(getMemberLabel);
+
         // Check for both OWNER and MANAGER roles
-        const hasOwner = checkGroupHasRole(group.email, 'OWNER');
-        const hasManager = checkGroupHasRole(group.email, 'MANAGER');
+        let hasOwner, hasManager;
+        let ownerResolution = null;
+        let managerResolution = null;
+        let ownerActivity = null;
+        let managerActivity = null;
+
+        if (CONFIG.RESOLVE_NESTED_GROUPS) {
+            ownerResolution = resolveGroupRole(group.email, 'OWNER', owners);
+            managerResolution = resolveGroupRole(group.email, 'MANAGER', managers);
+            hasOwner = ownerResolution.effectiveUsers.length > 0;
+            hasManager = managerResolution.effectiveUsers.length > 0;
+        } else {
+            hasOwner = owners.length > 0;
+            hasManager = managers.length > 0;
+        }
 
-        // If missing either role, add to results
-        if (!hasOwner || !hasManager) {
+        // Only active accounts count as owners/managers
+        if (CONFIG.CHECK_OWNER_ACTIVITY) {
+            // Without nested resolution only direct user accounts are checked - groups and "All users in domain" still count
+            const ownerUsers = ownerResolution ? ownerResolution.effectiveUsers : getDirectUserEmails(owners);
+            const managerUsers = managerResolution ? managerResolution.effectiveUsers : getDirectUserEmails(managers);
+            ownerActivity = assessAccounts(ownerUsers);
+            managerActivity = assessAccounts(managerUsers);
+            hasOwner = ownerActivity.active.length > 0 || (!ownerResolution && owners.length > ownerUsers.length);
+            hasManager = managerActivity.active.length > 0 || (!managerResolution && managers.length > managerUsers.length);
+        }
+
+        const abandonedReason = groupActivity ? getAbandonedReason(group, groupActivity) : null;
+        const externalMembers = CONFIG.AUDIT_EXTERNAL_MEMBERS ? assessExternalMembers(group.email, groupMembers) : null;
+        const hasExternal = externalMembers && hasExternalMembers(externalMembers);
+        const policyViolations = CONFIG.CHECK_NAMING_POLICY ? evaluateNamingPolicy(group) : [];
+
+        // Owners that count: active (if checked), resolved through nested groups (if resolved)
+        const countedOwners = ownerActivity ? ownerActivity.active : (ownerResolution ? ownerResolution.effectiveUsers : ownerEmails);
+        const labelAssessment = groupLabels ? assessGroupLabels(group.email, groupLabels, countedOwners) : null;
+
+        // If missing either role (or abandoned, external members, policy violations,
+        // security/dynamic group), add to results
+        if (!hasOwner || !hasManager || abandonedReason || hasExternal || policyViolations.length > 0 || labelAssessment) {
             const missingRoles = [];
             if (!hasOwner) missingRoles.push('OWNER');
             if (!hasManager) missingRoles.push('MANAGER');
 
-            batchResults.push({
+            const result = {
                 groupName: group.name,
                 groupEmail: group.email,
                 description: group.description || 'N/A',
@@ -117,12 +339,57 @@ function auditGroupsWithoutOwners() {
                 adminCreated: group.adminCreated || false,
                 hasOwner: hasOwner,
                 hasManager: hasManager,
-                missingRoles: missingRoles.join(', ')
-            });
-        }
+                missingRoles: missingRoles.join(', ') || 'None',
+                ownerEmails: ownerEmails,
+                managerEmails: managerEmails,
+                abandonedReason: abandonedReason
+            };
+
+            if (ownerResolution) {
+                result.ownerResolution = describeResolution(ownerResolution);
+                result.managerResolution = describeResolution(managerResolution);
+                result.ownerOnlyInactiveNested = ownerResolution.status === 'INACTIVE';
+            }
+
+            if (labelAssessment) {
+                result.groupType = labelAssessment.type;
+                result.securityOwners = describeSecurityOwners(labelAssessment);
+                result.securityViolation = labelAssessment.securityViolation;
+                result.locked = labelAssessment.locked;
+                result.dynamicQuery = labelAssessment.queries.join(' | ');
+            }
+
+            if (CONFIG.CHECK_NAMING_POLICY) {
+                result.policyViolations = describePolicyViolations(policyViolations);
+                result.policyRuleIds = policyViolations.map(v => v.ruleId);
+            }
+
+            if (externalMembers) {
+                result.externalMembers = describeExternalMembers(externalMembers);
+                result.externalOwners = externalMembers.externalOwners;
+                result.externalPolicy = describeExternalPolicy(externalMembers);
+                result.externalNotAllowed = externalMembers.externalNotAllowed;
+            }
+
+            if (ownerActivity) {
+                result.inactiveOwners = describeInactiveAccounts(ownerActivity.inactive);
+                result.inactiveManagers = describeInactiveAccounts(managerActivity.inactive);
+                result.ownersAllInactive = ownerActivity.active.length === 0 && ownerActivity.inactive.length > 0;
+            }
 
-        // Add delay to avoid rate limiting
-        Utilities.sleep(CONFIG.DELAY_BETWEEN_GROUPS);
+            // Assign an owner right away so remediation shares the batch time limit
+            // Abandoned groups are cleanup candidates - don't give them a new owner
+            if (!hasOwner && CONFIG.REMEDIATION_ENABLED && abandonedReason) {
+                result.remediationStatus = 'SKIPPED';
+                result.remediation = `Skipped: abandoned group (${abandonedReason})`;
+            } else if (!hasOwner && CONFIG.REMEDIATION_ENABLED) {
+                const remediation = remediateOrphanedGroup(group.email);
+                result.remediationStatus = remediation.status;
+                result.remediation = remediation.detail;
+            }
+
+            batchResults.push(result);
+        }
     }
 
     // Combine with previous results
@@ -130,8 +397,11 @@ function auditGroupsWithoutOwners() {
     processedIndex = batchStart + currentIndex;
 
     // Save progress
+    saveCheckpoint('auditResults', allResults);
+    if (CONFIG.DETECT_DUPLICATE_GROUPS) {
+        saveCheckpoint('groupMemberships', Object.assign(loadCheckpoint('groupMemberships') || {}, batchMemberships));
+    }
     scriptProps.setProperty('processedIndex', processedIndex.toString());
-    scriptProps.setProperty('auditResults', JSON.stringify(allResults));
 
     const totalTime = ((new Date().getTime() - startTime) / 1000).toFixed(1);
     Logger.log(`\n=== BATCH COMPLETE ===`);
@@ -142,12 +412,54 @@ function auditGroupsWithoutOwners() {
 
     // Check if audit is complete
     if (processedIndex >= totalGroups) {
+        // Pick up groups created (and drop groups deleted) while the audit was running
+        const currentGroups = getAllGroups(true);
+        processedIndex = parseInt(scriptProps.getProperty('processedIndex'));
+
+        if (processedIndex < currentGroups.length) {
+            Logger.log(`🆕 ${currentGroups.length - processedIndex} groups were created during the audit.`);
+            Logger.log(`▶️ Run this function again to audit them before the final report.`);
+            return;
+        }
+
+        const currentEmails = new Set(currentGroups.map(g => g.email.toLowerCase()));
+        allResults = allResults.filter(r => currentEmails.has(r.groupEmail.toLowerCase()));
+        totalGroups = currentGroups.length;
+
         Logger.log('🎉 AUDIT COMPLETE! Generating final report...\n');
-        generateFinalReport(allResults, totalGroups);
+        const diff = CONFIG.TRACK_HISTORY ? compareWithLastSnapshot(allResults) : null;
+        generateFinalReport(allResults, totalGroups, diff);
+
+        if (CONFIG.DETECT_DUPLICATE_GROUPS) {
+            const memberships = loadCheckpoint('groupMemberships') || {};
+            Object.keys(memberships).forEach(email => {
+                if (!currentEmails.has(email)) delete memberships[email];
+            });
+            generateDuplicatesReport(findDuplicateGroups(memberships));
+        }
+
+        if (CONFIG.SEND_NOMINATION_EMAILS) {
+            sendOwnerNominationEmails(allResults.filter(g => !g.abandonedReason));
+        }
+
+        if (CONFIG.CLEANUP_ENABLED) {
+            runAbandonedGroupCleanup(allResults);
+        }
+
+        if (CONFIG.TRACK_HISTORY) {
+            saveAuditSnapshot(allResults, totalGroups);
+        }
 
         // Clear progress for next run
         scriptProps.deleteProperty('processedIndex');
-        scriptProps.deleteProperty('auditResults');
+        clearCheckpoint('auditResults');
+        clearCheckpoint('groupActivity');
+        clearCheckpoint('groupLabels');
+        clearCheckpoint('groupMemberships');
+        clearStallTracking();
+
+        // The audit is done - stop the auto-batch trigger so it doesn't start a new one
+        deleteBatchTriggers('auditGroupsWithoutOwners');
 
         Logger.log('✅ Progress cleared. Ready for next audit.');
     } else {
@@ -166,8 +478,12 @@ function auditGroupsWithoutOwners() {
 function resetAudit() {
     const scriptProps = PropertiesService.getScriptProperties();
     scriptProps.deleteProperty('processedIndex');
-    scriptProps.deleteProperty('auditResults');
-    scriptProps.deleteProperty('groupsCache');
+    clearCheckpoint('auditResults');
+    clearCheckpoint('groupsCache');
+    clearCheckpoint('groupActivity');
+    clearCheckpoint('groupLabels');
+    clearCheckpoint('groupMemberships');
+    clearStallTracking();
 
     Logger.log('✅ Audit progress reset. Run auditGroupsWithoutOwners() to start fresh.');
 }
@@ -178,7 +494,7 @@ function resetAudit() {
 function checkAuditProgress() {
     const scriptProps = PropertiesService.getScriptProperties();
     const processedIndex = parseInt(scriptProps.getProperty('processedIndex') || '0');
-    const allResults = JSON.parse(scriptProps.getProperty('auditResults') || '[]');
+    const allResults = loadCheckpoint('auditResults') || [];
 
     Logger.log('=== AUDIT PROGRESS ===');
 
@@ -203,34 +519,183 @@ function checkAuditProgress() {
  * This will run the audit every 10 minutes until complete
  */
 function createAutoBatchTrigger() {
+    createBatchTrigger('auditGroupsWithoutOwners');
+    Logger.log('Run deleteAutoBatchTrigger() to stop automatic processing.');
+}
+
+/**
+ * DELETE TRIGGER - Stop automatic batch processing
+ */
+function deleteAutoBatchTrigger() {
+    deleteBatchTriggers('auditGroupsWithoutOwners');
+}
+
+/**
+ * CREATE SCHEDULE - Start a fresh audit cycle on CONFIG.AUDIT_SCHEDULE
+ * (the cycle then runs with the auto-batch trigger until complete)
+ */
+function createAuditScheduleTrigger() {
+    deleteAuditScheduleTrigger();
+
+    const builder = ScriptApp.newTrigger('startScheduledAudit').timeBased();
+
+    switch (CONFIG.AUDIT_SCHEDULE) {
+        case 'WEEKLY':
+            builder.onWeekDay(ScriptApp.WeekDay[CONFIG.AUDIT_SCHEDULE_WEEKDAY]).atHour(CONFIG.AUDIT_SCHEDULE_HOUR).create();
+            Logger.log(`✅ Audit scheduled every ${CONFIG.AUDIT_SCHEDULE_WEEKDAY} at ${CONFIG.AUDIT_SCHEDULE_HOUR}:00.`);
+            break;
+        case 'MONTHLY':
+            builder.onMonthDay(CONFIG.AUDIT_SCHEDULE_MONTH_DAY).atHour(CONFIG.AUDIT_SCHEDULE_HOUR).create();
+            Logger.log(`✅ Audit scheduled on day ${CONFIG.AUDIT_SCHEDULE_MONTH_DAY} of every month at ${CONFIG.AUDIT_SCHEDULE_HOUR}:00.`);
+            break;
+        default:
+            Logger.log('AUDIT_SCHEDULE is NONE - no schedule created. Set it to WEEKLY or MONTHLY.');
+    }
+}
+
+/**
+ * DELETE SCHEDULE - Stop starting new audit cycles automatically
+ */
+function deleteAuditScheduleTrigger() {
+    ScriptApp.getProjectTriggers().forEach(trigger => {
+        if (trigger.getHandlerFunction() === 'startScheduledAudit') {
+            ScriptApp.deleteTrigger(trigger);
+        }
+    });
+}
+
+/**
+ * Scheduled handler - starts a fresh audit cycle unless one is still running
+ */
+function startScheduledAudit() {
+    const scriptProps = PropertiesService.getScriptProperties();
+
+    if (scriptProps.getProperty('processedIndex')) {
+        Logger.log('⚠️ Previous audit is still in progress - not starting a new cycle.');
+        return;
+    }
+
+    Logger.log('=== STARTING SCHEDULED AUDIT CYCLE ===');
+
+    // A new cycle should see groups created or deleted since the last one
+    getAllGroups(true);
+    clearStallTracking();
+
+    createBatchTrigger('auditGroupsWithoutOwners');
+    auditGroupsWithoutOwners();
+}
+
+/**
+ * Stall detection - called at the start of every run.
+ * Counts consecutive runs that started at the same processedIndex (the previous run
+ * crashed or saved nothing). After CONFIG.STALL_THRESHOLD such runs, the auto-batch
+ * trigger is removed and the admins are alerted. Returns true if the audit is stalled.
+ */
+function isAuditStalled() {
+    const scriptProps = PropertiesService.getScriptProperties();
+    const processedIndex = scriptProps.getProperty('processedIndex') || '0';
+    const lastRunStartIndex = scriptProps.getProperty('lastRunStartIndex');
+
+    let stallCount = parseInt(scriptProps.getProperty('stallCount') || '0');
+    stallCount = lastRunStartIndex === processedIndex ? stallCount + 1 : 0;
+
+    scriptProps.setProperty('lastRunStartIndex', processedIndex);
+    scriptProps.setProperty('stallCount', stallCount.toString());
+
+    if (stallCount === 0) {
+        return false;
+    }
+
+    Logger.log(`⚠️ No progress since the previous run (still at group ${processedIndex}). Stalled runs: ${stallCount}/${CONFIG.STALL_THRESHOLD}`);
+
+    if (stallCount < CONFIG.STALL_THRESHOLD) {
+        return false;
+    }
+
+    Logger.log('❌ Audit is stalled. Removing the auto-batch trigger and alerting admins.');
+    deleteBatchTriggers('auditGroupsWithoutOwners');
+    sendStallAlert(processedIndex, stallCount);
+
+    // Let a manual run try again without being blocked
+    clearStallTracking();
+
+    return true;
+}
+
+/**
+ * Clears the stall detection state
+ */
+function clearStallTracking() {
+    const scriptProps = PropertiesService.getScriptProperties();
+    scriptProps.deleteProperty('lastRunStartIndex');
+    scriptProps.deleteProperty('stallCount');
+}
+
+/**
+ * Emails the admins that the audit stopped making progress
+ */
+function sendStallAlert(processedIndex, stallCount) {
+    if (!CONFIG.EMAIL_RECIPIENTS) {
+        return;
+    }
+
+    try {
+        const plainBody = `
+Groups Audit STALLED
+====================
+
+The groups audit made no progress in ${stallCount} consecutive runs.
+It is stuck at group ${processedIndex}.
+
+The auto-batch trigger has been removed. Check the execution logs in Apps Script
+for errors, then run auditGroupsWithoutOwners() manually or createAutoBatchTrigger()
+to resume. Run resetAudit() to start over.
+    `;
+
+        MailApp.sendEmail({
+            to: CONFIG.EMAIL_RECIPIENTS,
+            subject: `⚠️ STALLED: ${CONFIG.EMAIL_SUBJECT}`,
+            body: plainBody
+        });
+
+        Logger.log(`📧 Stall alert sent to: ${CONFIG.EMAIL_RECIPIENTS}`);
+    } catch (e) {
+        Logger.log(`Error sending stall alert: ${e.message}`);
+    }
+}
+
+/**
+ * Creates a trigger that runs the given batch function every 10 minutes
+ * (replacing any existing trigger for the same function)
+ */
+function createBatchTrigger(handlerFunction) {
     // Delete existing triggers first
     const triggers = ScriptApp.getProjectTriggers();
     triggers.forEach(trigger => {
-        if (trigger.getHandlerFunction() === 'auditGroupsWithoutOwners') {
+        if (trigger.getHandlerFunction() === handlerFunction) {
             ScriptApp.deleteTrigger(trigger);
         }
     });
 
     // Create new trigger - runs every 10 minutes
-    ScriptApp.newTrigger('auditGroupsWithoutOwners')
+    ScriptApp.newTrigger(handlerFunction)
         .timeBased()
         .everyMinutes(10)
         .create();
 
-    Logger.log('✅ Auto-batch trigger created!');
+    Logger.log(`✅ Auto-batch trigger created for ${handlerFunction}()!`);
     Logger.log('The audit will run automatically every 10 minutes until complete.');
-    Logger.log('Run deleteAutoBatchTrigger() to stop automatic processing.');
 }
 
 /**
- * DELETE TRIGGER - Stop automatic batch processing
+ * Deletes all triggers for the given batch function
  */
-function deleteAutoBatchTrigger() {
+function deleteBatchTriggers(handlerFunction) {
     const triggers = ScriptApp.getProjectTriggers();
     let deleted = 0;
 
     triggers.forEach(trigger => {
-        if (trigger.getHandlerFunction() === 'auditGroupsWithoutOwners') {
+        if (trigger.getHandlerFunction() === handlerFunction) {
             ScriptApp.deleteTrigger(trigger);
             deleted++;
         }
@@ -240,93 +705,352 @@ function deleteAutoBatchTrigger() {
 }
 
 /**
- * Fetches all groups in the domain (with caching)
+ * Script Properties holding a position in the cached groups list
+ */
+const GROUPS_INDEX_PROPERTIES = ['processedIndex', 'settingsProcessedIndex', 'attestationIndex', 'backupIndex'];
+
+/**
+ * Per-execution cache of the customer's domains (see getVerifiedDomains)
  */
-function getAllGroups() {
+let verifiedDomainsCache = null;
+
+/**
+ * Checkpoint store for the current execution (see CONFIG.CHECKPOINT_STORE)
+ */
+let checkpointStore = null;
+
+/**
+ * Returns the configured checkpoint store.
+ * Every store has load(key), save(key, value) and remove(key) for JSON-serializable values.
+ */
+function getCheckpointStore() {
+    if (checkpointStore) {
+        return checkpointStore;
+    }
+
+    switch (CONFIG.CHECKPOINT_STORE) {
+        case 'SHEET':
+            checkpointStore = createSheetCheckpointStore();
+            break;
+        case 'DRIVE':
+            checkpointStore = createDriveCheckpointStore();
+            break;
+        default:
+            checkpointStore = createPropertiesCheckpointStore();
+    }
+
+    return checkpointStore;
+}
+
+/**
+ * Default store - JSON strings in Script Properties
+ */
+function createPropertiesCheckpointStore() {
     const scriptProps = PropertiesService.getScriptProperties();
 
-    // Try to get from cache first
-    const cachedGroups = scriptProps.getProperty('groupsCache');
-    if (cachedGroups) {
-        Logger.log('Using cached groups list...');
-        return JSON.parse(cachedGroups);
+    return {
+        load: key => {
+            const value = scriptProps.getProperty(key);
+            return value ? JSON.parse(value) : null;
+        },
+        save: (key, value) => scriptProps.setProperty(key, JSON.stringify(value)),
+        remove: key => scriptProps.deleteProperty(key)
+    };
+}
+
+/**
+ * Loads a checkpoint value, or null if nothing is saved
+ */
+function loadCheckpoint(key) {
+    return getCheckpointStore().load(key);
+}
+
+/**
+ * Saves a checkpoint value
+ */
+function saveCheckpoint(key, value) {
+    getCheckpointStore().save(key, value);
+}
+
+/**
+ * Deletes a checkpoint value
+ */
+function clearCheckpoint(key) {
+    getCheckpointStore().remove(key);
+}
+
+/**
+ * Returns all groups in the domain.
+ * The list is cached as { fetchedAt, complete, groups } and re-fetched after
+ * CONFIG.GROUPS_CACHE_MAX_AGE_HOURS (or when forceRefresh is true). While an audit
+ * is in progress the fresh list is reconciled with the cached one, see reconcileGroupsList().
+ */
+function getAllGroups(forceRefresh) {
+    const cache = loadCheckpoint('groupsCache');
+
+    // Lists cached before the timestamp was added, or for another scope, count as expired
+    if (cache && cache.complete && cache.scope === describeAuditScope() && !forceRefresh) {
+        const ageHours = (new Date().getTime() - new Date(cache.fetchedAt).getTime()) / (60 * 60 * 1000);
+
+        if (ageHours < CONFIG.GROUPS_CACHE_MAX_AGE_HOURS) {
+            Logger.log(`Using cached groups list (${ageHours.toFixed(1)} hours old)...`);
+            return cache.groups;
+        }
+
+        Logger.log(`Cached groups list is ${ageHours.toFixed(1)} hours old - refreshing...`);
     }
 
-    Logger.log('Fetching all groups from Admin Directory API...');
+    const groups = fetchGroupsList();
+    const previous = cache ? (Array.isArray(cache) ? cache : cache.groups) : null;
+    const list = previous && isGroupsAuditInProgress() ? reconcileGroupsList(previous, groups) : groups;
+
+    saveCheckpoint('groupsCache', {
+        fetchedAt: new Date().toISOString(),
+        complete: true,
+        scope: describeAuditScope(),
+        groups: list
+    });
+    Logger.log(`Fetched and cached ${list.length} groups.`);
+
+    return list;
+}
+
+/**
+ * Fetches the complete groups list from the Directory API.
+ * Failed pages are retried; if a page still fails, this throws instead of
+ * returning a partial list, so an audit never starts from missing groups.
+ */
+function fetchGroupsList() {
+    Logger.log(`Fetching groups from Admin Directory API (scope: ${describeAuditScope()})...`);
     const groups = [];
     let pageToken;
+    let attempt = 0;
+
+    while (true) {
+        let response;
 
-    do {
         try {
-            const response = AdminDirectory.Groups.list({
-                customer: 'my_customer',
+            const options = {
                 maxResults: 200,
                 pageToken: pageToken
-            });
+            };
+            if (CONFIG.AUDIT_DOMAIN) {
+                options.domain = CONFIG.AUDIT_DOMAIN;
+            } else {
+                options.customer = 'my_customer';
+            }
+            if (CONFIG.AUDIT_QUERY) {
+                options.query = CONFIG.AUDIT_QUERY;
+            }
 
-            if (response.groups) {
-                groups.push(...response.groups);
+            response = AdminDirectory.Groups.list(options);
+        } catch (e) {
+            if (attempt >= FETCH_MAX_RETRIES) {
+                throw new Error(`Groups list incomplete (${groups.length} groups fetched): ${e.message}`);
             }
 
-            pageToken = response.nextPageToken;
+            attempt++;
+            Logger.log(`Error fetching groups (attempt ${attempt}/${FETCH_MAX_RETRIES}): ${e.message}`);
+            Utilities.sleep(1000 * Math.pow(2, attempt - 1));
+            continue;
+        }
 
-            if (pageToken) {
-                Utilities.sleep(100);
-            }
-        } catch (e) {
-            Logger.log(`Error fetching groups: ${e.message}`);
+        attempt = 0;
+
+        if (response.groups) {
+            groups.push(...response.groups.filter(isGroupInScope));
+        }
+
+        pageToken = response.nextPageToken;
+        if (!pageToken) {
             break;
         }
-    } while (pageToken);
 
-    // Cache the groups list
-    scriptProps.setProperty('groupsCache', JSON.stringify(groups));
-    Logger.log(`Fetched and cached ${groups.length} groups.`);
+        Utilities.sleep(100);
+    }
 
     return groups;
 }
 
 /**
- * Checks if a group has at least one member with the specified role
+ * Applies CONFIG.INCLUDE_PATTERNS / EXCLUDE_PATTERNS to a group's email
  */
-function checkGroupHasRole(groupEmail, role) {
-    let pageToken;
+function isGroupInScope(group) {
+    const matches = pattern => new RegExp(pattern, 'i').test(group.email);
 
-    do {
-        try {
-            const response = AdminDirectory.Members.list(groupEmail, {
-                maxResults: 200,
-                pageToken: pageToken,
-                roles: role
-            });
+    if (CONFIG.EXCLUDE_PATTERNS.some(matches)) {
+        return false;
+    }
 
-            if (response.members && response.members.length > 0) {
-                return true;
-            }
+    return CONFIG.INCLUDE_PATTERNS.length === 0 || CONFIG.INCLUDE_PATTERNS.some(matches);
+}
 
-            pageToken = response.nextPageToken;
-        } catch (e) {
-            Logger.log(`Error checking members for ${groupEmail}: ${e.message}`);
-            return false;
+/**
+ * Human-readable audit scope for logs, the report header and the email
+ */
+function describeAuditScope() {
+    const parts = [];
+
+    if (CONFIG.AUDIT_DOMAIN) parts.push(`Domain: ${CONFIG.AUDIT_DOMAIN}`);
+    if (CONFIG.AUDIT_QUERY) parts.push(`Query: ${CONFIG.AUDIT_QUERY}`);
+    if (CONFIG.INCLUDE_PATTERNS.length > 0) parts.push(`Include: ${CONFIG.INCLUDE_PATTERNS.join(', ')}`);
+    if (CONFIG.EXCLUDE_PATTERNS.length > 0) parts.push(`Exclude: ${CONFIG.EXCLUDE_PATTERNS.join(', ')}`);
+
+    return parts.length > 0 ? parts.join(' | ') : 'All groups';
+}
+
+/**
+ * True while the ownership or settings audit is part-way through the groups list
+ */
+function isGroupsAuditInProgress() {
+    const scriptProps = PropertiesService.getScriptProperties();
+    return GROUPS_INDEX_PROPERTIES.some(name => parseInt(scriptProps.getProperty(name) || '0') > 0);
+}
+
+/**
+ * Merges a freshly fetched groups list into the cached one mid-audit:
+ * - groups keep their cached order, so processed groups stay in front of the index
+ * - deleted groups are dropped and every progress index is moved back to match
+ * - new groups are appended, so they are audited before the final report
+ */
+function reconcileGroupsList(previous, fresh) {
+    const scriptProps = PropertiesService.getScriptProperties();
+    const freshByEmail = {};
+    fresh.forEach(g => {
+        freshByEmail[g.email.toLowerCase()] = g;
+    });
+
+    const previousEmails = new Set(previous.map(g => g.email.toLowerCase()));
+    const isDeleted = g => !freshByEmail[g.email.toLowerCase()];
+
+    GROUPS_INDEX_PROPERTIES.forEach(name => {
+        const index = parseInt(scriptProps.getProperty(name) || '0');
+        const deletedBefore = previous.slice(0, index).filter(isDeleted).length;
+
+        if (deletedBefore > 0) {
+            scriptProps.setProperty(name, (index - deletedBefore).toString());
         }
-    } while (pageToken);
+    });
+
+    // Use the fresh group objects so names and member counts are current
+    const kept = previous.filter(g => !isDeleted(g)).map(g => freshByEmail[g.email.toLowerCase()]);
+    const added = fresh.filter(g => !previousEmails.has(g.email.toLowerCase()));
+
+    Logger.log(`Groups list reconciled: ${added.length} created, ${previous.length - kept.length} deleted since the last fetch`);
+
+    return kept.concat(added);
+}
+
+/**
+ * Resolves a role through nested groups, starting from the already fetched role holders.
+ * On API errors, returns an empty resolution (the group counts as missing the role).
+ */
+function resolveGroupRole(groupEmail, role, roleHolders) {
+    try {
+        return resolveRoleHolders(groupEmail, role, roleHolders);
+    } catch (e) {
+        Logger.log(`Error resolving ${role} for ${groupEmail}: ${e.message}`);
+        return {
+            status: 'NONE',
+            directUsers: [],
+            inactiveUsers: [],
+            nestedGroups: [],
+            effectiveUsers: [],
+            cycles: [],
+            unresolvedGroups: []
+        };
+    }
+}
+
+/**
+ * Email of a fetched member, or a readable label for the CUSTOMER member ("all users in the domain")
+ */
+function getMemberLabel(member) {
+    if (member.type === 'CUSTOMER') {
+        return 'All users in domain';
+    }
+    return (member.email || member.id).toLowerCase();
+}
+
+/**
+ * Emails of the members that are user accounts (not groups or the CUSTOMER member)
+ */
+function getDirectUserEmails(members) {
+    return members.filter(m => m.type === 'USER' && m.email).map(m => m.email.toLowerCase());
+}
+
+/**
+ * Escapes text for use in HTML
+ */
+function escapeHtml(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Checks if an email belongs to one of our domains (or is the CUSTOMER member label)
+ */
+function isInternalEmail(email) {
+    if (email.indexOf('@') === -1) {
+        return true;
+    }
+    return getVerifiedDomains().indexOf(email.split('@')[1].toLowerCase()) !== -1;
+}
 
-    return false;
+/**
+ * Report text for a list of owner/manager emails, e.g. "a@example.com (Internal), b@gmail.com (External)"
+ */
+function describeMemberList(emails) {
+    if (!emails || emails.length === 0) {
+        return 'None';
+    }
+    return emails.map(email => `${email} (${isInternalEmail(email) ? 'Internal' : 'External'})`).join(', ');
+}
+
+/**
+ * Returns all domain names (and aliases) of the customer, lowercased
+ */
+function getVerifiedDomains() {
+    if (verifiedDomainsCache) {
+        return verifiedDomainsCache;
+    }
+
+    const domains = [];
+
+    try {
+        const response = AdminDirectory.Domains.list('my_customer');
+
+        (response.domains || []).forEach(domain => {
+            domains.push(domain.domainName.toLowerCase());
+            (domain.domainAliases || []).forEach(alias => domains.push(alias.domainAliasName.toLowerCase()));
+        });
+    } catch (e) {
+        Logger.log(`Error fetching domains: ${e.message}`);
+    }
+
+    verifiedDomainsCache = domains;
+    return domains;
 }
 
 /**
  * Generates the final report when audit is complete
  */
-function generateFinalReport(groups, totalGroupsScanned) {
+function generateFinalReport(groups, totalGroupsScanned, diff) {
     const timestamp = Utilities.formatDate(new Date(), 'GMT', 'yyyy-MM-dd HH:mm:ss');
 
+    // Without labels no group can be told apart from a standard group (see getGroupLabels)
+    const labelsUnavailable = CONFIG.AUDIT_SECURITY_GROUPS && !!(loadCheckpoint('groupLabels') || {})._unavailable;
+
     let ss, sheet;
 
     // Use existing spreadsheet or create new one
     if (CONFIG.SPREADSHEET_ID) {
         try {
             ss = SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID);
-            sheet = ss.getActiveSheet();
+            sheet = ss.getSheets()[0]; // Report always lives on the first tab
             sheet.clear(); // Clear existing data
             Logger.log('Using existing spreadsheet...');
         } catch (e) {
@@ -339,17 +1063,76 @@ function generateFinalReport(groups, totalGroupsScanned) {
         sheet = ss.getActiveSheet();
     }
 
+    // Remember the report so other audits (e.g. settings) can add their tabs next to it
+    PropertiesService.getScriptProperties().setProperty('reportSpreadsheetId', ss.getId());
+
     // Add summary rows
     sheet.appendRow(['GROUPS WITHOUT OWNERS/MANAGERS - AUDIT REPORT']);
     sheet.appendRow([`Generated: ${timestamp}`]);
+    sheet.appendRow([`Scope: ${describeAuditScope()}`]);
     sheet.appendRow([`Total Groups Scanned: ${totalGroupsScanned}`]);
     sheet.appendRow([`Groups with Issues: ${groups.length}`]);
 
-    const noOwners = groups.filter(g => !g.hasOwner).length;
-    const noManagers = groups.filter(g => !g.hasManager).length;
-    const noBoth = groups.filter(g => !g.hasOwner && !g.hasManager).length;
+    // hasOwner/hasManager are null for groups whose members couldn't be fetched
+    const noOwners = groups.filter(g => g.hasOwner === false).length;
+    const noManagers = groups.filter(g => g.hasManager === false).length;
+    const noBoth = groups.filter(g => g.hasOwner === false && g.hasManager === false).length;
+    const fetchErrors = groups.filter(g => g.fetchError).length;
+
+    sheet.appendRow([`No Owners: ${noOwners} | No Managers: ${noManagers} | Missing Both: ${noBoth} | Fetch Errors (not audited): ${fetchErrors}`]);
+
+    if (CONFIG.RESOLVE_NESTED_GROUPS) {
+        const inactiveNested = groups.filter(g => g.ownerOnlyInactiveNested).length;
+        sheet.appendRow([`Owners only via empty/inactive nested groups or suspended users: ${inactiveNested}`]);
+    }
+
+    if (CONFIG.DETECT_ABANDONED_GROUPS) {
+        const countReason = reason => groups.filter(g => g.abandonedReason === reason).length;
+        sheet.appendRow([`Abandoned Groups: Empty: ${countReason('EMPTY')} | Suspended Members Only: ${countReason('SUSPENDED_ONLY')} | No Activity (${CONFIG.ABANDONED_ACTIVITY_DAYS} days): ${countReason('NO_ACTIVITY')}`]);
+    }
+
+    if (CONFIG.CHECK_OWNER_ACTIVITY) {
+        const allInactive = groups.filter(g => g.ownersAllInactive).length;
+        sheet.appendRow([`Owners all suspended/deleted/inactive (${CONFIG.OWNER_INACTIVITY_DAYS}+ days): ${allInactive}`]);
+    }
+
+    if (CONFIG.AUDIT_EXTERNAL_MEMBERS) {
+        const withExternal = groups.filter(g => g.externalMembers && g.externalMembers !== 'None').length;
+        const externalOwned = groups.filter(g => g.externalOwners && g.externalOwners.length > 0).length;
+        const notAllowed = groups.filter(g => g.externalNotAllowed).length;
+        sheet.appendRow([`External: Groups with External Members: ${withExternal} | External Owners: ${externalOwned} | External Members Not Allowed: ${notAllowed}`]);
+    }
+
+    if (labelsUnavailable) {
+        sheet.appendRow(['Security/Dynamic/Locked Groups: Unavailable - group labels could not be fetched from Cloud Identity (see the log)']);
+    } else if (CONFIG.AUDIT_SECURITY_GROUPS) {
+        const securityGroups = groups.filter(g => g.groupType && g.groupType.indexOf('Security') !== -1).length;
+        const dynamicGroups = groups.filter(g => g.groupType && g.groupType.indexOf('Dynamic') !== -1).length;
+        const lockedGroups = groups.filter(g => g.locked).length;
+        const tooFewOwners = groups.filter(g => g.securityViolation).length;
+        sheet.appendRow([`Security Groups: ${securityGroups} (fewer than ${CONFIG.SECURITY_GROUP_MIN_OWNERS} internal owners: ${tooFewOwners}) | Dynamic Groups: ${dynamicGroups} | Locked Groups: ${lockedGroups}`]);
+    }
+
+    if (CONFIG.CHECK_NAMING_POLICY) {
+        const countRule = ruleId => groups.filter(g => (g.policyRuleIds || []).indexOf(ruleId) !== -1).length;
+        sheet.appendRow([`Naming Policy: Pattern: ${countRule('NAMING_PATTERN')} | No Description: ${countRule('MISSING_DESCRIPTION')} | Too Many Members: ${countRule('TOO_MANY_MEMBERS')} | Forbidden Words: ${countRule('FORBIDDEN_WORD')}`]);
+    }
+
+    if (CONFIG.REMEDIATION_ENABLED) {
+        const countStatus = status => groups.filter(g => g.remediationStatus === status).length;
+        const mode = CONFIG.REMEDIATION_DRY_RUN ? 'DRY RUN' : 'LIVE';
+        sheet.appendRow([`Remediation (${mode}): Fixed: ${countStatus('FIXED')} | Would Fix: ${countStatus('DRY_RUN')} | Skipped: ${countStatus('SKIPPED')} | Errors: ${countStatus('ERROR')}`]);
+    }
+
+    const overdueAttestations = CONFIG.ATTESTATION_ENABLED ? escalateOverdueAttestations() : null;
+    if (overdueAttestations) {
+        sheet.appendRow([`Ownership Attestation: ${overdueAttestations.length} groups missed the deadline (see the "Attestation" tab)`]);
+    }
+
+    if (diff) {
+        sheet.appendRow([`Since last audit (${diff.previousDate || 'none'}): Newly Orphaned: ${diff.newlyOrphaned.length} | Fixed: ${diff.fixed.length} | Removed: ${diff.removed.length} | Orphaned ${CONFIG.PERSISTENT_ORPHAN_AUDITS}+ Audits: ${diff.persistent.length}`]);
+    }
 
-    sheet.appendRow([`No Owners: ${noOwners} | No Managers: ${noManagers} | Missing Both: ${noBoth}`]);
     sheet.appendRow([]); // Empty row
 
     // Headers
@@ -361,9 +1144,31 @@ function generateFinalReport(groups, totalGroupsScanned) {
         'Has Owner?',
         'Has Manager?',
         'Missing Roles',
-        'Admin Created'
+        'Owner Count',
+        'Manager Count',
+        'Owners',
+        'Managers',
+        'Admin Created',
+        'Remediation',
+        'Owner Resolution',
+        'Manager Resolution',
+        'Inactive Owners',
+        'Inactive Managers',
+        'Orphaned History',
+        'Abandoned',
+        'External Members',
+        'External Owners',
+        'External Policy',
+        'Policy Violations',
+        'Group Type',
+        'Security Owners',
+        'Dynamic Query',
+        'Locked',
+        'New Owner',
+        'New Owner Status'
     ];
     sheet.appendRow(headers);
+    const headerRow = sheet.getLastRow();
 
     // Data
     if (groups.length > 0) {
@@ -372,34 +1177,55 @@ function generateFinalReport(groups, totalGroupsScanned) {
             group.groupEmail,
             group.description,
             group.directMembersCount,
-            group.hasOwner ? 'Yes' : 'No',
-            group.hasManager ? 'Yes' : 'No',
+            group.fetchError ? 'Fetch error' : (group.hasOwner ? 'Yes' : 'No'),
+            group.fetchError ? 'Fetch error' : (group.hasManager ? 'Yes' : 'No'),
             group.missingRoles,
-            group.adminCreated ? 'Yes' : 'No'
+            (group.ownerEmails || []).length,
+            (group.managerEmails || []).length,
+            describeMemberList(group.ownerEmails),
+            describeMemberList(group.managerEmails),
+            group.adminCreated ? 'Yes' : 'No',
+            group.remediation || (group.hasOwner ? 'N/A' : 'Not attempted'),
+            group.ownerResolution || 'N/A',
+            group.managerResolution || 'N/A',
+            group.inactiveOwners || 'N/A',
+            group.inactiveManagers || 'N/A',
+            diff ? describeOrphanedHistory(group) : 'N/A',
+            group.abandonedReason || 'No',
+            group.externalMembers || 'N/A',
+            group.externalOwners ? (group.externalOwners.join(', ') || 'None') : 'N/A',
+            group.externalPolicy || 'N/A',
+            group.policyViolations || 'N/A',
+            labelsUnavailable ? 'Unavailable' : (group.groupType || (CONFIG.AUDIT_SECURITY_GROUPS ? 'Standard' : 'N/A')),
+            labelsUnavailable ? 'Unavailable' : (group.securityOwners || 'N/A'),
+            labelsUnavailable ? 'Unavailable' : (group.dynamicQuery || 'N/A'),
+            labelsUnavailable ? 'Unavailable' : (CONFIG.AUDIT_SECURITY_GROUPS ? (group.locked ? 'Yes' : 'No') : 'N/A'),
+            '', // New Owner - filled in by hand, see applyNewOwnersFromReport()
+            ''
         ]);
 
-        sheet.getRange(7, 1, rows.length, headers.length).setValues(rows);
+        sheet.getRange(headerRow + 1, 1, rows.length, headers.length).setValues(rows);
     }
 
     // Format the sheet
     sheet.getRange(1, 1).setFontWeight('bold').setFontSize(14);
-    sheet.getRange(2, 1).setFontStyle('italic');
-    sheet.getRange(3, 1, 2, 1).setFontWeight('bold');
-    sheet.getRange(5, 1).setFontWeight('bold').setFontColor('#d93025');
+    sheet.getRange(2, 1, 2, 1).setFontStyle('italic');
+    sheet.getRange(4, 1, 2, 1).setFontWeight('bold');
+    sheet.getRange(6, 1).setFontWeight('bold').setFontColor('#d93025');
 
-    const headerRange = sheet.getRange(6, 1, 1, headers.length);
+    const headerRange = sheet.getRange(headerRow, 1, 1, headers.length);
     headerRange.setFontWeight('bold')
         .setBackground('#4285f4')
         .setFontColor('#ffffff')
         .setHorizontalAlignment('center');
 
-    sheet.setFrozenRows(6);
+    sheet.setFrozenRows(headerRow);
     sheet.autoResizeColumns(1, headers.length);
 
     // Conditional formatting
     if (groups.length > 0) {
-        const ownerRange = sheet.getRange(7, 5, groups.length, 1);
-        const managerRange = sheet.getRange(7, 6, groups.length, 1);
+        const ownerRange = sheet.getRange(headerRow + 1, 5, groups.length, 1);
+        const managerRange = sheet.getRange(headerRow + 1, 6, groups.length, 1);
 
         ownerRange.createTextFinder('No').matchEntireCell(true).findAll().forEach(cell => {
             cell.setFontColor('#d93025').setFontWeight('bold');
@@ -410,21 +1236,73 @@ function generateFinalReport(groups, totalGroupsScanned) {
         });
     }
 
+    if (diff) {
+        writeChangesSheet(ss, diff);
+    }
+
+    if (overdueAttestations) {
+        writeAttestationSheet(ss, overdueAttestations);
+    }
+
     const reportUrl = ss.getUrl();
     Logger.log(`\n📊 FINAL REPORT: ${reportUrl}`);
 
     // Send email if configured
     if (CONFIG.SEND_EMAIL && CONFIG.EMAIL_RECIPIENTS) {
-        sendEmailReport(reportUrl, groups.length, noOwners, noManagers, noBoth, totalGroupsScanned);
+        sendEmailReport(reportUrl, groups.length, noOwners, noManagers, noBoth, totalGroupsScanned, diff, overdueAttestations);
     }
 
     return reportUrl;
 }
 
+/**
+ * Opens the spreadsheet holding the ownership report.
+ * Uses CONFIG.SPREADSHEET_ID, then the last generated report, then creates a new one.
+ */
+function getReportSpreadsheet() {
+    const scriptProps = PropertiesService.getScriptProperties();
+    const reportId = CONFIG.SPREADSHEET_ID || scriptProps.getProperty('reportSpreadsheetId');
+
+    if (reportId) {
+        try {
+            return SpreadsheetApp.openById(reportId);
+        } catch (e) {
+            Logger.log(`Could not open report spreadsheet ${reportId}, creating new one...`);
+        }
+    }
+
+    const ss = SpreadsheetApp.create(`Groups Audit - ${Utilities.formatDate(new Date(), 'GMT', 'yyyy-MM-dd')}`);
+    scriptProps.setProperty('reportSpreadsheetId', ss.getId());
+    return ss;
+}
+
+/**
+ * Opens the spreadsheet used for tracking tabs that must survive between audits
+ * (e.g. Notifications). Uses CONFIG.SPREADSHEET_ID, or a dedicated spreadsheet
+ * created on first use - a new report spreadsheet is created for every audit otherwise.
+ */
+function getTrackingSpreadsheet() {
+    const scriptProps = PropertiesService.getScriptProperties();
+    const trackingId = CONFIG.SPREADSHEET_ID || scriptProps.getProperty('trackingSpreadsheetId');
+
+    if (trackingId) {
+        try {
+            return SpreadsheetApp.openById(trackingId);
+        } catch (e) {
+            Logger.log(`Could not open tracking spreadsheet ${trackingId}, creating new one...`);
+        }
+    }
+
+    const ss = SpreadsheetApp.create('Groups Audit - Tracking');
+    scriptProps.setProperty('trackingSpreadsheetId', ss.getId());
+    Logger.log(`Created tracking spreadsheet: ${ss.getUrl()}`);
+    return ss;
+}
+
 /**
  * Sends an email report with the spreadsheet link
  */
-function sendEmailReport(reportUrl, totalIssues, noOwners, noManagers, noBoth, totalScanned) {
+function sendEmailReport(reportUrl, totalIssues, noOwners, noManagers, noBoth, totalScanned, diff, overdueAttestations) {
     try {
         const currentDate = new Date().toLocaleDateString('en-US', {
             year: 'numeric',
@@ -434,6 +1312,54 @@ function sendEmailReport(reportUrl, totalIssues, noOwners, noManagers, noBoth, t
             minute: '2-digit'
         });
 
+        // Run-over-run changes (only when history tracking is enabled)
+        let historyHtml = '';
+        let historyText = '';
+
+        if (diff) {
+            const newList = diff.newlyOrphaned.slice(0, 20).map(g => `<li>${g.groupEmail}</li>`).join('');
+            const more = diff.newlyOrphaned.length > 20 ? `<li>...and ${diff.newlyOrphaned.length - 20} more (see the "Changes" tab)</li>` : '';
+
+            historyHtml = `
+            <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <h3 style="margin-top: 0; color: #555;">Since Last Audit (${diff.previousDate || 'none'})</h3>
+              <ul style="list-style: none; padding-left: 0;">
+                <li><strong>Newly Orphaned:</strong> <span style="color: #d93025; font-weight: bold;">${diff.newlyOrphaned.length}</span></li>
+                <li><strong>Fixed:</strong> <span style="color: #188038;">${diff.fixed.length}</span></li>
+                <li><strong>Removed (deleted or out of scope):</strong> ${diff.removed.length}</li>
+                <li><strong>Orphaned ${CONFIG.PERSISTENT_ORPHAN_AUDITS}+ Audits in a Row:</strong> <span style="color: #d93025;">${diff.persistent.length}</span></li>
+              </ul>
+              ${newList ? `<p style="margin-bottom: 0;"><strong>Newly orphaned groups:</strong></p><ul>${newList}${more}</ul>` : ''}
+            </div>`;
+
+            historyText = `
+Since Last Audit (${diff.previousDate || 'none'})
+Newly Orphaned: ${diff.newlyOrphaned.length}
+Fixed: ${diff.fixed.length}
+Removed (deleted or out of scope): ${diff.removed.length}
+Orphaned ${CONFIG.PERSISTENT_ORPHAN_AUDITS}+ Audits in a Row: ${diff.persistent.length}
+`;
+        }
+
+        // Missed ownership attestation deadlines (only when attestation is enabled)
+        let attestationHtml = '';
+        let attestationText = '';
+
+        if (overdueAttestations && overdueAttestations.length > 0) {
+            const overdueList = overdueAttestations.slice(0, 20).map(a => `<li>${a.groupEmail} (${a.daysOverdue} days overdue)</li>`).join('');
+            const more = overdueAttestations.length > 20 ? `<li>...and ${overdueAttestations.length - 20} more (see the "Attestation" tab)</li>` : '';
+
+            attestationHtml = `
+            <div style="background-color: #fce8e6; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <h3 style="margin-top: 0; color: #d93025;">Ownership Attestation Overdue: ${overdueAttestations.length}</h3>
+              <ul>${overdueList}${more}</ul>
+            </div>`;
+
+            attestationText = `
+Ownership Attestation Overdue: ${overdueAttestations.length} groups (see the "Attestation" tab)
+`;
+        }
+
         const htmlBody = `
       <html>
         <body style="font-family: Arial, sans-serif; color: #333; line-height: 1.6;">
@@ -450,6 +1376,7 @@ function sendEmailReport(reportUrl, totalIssues, noOwners, noManagers, noBoth, t
               <h3 style="margin-top: 0; color: #555;">Report Summary</h3>
               <ul style="list-style: none; padding-left: 0;">
                 <li><strong>Report Date:</strong> ${currentDate}</li>
+                <li><strong>Scope:</strong> ${describeAuditScope()}</li>
                 <li><strong>Total Groups Scanned:</strong> ${totalScanned}</li>
                 <li><strong>Groups with Issues:</strong> <span style="color: #d93025; font-weight: bold;">${totalIssues}</span></li>
                 <li><strong>Groups without OWNERS:</strong> <span style="color: #d93025;">${noOwners}</span></li>
@@ -457,7 +1384,8 @@ function sendEmailReport(reportUrl, totalIssues, noOwners, noManagers, noBoth, t
                 <li><strong>Groups missing BOTH:</strong> <span style="color: #d93025; font-weight: bold;">${noBoth}</span></li>
               </ul>
             </div>
-            
+            ${historyHtml}
+            ${attestationHtml}
             <p>
               <a href="${reportUrl}" 
                  style="display: inline-block; background-color: #4285f4; color: white; padding: 12px 24px; 
@@ -480,12 +1408,13 @@ Groups Audit Report - COMPLETE
 ================================
 
 Report Date: ${currentDate}
+Scope: ${describeAuditScope()}
 Total Groups Scanned: ${totalScanned}
 Groups with Issues: ${totalIssues}
 Groups without OWNERS: ${noOwners}
 Groups without MANAGERS: ${noManagers}
 Groups missing BOTH: ${noBoth}
-
+${historyText}${attestationText}
 View the full report here: ${reportUrl}
 
 ---
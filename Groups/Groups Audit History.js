@@ -0,0 +1,204 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * RUN-OVER-RUN AUDIT HISTORY
+ *
+ * Companion file for "Groups Audit - Batch Processing.js".
+ * Add it to the same Apps Script project - it uses the shared CONFIG object.
+ *
+ * Every completed audit is saved as a dated JSON snapshot in Google Drive.
+ * The next completed audit is compared with it to find:
+ * - Newly orphaned groups (no OWNER now, had one last time)
+ * - Fixed groups (no OWNER last time, has one now)
+ * - Removed groups (no OWNER last time, deleted or out of scope now)
+ * - Persistent orphans (no OWNER for CONFIG.PERSISTENT_ORPHAN_AUDITS audits in a row)
+ * Orphans whose members couldn't be fetched this time keep their streak unchanged.
+ *
+ * Only orphaned groups are stored, together with how many audits in a row
+ * they have been orphaned, so a single snapshot is enough to keep the streak.
+ *
+ * OAuth Scopes Required:
+ * @scope https://www.googleapis.com/auth/drive
+ */
+
+/**
+ * Compares the results of a completed audit with the last snapshot.
+ * Adds orphanedStreak / orphanedChange to each orphaned result (and to previous orphans
+ * that couldn't be audited this time).
+ * Returns { previousDate, newlyOrphaned, fixed, removed, persistent }
+ */
+function compareWithLastSnapshot(results) {
+    const previous = loadLastSnapshot();
+    const previousGroups = previous ? previous.groups : {};
+    const currentOrphans = {};
+    const currentEmails = new Set(getAllGroups().map(g => g.email.toLowerCase()));
+
+    const diff = {
+        previousDate: previous ? previous.generated : null,
+        newlyOrphaned: [],
+        fixed: [],
+        removed: [],
+        persistent: []
+    };
+
+    results.forEach(result => {
+        const key = result.groupEmail.toLowerCase();
+        const before = previousGroups[key];
+
+        // Fetch error - neither fixed nor orphaned again, carry the streak forward as it was
+        if (result.hasOwner === null && before) {
+            currentOrphans[key] = true;
+            result.orphanedStreak = before.orphanedStreak;
+            result.orphanedChange = 'NOT_AUDITED';
+            return;
+        }
+
+        if (result.hasOwner !== false) return;
+
+        currentOrphans[key] = true;
+
+        result.orphanedStreak = before ? before.orphanedStreak + 1 : 1;
+
+        if (result.orphanedStreak >= CONFIG.PERSISTENT_ORPHAN_AUDITS) {
+            result.orphanedChange = 'PERSISTENT';
+            diff.persistent.push(result);
+        } else if (!before && previous) {
+            result.orphanedChange = 'NEW';
+            diff.newlyOrphaned.push(result);
+        } else {
+            result.orphanedChange = 'ONGOING';
+        }
+    });
+
+    Object.keys(previousGroups).forEach(key => {
+        if (currentOrphans[key]) return;
+
+        if (currentEmails.has(key)) {
+            diff.fixed.push(previousGroups[key]);
+        } else {
+            diff.removed.push(previousGroups[key]);
+        }
+    });
+
+    if (previous) {
+        Logger.log(`Compared with audit from ${previous.generated}: ${diff.newlyOrphaned.length} new, ${diff.fixed.length} fixed, ${diff.removed.length} removed, ${diff.persistent.length} persistent`);
+    } else {
+        Logger.log('No previous snapshot found - this audit becomes the baseline.');
+    }
+
+    return diff;
+}
+
+/**
+ * Saves the orphaned groups of a completed audit as a dated Drive JSON file
+ */
+function saveAuditSnapshot(results, totalGroupsScanned) {
+    const generated = Utilities.formatDate(new Date(), 'GMT', 'yyyy-MM-dd HH:mm:ss');
+    const snapshot = {
+        generated: generated,
+        totalGroupsScanned: totalGroupsScanned,
+        groups: {}
+    };
+
+    // Orphans that couldn't be audited this time are kept with their previous streak
+    results.filter(r => r.hasOwner === false || r.orphanedChange === 'NOT_AUDITED').forEach(result => {
+        snapshot.groups[result.groupEmail.toLowerCase()] = {
+            groupName: result.groupName,
+            groupEmail: result.groupEmail,
+            orphanedStreak: result.orphanedStreak || 1
+        };
+    });
+
+    try {
+        const fileName = `Groups Audit Snapshot - ${generated}.json`;
+        const content = JSON.stringify(snapshot);
+        const file = CONFIG.SNAPSHOT_FOLDER_ID
+            ? DriveApp.getFolderById(CONFIG.SNAPSHOT_FOLDER_ID).createFile(fileName, content, MimeType.PLAIN_TEXT)
+            : DriveApp.createFile(fileName, content, MimeType.PLAIN_TEXT);
+
+        PropertiesService.getScriptProperties().setProperty('lastSnapshotFileId', file.getId());
+        Logger.log(`💾 Audit snapshot saved: ${fileName}`);
+    } catch (e) {
+        Logger.log(`Error saving audit snapshot: ${e.message}`);
+    }
+}
+
+/**
+ * Loads the most recent snapshot, or null if there is none
+ */
+function loadLastSnapshot() {
+    const fileId = PropertiesService.getScriptProperties().getProperty('lastSnapshotFileId');
+    if (!fileId) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(DriveApp.getFileById(fileId).getBlob().getDataAsString());
+    } catch (e) {
+        Logger.log(`Error loading last audit snapshot: ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Text for the report's "Orphaned History" column
+ */
+function describeOrphanedHistory(group) {
+    if (!group.orphanedStreak) {
+        return 'N/A';
+    }
+
+    const audits = `${group.orphanedStreak} audit${group.orphanedStreak === 1 ? '' : 's'}`;
+
+    switch (group.orphanedChange) {
+        case 'NEW':
+            return 'NEW';
+        case 'NOT_AUDITED':
+            return `Not audited (fetch error) - orphaned ${audits} before`;
+        case 'PERSISTENT':
+            return `PERSISTENT - orphaned ${audits}`;
+        default:
+            return `Orphaned ${audits}`;
+    }
+}
+
+/**
+ * Writes a "Changes" tab listing new, fixed, removed and persistent orphaned groups
+ */
+function writeChangesSheet(ss, diff) {
+    let sheet = ss.getSheetByName('Changes');
+    if (sheet) {
+        sheet.clear();
+    } else {
+        sheet = ss.insertSheet('Changes');
+    }
+
+    sheet.appendRow(['CHANGES SINCE LAST AUDIT']);
+    sheet.appendRow([`Previous audit: ${diff.previousDate || 'None (this audit is the baseline)'}`]);
+
+    const headers = ['Change', 'Group Name', 'Group Email', 'Orphaned For (Audits)'];
+    sheet.appendRow(headers);
+    const headerRow = sheet.getLastRow();
+
+    const rows = []
+        .concat(diff.newlyOrphaned.map(g => ['NEW', g.groupName, g.groupEmail, g.orphanedStreak]))
+        .concat(diff.fixed.map(g => ['FIXED', g.groupName, g.groupEmail, g.orphanedStreak]))
+        .concat(diff.removed.map(g => ['REMOVED (deleted or out of scope)', g.groupName, g.groupEmail, g.orphanedStreak]))
+        .concat(diff.persistent.map(g => ['PERSISTENT', g.groupName, g.groupEmail, g.orphanedStreak]));
+
+    if (rows.length > 0) {
+        sheet.getRange(headerRow + 1, 1, rows.length, headers.length).setValues(rows);
+    }
+
+    sheet.getRange(1, 1).setFontWeight('bold').setFontSize(14);
+    sheet.getRange(2, 1).setFontStyle('italic');
+    sheet.getRange(headerRow, 1, 1, headers.length).setFontWeight('bold')
+        .setBackground('#4285f4')
+        .setFontColor('#ffffff')
+        .setHorizontalAlignment('center');
+
+    sheet.setFrozenRows(headerRow);
+    sheet.autoResizeColumns(1, headers.length);
+}
@@ -0,0 +1,163 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * CHECKPOINT STORES FOR LARGE TENANTS
+ *
+ * Companion file for "Groups Audit - Batch Processing.js".
+ * Add it to the same Apps Script project when CONFIG.CHECKPOINT_STORE is 'SHEET' or 'DRIVE'.
+ *
+ * Script Properties allow only ~9 KB per value, which the groups list and the
+ * growing audit results outgrow in tenants with thousands of groups.
+ * These stores keep the same checkpoint data somewhere larger:
+ *
+ * - SHEET: a hidden "_checkpoint" tab in a dedicated spreadsheet, one row per chunk
+ * - DRIVE: one JSON file per checkpoint key in Google Drive
+ *
+ * Both expose the same load(key) / save(key, value) / remove(key) methods as the
+ * default Script Properties store (see getCheckpointStore()).
+ *
+ * ⚠️ Run resetAudit() before switching stores - progress is not migrated.
+ *
+ * OAuth Scopes Required:
+ * @scope https://www.googleapis.com/auth/spreadsheets
+ * @scope https://www.googleapis.com/auth/drive
+ */
+
+const CHECKPOINT_SHEET_NAME = '_checkpoint';
+const CHECKPOINT_CHUNK_SIZE = 45000; // Google Sheets allows 50,000 characters per cell
+
+/**
+ * Hidden sheet store - each value is split into chunks of CHECKPOINT_CHUNK_SIZE
+ * characters, stored as rows of [key, chunkIndex, chunk].
+ */
+function createSheetCheckpointStore() {
+    const sheet = getCheckpointSheet();
+
+    const readRows = () => {
+        const lastRow = sheet.getLastRow();
+        return lastRow === 0 ? [] : sheet.getRange(1, 1, lastRow, 3).getValues();
+    };
+
+    const writeRows = rows => {
+        sheet.clearContents();
+        if (rows.length > 0) {
+            // Plain text format so chunks are never parsed as numbers, dates or formulas
+            sheet.getRange(1, 1, rows.length, 3).setNumberFormat('@').setValues(rows);
+        }
+    };
+
+    return {
+        load: key => {
+            const chunks = readRows()
+                .filter(row => row[0] === key)
+                .sort((a, b) => Number(a[1]) - Number(b[1]))
+                .map(row => String(row[2]).substring(1)); // Strip the text marker
+
+            return chunks.length > 0 ? JSON.parse(chunks.join('')) : null;
+        },
+
+        save: (key, value) => {
+            const json = JSON.stringify(value);
+            const rows = readRows().filter(row => row[0] !== key);
+
+            for (let i = 0, chunk = 0; i < json.length; i += CHECKPOINT_CHUNK_SIZE, chunk++) {
+                // Prefix each chunk with a letter so a chunk starting with "=" or "+" stays text
+                rows.push([key, String(chunk), 'c' + json.substring(i, i + CHECKPOINT_CHUNK_SIZE)]);
+            }
+
+            writeRows(rows);
+        },
+
+        remove: key => {
+            writeRows(readRows().filter(row => row[0] !== key));
+        }
+    };
+}
+
+/**
+ * Opens (or creates) the hidden checkpoint sheet.
+ * Uses CONFIG.CHECKPOINT_SPREADSHEET_ID, or a dedicated spreadsheet created on first use -
+ * never the report spreadsheet, which changes every time a report is generated.
+ */
+function getCheckpointSheet() {
+    const scriptProps = PropertiesService.getScriptProperties();
+    const spreadsheetId = CONFIG.CHECKPOINT_SPREADSHEET_ID || scriptProps.getProperty('checkpointSpreadsheetId');
+    let ss = null;
+
+    if (spreadsheetId) {
+        try {
+            ss = SpreadsheetApp.openById(spreadsheetId);
+        } catch (e) {
+            Logger.log(`Could not open checkpoint spreadsheet ${spreadsheetId}, creating new one...`);
+        }
+    }
+
+    if (!ss) {
+        ss = SpreadsheetApp.create('Groups Audit - Checkpoint');
+        scriptProps.setProperty('checkpointSpreadsheetId', ss.getId());
+        Logger.log(`Created checkpoint spreadsheet: ${ss.getUrl()}`);
+    }
+
+    let sheet = ss.getSheetByName(CHECKPOINT_SHEET_NAME);
+    if (!sheet) {
+        sheet = ss.insertSheet(CHECKPOINT_SHEET_NAME);
+        sheet.hideSheet();
+    }
+
+    return sheet;
+}
+
+/**
+ * Drive store - one JSON file per key, file IDs kept in Script Properties
+ */
+function createDriveCheckpointStore() {
+    const scriptProps = PropertiesService.getScriptProperties();
+    const propertyName = key => `checkpointFile_${key}`;
+
+    const getFile = key => {
+        const fileId = scriptProps.getProperty(propertyName(key));
+        if (!fileId) return null;
+
+        try {
+            const file = DriveApp.getFileById(fileId);
+            return file.isTrashed() ? null : file;
+        } catch (e) {
+            Logger.log(`Checkpoint file for ${key} not found: ${e.message}`);
+            return null;
+        }
+    };
+
+    return {
+        load: key => {
+            const file = getFile(key);
+            return file ? JSON.parse(file.getBlob().getDataAsString()) : null;
+        },
+
+        save: (key, value) => {
+            const content = JSON.stringify(value);
+            const file = getFile(key);
+
+            if (file) {
+                file.setContent(content);
+                return;
+            }
+
+            const fileName = `Groups Audit Checkpoint - ${key}.json`;
+            const newFile = CONFIG.CHECKPOINT_FOLDER_ID
+                ? DriveApp.getFolderById(CONFIG.CHECKPOINT_FOLDER_ID).createFile(fileName, content, MimeType.PLAIN_TEXT)
+                : DriveApp.createFile(fileName, content, MimeType.PLAIN_TEXT);
+
+            scriptProps.setProperty(propertyName(key), newFile.getId());
+        },
+
+        remove: key => {
+            const file = getFile(key);
+            if (file) {
+                file.setTrashed(true);
+            }
+            scriptProps.deleteProperty(propertyName(key));
+        }
+    };
+}
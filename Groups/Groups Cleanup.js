@@ -0,0 +1,404 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * EMPTY & ABANDONED GROUPS - DETECTION AND STAGED CLEANUP
+ *
+ * Companion file for "Groups Audit - Batch Processing.js".
+ * Add it to the same Apps Script project together with "Groups Membership Resolver.js".
+ *
+ * Detection (during the audit, when CONFIG.DETECT_ABANDONED_GROUPS is true):
+ * - EMPTY:          the group has no members
+ * - SUSPENDED_ONLY: every member is a suspended user
+ * - NO_ACTIVITY:    no Groups activity in the Reports API for CONFIG.ABANDONED_ACTIVITY_DAYS
+ *
+ * Cleanup (after the final report, when CONFIG.CLEANUP_ENABLED is true):
+ * Each abandoned group moves ONE stage forward per completed audit, and only after
+ * CONFIG.CLEANUP_STAGE_DAYS have passed since its previous stage:
+ *
+ *   LABELED  → description prefixed with CONFIG.CLEANUP_LABEL
+ *   ARCHIVED → posting restricted (archive only) via the Groups Settings API
+ *   DELETED  → members backed up to Drive, then the group is deleted
+ *
+ * CONFIG.CLEANUP_MAX_STAGE caps how far groups can go, CLEANUP_MAX_PER_RUN limits the
+ * number of changes per audit, and CLEANUP_DRY_RUN only records what would happen.
+ * Progress is kept in a "Cleanup" tab in the tracking spreadsheet.
+ *
+ * A LABELED or ARCHIVED group that is no longer abandoned is reset: the label is removed,
+ * the posting settings saved when it was archived are restored and its stage is cleared,
+ * so it starts again at LABELED if it is ever abandoned again.
+ *
+ * Prerequisites:
+ * - Enable "Admin Reports API" (AdminReports) and "Groups Settings API" (AdminGroupsSettings).
+ *
+ * OAuth Scopes Required:
+ * @scope https://www.googleapis.com/auth/admin.reports.audit.readonly
+ * @scope https://www.googleapis.com/auth/admin.directory.group
+ * @scope https://www.googleapis.com/auth/apps.groups.settings
+ * @scope https://www.googleapis.com/auth/drive
+ */
+
+const CLEANUP_SHEET_NAME = 'Cleanup';
+const CLEANUP_STAGES = ['LABELED', 'ARCHIVED', 'DELETED'];
+const CLEANUP_HEADERS = ['Group Email', 'Group Name', 'Reason', 'Stage', 'Stage Date (GMT)', 'Last Action', 'Backup File', 'Previous Settings'];
+
+/**
+ * Returns { groupEmail: last activity ISO time } for the Groups application.
+ * Fetched once per audit and kept in the checkpoint store until the audit completes.
+ */
+function getGroupActivity() {
+    const cached = loadCheckpoint('groupActivity');
+    if (cached) {
+        return cached;
+    }
+
+    const activity = {};
+    const now = new Date();
+
+    // Reports API only keeps 180 days of data
+    const days = Math.min(CONFIG.ABANDONED_ACTIVITY_DAYS, 180);
+    const startTime = new Date(now.getTime() - (days * 24 * 60 * 60 * 1000));
+
+    Logger.log(`Fetching Groups activity from Reports API (last ${days} days)...`);
+
+    try {
+        let pageToken;
+
+        do {
+            const response = AdminReports.Activities.list('all', 'groups', {
+                startTime: startTime.toISOString(),
+                endTime: now.toISOString(),
+                maxResults: 1000,
+                pageToken: pageToken
+            });
+
+            (response.items || []).forEach(item => {
+                (item.events || []).forEach(event => {
+                    const groupParam = (event.parameters || []).find(p => p.name === 'group_email');
+                    if (!groupParam || !groupParam.value) return;
+
+                    const key = groupParam.value.toLowerCase();
+                    if (!activity[key] || item.id.time > activity[key]) {
+                        activity[key] = item.id.time;
+                    }
+                });
+            });
+
+            pageToken = response.nextPageToken;
+            if (pageToken) Utilities.sleep(200);
+        } while (pageToken);
+
+        Logger.log(`Reports API: Groups activity found for ${Object.keys(activity).length} groups`);
+    } catch (e) {
+        // Without activity data every group would look inactive - skip NO_ACTIVITY instead
+        Logger.log(`⚠️ Error fetching Groups activity: ${e.message}`);
+        Logger.log('NO_ACTIVITY detection is skipped for this audit.');
+        activity._unavailable = true;
+    }
+
+    saveCheckpoint('groupActivity', activity);
+    return activity;
+}
+
+/**
+ * Works out why a group looks abandoned: EMPTY, SUSPENDED_ONLY, NO_ACTIVITY or null
+ */
+function getAbandonedReason(group, groupActivity) {
+    const memberCount = parseInt(group.directMembersCount || '0');
+
+    if (memberCount === 0) {
+        return 'EMPTY';
+    }
+
+    // Listing members is expensive - only done for groups up to the configured size
+    if (memberCount <= CONFIG.ABANDONED_SCAN_MAX_MEMBERS) {
+        try {
+            const members = listGroupMembers(group.email);
+            const allSuspended = members.length > 0 &&
+                members.every(m => m.type === 'USER' && m.status === 'SUSPENDED');
+
+            if (allSuspended) {
+                return 'SUSPENDED_ONLY';
+            }
+        } catch (e) {
+            Logger.log(`Error listing members of ${group.email}: ${e.message}`);
+        }
+    }
+
+    if (!groupActivity._unavailable) {
+        const cutoff = new Date().getTime() - (CONFIG.ABANDONED_ACTIVITY_DAYS * 24 * 60 * 60 * 1000);
+        const lastActivity = groupActivity[group.email.toLowerCase()];
+
+        if (!lastActivity || new Date(lastActivity).getTime() < cutoff) {
+            return 'NO_ACTIVITY';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Moves abandoned groups one cleanup stage forward and resets groups that are
+ * no longer abandoned (after the final report)
+ */
+function runAbandonedGroupCleanup(groups) {
+    const abandoned = groups.filter(g => g.abandonedReason);
+    const dryRun = CONFIG.CLEANUP_DRY_RUN;
+    const maxStageIndex = CLEANUP_STAGES.indexOf(CONFIG.CLEANUP_MAX_STAGE);
+    const stageCutoff = new Date().getTime() - (CONFIG.CLEANUP_STAGE_DAYS * 24 * 60 * 60 * 1000);
+
+    Logger.log(`\n🧹 Abandoned group cleanup (${dryRun ? 'DRY RUN' : 'LIVE'}, max stage ${CONFIG.CLEANUP_MAX_STAGE}): ${abandoned.length} candidates`);
+
+    const sheet = getCleanupSheet();
+    const tracked = readCleanupSheet(sheet);
+    let changes = 0;
+
+    resetRecoveredGroups(sheet, tracked, groups, dryRun);
+
+    for (let i = 0; i < abandoned.length; i++) {
+        const group = abandoned[i];
+        const key = group.groupEmail.toLowerCase();
+        const entry = tracked[key] || { row: null, stage: '', stageDate: null };
+
+        const currentIndex = CLEANUP_STAGES.indexOf(entry.stage);
+        const nextIndex = currentIndex + 1;
+
+        if (nextIndex > maxStageIndex) continue;
+        if (entry.stageDate && entry.stageDate.getTime() > stageCutoff) continue;
+
+        if (changes >= CONFIG.CLEANUP_MAX_PER_RUN) {
+            Logger.log(`⚠️ CLEANUP_MAX_PER_RUN (${CONFIG.CLEANUP_MAX_PER_RUN}) reached. Remaining groups wait for the next audit.`);
+            break;
+        }
+
+        const nextStage = CLEANUP_STAGES[nextIndex];
+        const outcome = applyCleanupStage(group, nextStage, dryRun);
+        changes++;
+
+        Logger.log(`🧹 ${group.groupEmail}: ${outcome.detail}`);
+
+        // Dry runs and failures are recorded but don't advance the stage
+        const stage = outcome.success && !dryRun ? nextStage : entry.stage;
+        const stageDate = outcome.success && !dryRun
+            ? Utilities.formatDate(new Date(), 'GMT', 'yyyy-MM-dd HH:mm:ss')
+            : (entry.stageDate ? Utilities.formatDate(entry.stageDate, 'GMT', 'yyyy-MM-dd HH:mm:ss') : '');
+
+        const previousSettings = outcome.previousSettings ? JSON.stringify(outcome.previousSettings) : (entry.previousSettings || '');
+        const row = [group.groupEmail, group.groupName, group.abandonedReason, stage, stageDate, outcome.detail, outcome.backupFile || entry.backupFile || '', previousSettings];
+
+        if (entry.row) {
+            sheet.getRange(entry.row, 1, 1, row.length).setValues([row]);
+        } else {
+            sheet.appendRow(row);
+        }
+    }
+
+    Logger.log(`🧹 Cleanup actions this run: ${changes}`);
+}
+
+/**
+ * Resets LABELED and ARCHIVED groups that are not abandoned in this audit.
+ * Groups that couldn't be audited (fetch error), were deleted, or were only abandoned for
+ * NO_ACTIVITY while the activity data is unavailable keep their stage.
+ */
+function resetRecoveredGroups(sheet, tracked, groups, dryRun) {
+    const results = {};
+    groups.forEach(g => {
+        results[g.groupEmail.toLowerCase()] = g;
+    });
+
+    const currentEmails = new Set(getAllGroups().map(g => g.email.toLowerCase()));
+    const groupActivity = loadCheckpoint('groupActivity') || {};
+    let resets = 0;
+
+    Object.keys(tracked).forEach(key => {
+        const entry = tracked[key];
+        const result = results[key];
+
+        if (entry.stage !== 'LABELED' && entry.stage !== 'ARCHIVED') return;
+        if (!currentEmails.has(key)) return;
+        if (result && (result.abandonedReason || result.fetchError)) return;
+        if (entry.reason === 'NO_ACTIVITY' && groupActivity._unavailable) return;
+
+        let detail;
+        let stage = '';
+        let stageDate = '';
+
+        if (dryRun) {
+            detail = 'DRY RUN: Would reset (no longer abandoned)';
+            stage = entry.stage;
+            stageDate = entry.stageDate ? Utilities.formatDate(entry.stageDate, 'GMT', 'yyyy-MM-dd HH:mm:ss') : '';
+        } else {
+            try {
+                detail = undoCleanupStages(key, entry);
+            } catch (e) {
+                // Keep the stage - the reset is retried after the next audit
+                detail = `Error (reset): ${e.message}`;
+                stage = entry.stage;
+                stageDate = entry.stageDate ? Utilities.formatDate(entry.stageDate, 'GMT', 'yyyy-MM-dd HH:mm:ss') : '';
+            }
+        }
+
+        Logger.log(`🧹 ${key}: ${detail}`);
+        sheet.getRange(entry.row, 3, 1, 6).setValues([[
+            stage ? entry.reason : '', stage, stageDate, detail, entry.backupFile || '', stage ? (entry.previousSettings || '') : ''
+        ]]);
+        resets++;
+    });
+
+    if (resets > 0) {
+        Logger.log(`🧹 Groups no longer abandoned: ${resets}`);
+    }
+}
+
+/**
+ * Removes the cleanup label and, for ARCHIVED groups, restores the posting settings.
+ * Returns a description for the Cleanup tab.
+ */
+function undoCleanupStages(email, entry) {
+    const description = AdminDirectory.Groups.get(email).description || '';
+    if (description.indexOf(CONFIG.CLEANUP_LABEL) === 0) {
+        AdminDirectory.Groups.patch({ description: description.substring(CONFIG.CLEANUP_LABEL.length).trim() }, email);
+    }
+
+    if (entry.stage !== 'ARCHIVED') {
+        return 'Reset: no longer abandoned (label removed)';
+    }
+
+    // Groups archived before the settings were saved get the Groups defaults back
+    const previous = entry.previousSettings
+        ? JSON.parse(entry.previousSettings)
+        : { archiveOnly: 'false', whoCanPostMessage: 'ALL_MEMBERS_CAN_POST' };
+    AdminGroupsSettings.Groups.patch(previous, email);
+
+    return `Reset: no longer abandoned (label removed, posting restored${entry.previousSettings ? '' : ' to defaults'})`;
+}
+
+/**
+ * Applies one cleanup stage to a group.
+ * Returns { success, detail, backupFile, previousSettings }
+ */
+function applyCleanupStage(group, stage, dryRun) {
+    const email = group.groupEmail;
+
+    try {
+        switch (stage) {
+            case 'LABELED': {
+                if (dryRun) return { success: true, detail: `DRY RUN: Would label with "${CONFIG.CLEANUP_LABEL}"` };
+
+                const current = AdminDirectory.Groups.get(email).description || '';
+                if (current.indexOf(CONFIG.CLEANUP_LABEL) !== 0) {
+                    AdminDirectory.Groups.patch({ description: `${CONFIG.CLEANUP_LABEL} ${current}`.trim() }, email);
+                }
+                return { success: true, detail: 'Labeled as abandoned' };
+            }
+
+            case 'ARCHIVED': {
+                if (dryRun) return { success: true, detail: 'DRY RUN: Would restrict posting (archive only)' };
+
+                // Saved so the group can be restored if it is no longer abandoned
+                const settings = AdminGroupsSettings.Groups.get(email);
+                const previousSettings = { archiveOnly: settings.archiveOnly, whoCanPostMessage: settings.whoCanPostMessage };
+
+                AdminGroupsSettings.Groups.patch({ archiveOnly: 'true', whoCanPostMessage: 'NONE_CAN_POST' }, email);
+                return { success: true, detail: 'Archived (posting restricted)', previousSettings: previousSettings };
+            }
+
+            case 'DELETED': {
+                if (dryRun) return { success: true, detail: 'DRY RUN: Would back up members and delete' };
+
+                // Never delete without a backup
+                const backupFile = backupGroupMembership(email);
+                AdminDirectory.Groups.remove(email);
+                return { success: true, detail: 'Deleted (members backed up)', backupFile: backupFile };
+            }
+        }
+    } catch (e) {
+        return { success: false, detail: `Error (${stage}): ${e.message}` };
+    }
+
+    return { success: false, detail: `Unknown stage: ${stage}` };
+}
+
+/**
+ * Saves a group's details and members to a Drive JSON file before deletion.
+ * Returns the file URL. Throws if the backup can't be written.
+ */
+function backupGroupMembership(groupEmail) {
+    const group = AdminDirectory.Groups.get(groupEmail);
+    const members = listGroupMembers(groupEmail).map(m => ({
+        email: m.email || '',
+        id: m.id,
+        role: m.role,
+        type: m.type,
+        status: m.status || ''
+    }));
+
+    const backup = {
+        backedUpAt: new Date().toISOString(),
+        group: {
+            email: group.email,
+            name: group.name,
+            description: group.description || '',
+            aliases: group.aliases || []
+        },
+        members: members
+    };
+
+    const fileName = `Group Backup - ${groupEmail} - ${Utilities.formatDate(new Date(), 'GMT', 'yyyy-MM-dd HH:mm')}.json`;
+    const content = JSON.stringify(backup, null, 2);
+    const file = CONFIG.CLEANUP_BACKUP_FOLDER_ID
+        ? DriveApp.getFolderById(CONFIG.CLEANUP_BACKUP_FOLDER_ID).createFile(fileName, content, MimeType.PLAIN_TEXT)
+        : DriveApp.createFile(fileName, content, MimeType.PLAIN_TEXT);
+
+    return file.getUrl();
+}
+
+/**
+ * Opens (or creates) the "Cleanup" tab in the tracking spreadsheet
+ */
+function getCleanupSheet() {
+    const ss = getTrackingSpreadsheet();
+    let sheet = ss.getSheetByName(CLEANUP_SHEET_NAME);
+
+    if (!sheet) {
+        sheet = ss.insertSheet(CLEANUP_SHEET_NAME);
+        sheet.appendRow(CLEANUP_HEADERS);
+        sheet.getRange(1, 1, 1, CLEANUP_HEADERS.length).setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
+        sheet.setFrozenRows(1);
+    } else if (sheet.getLastColumn() < CLEANUP_HEADERS.length) {
+        // Tabs created before the previous settings were saved
+        sheet.getRange(1, 1, 1, CLEANUP_HEADERS.length).setValues([CLEANUP_HEADERS])
+            .setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
+    }
+
+    return sheet;
+}
+
+/**
+ * Reads the Cleanup tab into { groupEmail: { row, reason, stage, stageDate, backupFile, previousSettings } }
+ */
+function readCleanupSheet(sheet) {
+    const tracked = {};
+    const lastRow = sheet.getLastRow();
+
+    if (lastRow < 2) {
+        return tracked;
+    }
+
+    sheet.getRange(2, 1, lastRow - 1, CLEANUP_HEADERS.length).getValues().forEach((row, i) => {
+        const stageDate = row[4] instanceof Date ? row[4] : (row[4] ? new Date(String(row[4]).replace(' ', 'T') + 'Z') : null);
+
+        tracked[String(row[0]).toLowerCase()] = {
+            row: i + 2,
+            reason: row[2],
+            stage: row[3],
+            stageDate: stageDate,
+            backupFile: row[6],
+            previousSettings: row[7]
+        };
+    });
+
+    return tracked;
+}
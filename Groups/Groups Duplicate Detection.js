@@ -0,0 +1,229 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * DUPLICATE & OVERLAPPING GROUPS
+ *
+ * Companion file for "Groups Audit - Batch Processing.js".
+ * Used when CONFIG.DETECT_DUPLICATE_GROUPS is true - the audit then fetches ALL members
+ * of each group and keeps every group's member IDs in the checkpoint store
+ * ('groupMemberships') until the audit completes.
+ *
+ * After the final report, every pair of groups sharing members is compared:
+ * - Overlap:         Jaccard index of the member lists (shared / combined members)
+ * - Name similarity: Dice coefficient of the normalised names' letter pairs
+ *
+ * Pairs with an overlap of at least CONFIG.DUPLICATE_JACCARD_THRESHOLD are written to a
+ * "Duplicates" tab in the report spreadsheet, ranked by overlap and then by size, with a
+ * suggestion to merge the smaller group into the larger one. Members of more than
+ * CONFIG.DUPLICATE_MAX_GROUPS_PER_MEMBER groups are not counted as shared members.
+ *
+ * Member lists of thousands of groups don't fit in Script Properties - use
+ * CHECKPOINT_STORE 'SHEET' or 'DRIVE' (see "Groups Checkpoint Store.js").
+ *
+ * OAuth Scopes Required:
+ * @scope https://www.googleapis.com/auth/admin.directory.group.member.readonly
+ * @scope https://www.googleapis.com/auth/spreadsheets
+ */
+
+const DUPLICATES_SHEET_NAME = 'Duplicates';
+
+/**
+ * Adds a group's member IDs to the batch's memberships: { groupEmail: { name, members: [id] } }
+ */
+function recordGroupMembership(memberships, group, members) {
+    if (members.length < CONFIG.DUPLICATE_MIN_MEMBERS) {
+        return;
+    }
+
+    memberships[group.email.toLowerCase()] = {
+        name: group.name,
+        members: members.map(m => m.id)
+    };
+}
+
+/**
+ * Finds pairs of groups whose memberships overlap by at least CONFIG.DUPLICATE_JACCARD_THRESHOLD.
+ * Returns [{ groupA, groupB, nameA, nameB, sizeA, sizeB, shared, overlap, nameSimilarity }],
+ * highest overlap first, then largest combined membership.
+ */
+function findDuplicateGroups(memberships) {
+    const emails = Object.keys(memberships);
+    const threshold = CONFIG.DUPLICATE_JACCARD_THRESHOLD;
+
+    // Inverted index: member ID → groups it belongs to
+    const groupsByMember = {};
+    emails.forEach((email, g) => {
+        memberships[email].members.forEach(id => {
+            (groupsByMember[id] = groupsByMember[id] || []).push(g);
+        });
+    });
+
+    // Count shared members only for pairs that can still reach the threshold:
+    // the overlap of two groups is at most smallerSize / largerSize
+    const sizes = emails.map(email => memberships[email].members.length);
+    const sharedCounts = {};
+    let skippedMembers = 0;
+
+    Object.keys(groupsByMember).forEach(id => {
+        const groupIndexes = groupsByMember[id];
+
+        // A member of k groups adds k² / 2 pairs - skip very widely shared members
+        // (e.g. an admin account added to every group), they would dominate the run time
+        if (groupIndexes.length > CONFIG.DUPLICATE_MAX_GROUPS_PER_MEMBER) {
+            skippedMembers++;
+            return;
+        }
+
+        for (let i = 0; i < groupIndexes.length; i++) {
+            for (let j = i + 1; j < groupIndexes.length; j++) {
+                const a = groupIndexes[i];
+                const b = groupIndexes[j];
+                if (Math.min(sizes[a], sizes[b]) / Math.max(sizes[a], sizes[b]) < threshold) continue;
+
+                const key = `${a}|${b}`;
+                sharedCounts[key] = (sharedCounts[key] || 0) + 1;
+            }
+        }
+    });
+
+    if (skippedMembers > 0) {
+        Logger.log(`Duplicate detection: ignored ${skippedMembers} member(s) of more than ${CONFIG.DUPLICATE_MAX_GROUPS_PER_MEMBER} groups`);
+    }
+
+    const pairs = [];
+
+    Object.keys(sharedCounts).forEach(key => {
+        const [a, b] = key.split('|').map(Number);
+        const shared = sharedCounts[key];
+        const overlap = shared / (sizes[a] + sizes[b] - shared);
+
+        if (overlap < threshold) return;
+
+        pairs.push({
+            groupA: emails[a],
+            groupB: emails[b],
+            nameA: memberships[emails[a]].name,
+            nameB: memberships[emails[b]].name,
+            sizeA: sizes[a],
+            sizeB: sizes[b],
+            shared: shared,
+            overlap: overlap,
+            nameSimilarity: getNameSimilarity(memberships[emails[a]].name, memberships[emails[b]].name)
+        });
+    });
+
+    pairs.sort((x, y) => (y.overlap - x.overlap) || ((y.sizeA + y.sizeB) - (x.sizeA + x.sizeB)));
+
+    return pairs;
+}
+
+/**
+ * Similarity of two group names from 0 to 1 (Dice coefficient of letter pairs).
+ * Names are lowercased and stripped of spaces and punctuation first,
+ * so "Sales-Team EMEA" and "sales team (emea)" are identical.
+ */
+function getNameSimilarity(nameA, nameB) {
+    const normalise = name => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const a = normalise(nameA);
+    const b = normalise(nameB);
+
+    if (a === b) {
+        return 1;
+    }
+    if (a.length < 2 || b.length < 2) {
+        return 0;
+    }
+
+    const bigrams = {};
+    for (let i = 0; i < a.length - 1; i++) {
+        const bigram = a.substr(i, 2);
+        bigrams[bigram] = (bigrams[bigram] || 0) + 1;
+    }
+
+    let matches = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const bigram = b.substr(i, 2);
+        if (bigrams[bigram] > 0) {
+            bigrams[bigram]--;
+            matches++;
+        }
+    }
+
+    return (2 * matches) / (a.length + b.length - 2);
+}
+
+/**
+ * Merge suggestion for a pair: the smaller group is merged into the larger one
+ */
+function describeMergeSuggestion(pair) {
+    const keep = pair.sizeA >= pair.sizeB ? pair.groupA : pair.groupB;
+    const merge = keep === pair.groupA ? pair.groupB : pair.groupA;
+
+    if (pair.overlap === 1) {
+        return `Identical members - merge ${merge} into ${keep}`;
+    }
+    if (pair.nameSimilarity >= CONFIG.DUPLICATE_NAME_THRESHOLD) {
+        return `Merge candidate (similar names) - merge ${merge} into ${keep}`;
+    }
+    return `Review overlap - consider merging ${merge} into ${keep}`;
+}
+
+/**
+ * Writes the ranked pairs to the "Duplicates" tab of the report spreadsheet
+ */
+function generateDuplicatesReport(pairs) {
+    const timestamp = Utilities.formatDate(new Date(), 'GMT', 'yyyy-MM-dd HH:mm:ss');
+    const ss = getReportSpreadsheet();
+
+    let sheet = ss.getSheetByName(DUPLICATES_SHEET_NAME);
+    if (sheet) {
+        sheet.clear();
+    } else {
+        sheet = ss.insertSheet(DUPLICATES_SHEET_NAME);
+    }
+
+    const identical = pairs.filter(p => p.overlap === 1).length;
+    const similarNames = pairs.filter(p => p.nameSimilarity >= CONFIG.DUPLICATE_NAME_THRESHOLD).length;
+    const shown = pairs.slice(0, CONFIG.DUPLICATE_MAX_PAIRS);
+
+    // Add summary rows
+    sheet.appendRow(['DUPLICATE & OVERLAPPING GROUPS']);
+    sheet.appendRow([`Generated: ${timestamp}`]);
+    sheet.appendRow([`Overlapping Pairs (${Math.round(CONFIG.DUPLICATE_JACCARD_THRESHOLD * 100)}%+ shared members): ${pairs.length}`]);
+    sheet.appendRow([`Identical Members: ${identical} | Similar Names: ${similarNames}`]);
+    if (shown.length < pairs.length) {
+        sheet.appendRow([`Showing the top ${shown.length} pairs (DUPLICATE_MAX_PAIRS)`]);
+    }
+
+    const headers = ['Rank', 'Group A', 'Group A Name', 'Group A Members', 'Group B', 'Group B Name', 'Group B Members',
+        'Shared Members', 'Overlap', 'Name Similarity', 'Suggestion'];
+    sheet.appendRow(headers);
+    const headerRow = sheet.getLastRow();
+
+    if (shown.length > 0) {
+        const rows = shown.map((pair, i) => [
+            i + 1,
+            pair.groupA,
+            pair.nameA,
+            pair.sizeA,
+            pair.groupB,
+            pair.nameB,
+            pair.sizeB,
+            pair.shared,
+            `${Math.round(pair.overlap * 100)}%`,
+            `${Math.round(pair.nameSimilarity * 100)}%`,
+            describeMergeSuggestion(pair)
+        ]);
+
+        sheet.getRange(headerRow + 1, 1, rows.length, headers.length).setValues(rows);
+    }
+
+    sheet.getRange(1, 1).setFontWeight('bold').setFontSize(14);
+    sheet.getRange(headerRow, 1, 1, headers.length).setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
+    sheet.setFrozenRows(headerRow);
+    sheet.autoResizeColumns(1, headers.length);
+
+    Logger.log(`👯 Duplicates report: ${pairs.length} overlapping pairs (${identical} identical)`);
+}
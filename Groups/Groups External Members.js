@@ -0,0 +1,114 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * EXTERNAL MEMBER AUDIT
+ *
+ * Companion file for "Groups Audit - Batch Processing.js".
+ * Used when CONFIG.AUDIT_EXTERNAL_MEMBERS is true - the audit then fetches ALL members
+ * of each group (not only OWNER/MANAGER) and classifies every member:
+ * - INTERNAL:  one of our domains (or the CUSTOMER member "All users in domain")
+ * - CONSUMER:  a personal account domain from CONFIG.CONSUMER_DOMAINS (gmail.com, ...)
+ * - OTHER_ORG: any other domain - usually another Google Workspace organisation
+ *
+ * A group with external members is added to the report with its external member
+ * counts. It is flagged when:
+ * - an external account holds the OWNER role, or
+ * - it has external members although its settings forbid them (allowExternalMembers = false)
+ *
+ * Prerequisites:
+ * - Enable "Groups Settings API" (AdminGroupsSettings).
+ *
+ * OAuth Scopes Required:
+ * @scope https://www.googleapis.com/auth/admin.directory.group.member.readonly
+ * @scope https://www.googleapis.com/auth/admin.directory.domain.readonly
+ * @scope https://www.googleapis.com/auth/apps.groups.settings
+ */
+
+/**
+ * Classifies a group's members by domain.
+ * Returns { consumer: [email], otherOrg: [email], externalOwners: [email], externalNotAllowed, error }
+ */
+function assessExternalMembers(groupEmail, members) {
+    const assessment = {
+        consumer: [],
+        otherOrg: [],
+        externalOwners: [],
+        externalNotAllowed: false,
+        error: null
+    };
+
+    members.forEach(member => {
+        const email = getMemberLabel(member);
+        const type = classifyMemberDomain(email);
+
+        if (type === 'INTERNAL') return;
+
+        if (type === 'CONSUMER') {
+            assessment.consumer.push(email);
+        } else {
+            assessment.otherOrg.push(email);
+        }
+
+        if (member.role === 'OWNER') {
+            assessment.externalOwners.push(email);
+        }
+    });
+
+    // Only look up the settings when there is something to compare them with
+    if (assessment.consumer.length > 0 || assessment.otherOrg.length > 0) {
+        try {
+            const settings = AdminGroupsSettings.Groups.get(groupEmail);
+            assessment.externalNotAllowed = settings.allowExternalMembers === 'false';
+        } catch (e) {
+            Logger.log(`Error fetching settings for ${groupEmail}: ${e.message}`);
+            assessment.error = e.message;
+        }
+    }
+
+    return assessment;
+}
+
+/**
+ * INTERNAL, CONSUMER or OTHER_ORG for a member email
+ */
+function classifyMemberDomain(email) {
+    if (isInternalEmail(email)) {
+        return 'INTERNAL';
+    }
+
+    const domain = email.split('@')[1].toLowerCase();
+    return CONFIG.CONSUMER_DOMAINS.indexOf(domain) !== -1 ? 'CONSUMER' : 'OTHER_ORG';
+}
+
+/**
+ * True when the group belongs in the report because of its external members
+ */
+function hasExternalMembers(assessment) {
+    return assessment.consumer.length > 0 || assessment.otherOrg.length > 0;
+}
+
+/**
+ * Report text for the external member counts, e.g. "Consumer: 2 | Other orgs: 5"
+ */
+function describeExternalMembers(assessment) {
+    if (!hasExternalMembers(assessment)) {
+        return 'None';
+    }
+
+    return `Consumer: ${assessment.consumer.length} | Other orgs: ${assessment.otherOrg.length}`;
+}
+
+/**
+ * Report text for the external members policy check
+ */
+function describeExternalPolicy(assessment) {
+    if (assessment.externalNotAllowed) {
+        return 'VIOLATION: external members present but not allowed';
+    }
+    if (assessment.error) {
+        return `Unknown (settings lookup failed: ${assessment.error})`;
+    }
+    return hasExternalMembers(assessment) ? 'Allowed' : 'N/A';
+}
@@ -0,0 +1,155 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * BATCHED MEMBER FETCHING
+ *
+ * Companion file for "Groups Audit - Batch Processing.js" (required).
+ *
+ * Instead of two Members.list calls per group (OWNER, then MANAGER) followed by a
+ * fixed sleep, this fetches OWNER and MANAGER members in ONE request per group and
+ * sends the requests for many groups at once with UrlFetchApp.fetchAll() against the
+ * Directory REST endpoint. CONFIG.FETCH_CONCURRENCY controls how many groups go in
+ * one round; rate-limited (429) and server errors (5xx) are retried with backoff.
+ * If fetchAll() itself throws, the round is split so only the failing group errors.
+ * When CONFIG.AUDIT_EXTERNAL_MEMBERS is true, all members are fetched instead
+ * (see "Groups External Members.js").
+ *
+ * OAuth Scopes Required:
+ * @scope https://www.googleapis.com/auth/admin.directory.group.member.readonly
+ * @scope https://www.googleapis.com/auth/script.external_request
+ */
+
+const DIRECTORY_API_BASE = 'https://admin.googleapis.com/admin/directory/v1';
+const FETCH_MAX_RETRIES = 3;
+
+/**
+ * Fetches the OWNER and MANAGER members of several groups concurrently
+ */
+function fetchPrivilegedMembers(groupEmails) {
+    return fetchGroupMembers(groupEmails, 'OWNER,MANAGER');
+}
+
+/**
+ * Fetches the members of several groups concurrently, optionally limited to
+ * comma-separated roles (e.g. 'OWNER,MANAGER').
+ * Returns { groupEmail: { members: [...], error: null | 'message', notFound: boolean } }
+ * notFound is true when the group was deleted after the groups list was fetched.
+ */
+function fetchGroupMembers(groupEmails, roles) {
+    const results = {};
+    groupEmails.forEach(email => {
+        results[email] = { members: [], error: null, notFound: false };
+    });
+
+    const token = ScriptApp.getOAuthToken();
+    let pending = groupEmails.map(email => ({ email: email, pageToken: null, attempt: 0 }));
+
+    while (pending.length > 0) {
+        const requests = pending.map(request => ({
+            url: buildMembersUrl(request.email, request.pageToken, roles),
+            headers: { Authorization: `Bearer ${token}` },
+            muteHttpExceptions: true
+        }));
+
+        const responses = fetchAllWithRecovery(requests, 0);
+
+        const next = [];
+        let retryAttempt = 0;
+
+        responses.forEach((response, i) => {
+            const request = pending[i];
+
+            // fetchAll() threw even for this request alone
+            if (response instanceof Error) {
+                Logger.log(`Error checking members for ${request.email}: ${response.message}`);
+                results[request.email].error = response.message;
+                return;
+            }
+
+            const code = response.getResponseCode();
+
+            if (code === 200) {
+                const body = JSON.parse(response.getContentText());
+
+                if (body.members) {
+                    results[request.email].members.push(...body.members);
+                }
+
+                // More pages - fetch them in the next round
+                if (body.nextPageToken) {
+                    next.push({ email: request.email, pageToken: body.nextPageToken, attempt: 0 });
+                }
+            } else if ((code === 429 || code >= 500) && request.attempt < FETCH_MAX_RETRIES) {
+                next.push({ email: request.email, pageToken: request.pageToken, attempt: request.attempt + 1 });
+                retryAttempt = Math.max(retryAttempt, request.attempt + 1);
+            } else {
+                const error = `HTTP ${code}: ${getFetchErrorMessage(response)}`;
+                Logger.log(`Error checking members for ${request.email}: ${error}`);
+                results[request.email].error = error;
+                results[request.email].notFound = code === 404;
+            }
+        });
+
+        // Exponential backoff when any request was throttled
+        if (retryAttempt > 0) {
+            Utilities.sleep(1000 * Math.pow(2, retryAttempt - 1));
+        }
+
+        pending = next;
+    }
+
+    return results;
+}
+
+/**
+ * UrlFetchApp.fetchAll() that does not fail the whole round when it throws
+ * (e.g. a network error or one bad request): the round is split in half and each
+ * half fetched again, and a single request is retried with backoff.
+ * Returns one entry per request - the HTTPResponse, or the Error if it still failed.
+ */
+function fetchAllWithRecovery(requests, attempt) {
+    try {
+        return UrlFetchApp.fetchAll(requests);
+    } catch (e) {
+        if (requests.length > 1) {
+            const middle = Math.ceil(requests.length / 2);
+            return fetchAllWithRecovery(requests.slice(0, middle), 0)
+                .concat(fetchAllWithRecovery(requests.slice(middle), 0));
+        }
+
+        if (attempt < FETCH_MAX_RETRIES) {
+            Utilities.sleep(1000 * Math.pow(2, attempt));
+            return fetchAllWithRecovery(requests, attempt + 1);
+        }
+
+        return [e];
+    }
+}
+
+/**
+ * Members.list REST URL for a group, optionally limited to some roles
+ */
+function buildMembersUrl(groupEmail, pageToken, roles) {
+    let url = `${DIRECTORY_API_BASE}/groups/${encodeURIComponent(groupEmail)}/members?maxResults=200`;
+    if (roles) {
+        url += `&roles=${roles}`;
+    }
+    if (pageToken) {
+        url += `&pageToken=${encodeURIComponent(pageToken)}`;
+    }
+    return url;
+}
+
+/**
+ * Extracts the API error message from a failed response
+ */
+function getFetchErrorMessage(response) {
+    try {
+        const body = JSON.parse(response.getContentText());
+        return body.error && body.error.message ? body.error.message : response.getContentText();
+    } catch (e) {
+        return response.getContentText();
+    }
+}
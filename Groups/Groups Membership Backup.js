@@ -0,0 +1,383 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * MEMBERSHIP BACKUP & POINT-IN-TIME RESTORE
+ *
+ * Companion file for "Groups Audit - Batch Processing.js".
+ * Add it to the same Apps Script project together with "Groups Member Fetcher.js"
+ * and "Groups Remediation.js" (restore uses setMemberRole).
+ *
+ * Backup - startMembershipBackup():
+ * Exports every group's members and roles to a dated Drive folder
+ * ("Groups Membership Backup - <date>") in CONFIG.MEMBERSHIP_BACKUP_FOLDER_ID or My Drive.
+ * The backup runs in batches through a trigger; each run writes one part as JSON
+ * (members-0001.json) and CSV (members-0001.csv). A manifest.json marks the backup complete.
+ *
+ * Restore - restoreGroupMemberships(snapshotFolderId, groupEmail):
+ * Compares the snapshot with the current members of one group (or all groups when
+ * groupEmail is omitted) and re-creates missing members and changed roles. Members
+ * added after the snapshot are never removed. With CONFIG.RESTORE_DRY_RUN (default)
+ * only the diff is written to the "Restore" tab of the tracking spreadsheet - review
+ * it, then set RESTORE_DRY_RUN to false and run the restore again.
+ *
+ * OAuth Scopes Required:
+ * @scope https://www.googleapis.com/auth/admin.directory.group.readonly
+ * @scope https://www.googleapis.com/auth/admin.directory.group.member
+ * @scope https://www.googleapis.com/auth/drive
+ * @scope https://www.googleapis.com/auth/spreadsheets
+ * @scope https://www.googleapis.com/auth/script.scriptapp
+ */
+
+const RESTORE_SHEET_NAME = 'Restore';
+const BACKUP_MANIFEST_NAME = 'manifest.json';
+
+/**
+ * START BACKUP - Exports the members of every group to a new dated snapshot
+ */
+function startMembershipBackup() {
+    const scriptProps = PropertiesService.getScriptProperties();
+
+    if (scriptProps.getProperty('backupIndex')) {
+        Logger.log('⚠️ A membership backup is still in progress - not starting a new one.');
+        return;
+    }
+
+    const folderName = `Groups Membership Backup - ${Utilities.formatDate(new Date(), 'GMT', 'yyyy-MM-dd HH:mm')}`;
+    const folder = CONFIG.MEMBERSHIP_BACKUP_FOLDER_ID
+        ? DriveApp.getFolderById(CONFIG.MEMBERSHIP_BACKUP_FOLDER_ID).createFolder(folderName)
+        : DriveApp.createFolder(folderName);
+
+    scriptProps.setProperty('backupFolderId', folder.getId());
+    scriptProps.setProperty('backupIndex', '0');
+    scriptProps.setProperty('backupPart', '0');
+    scriptProps.setProperty('backupErrors', '0');
+
+    Logger.log(`=== STARTING MEMBERSHIP BACKUP: ${folderName} ===`);
+
+    // The backup should contain the groups as they are now
+    getAllGroups(true);
+
+    createBatchTrigger('backupGroupMemberships');
+    backupGroupMemberships();
+}
+
+/**
+ * Backs up the next batch of groups (called by startMembershipBackup and its trigger)
+ */
+function backupGroupMemberships() {
+    const scriptProps = PropertiesService.getScriptProperties();
+    const startTime = new Date().getTime();
+
+    if (!scriptProps.getProperty('backupIndex')) {
+        Logger.log('No membership backup in progress. Run startMembershipBackup() to start one.');
+        deleteBatchTriggers('backupGroupMemberships');
+        return;
+    }
+
+    const folder = DriveApp.getFolderById(scriptProps.getProperty('backupFolderId'));
+    const allGroups = getAllGroups();
+    let index = parseInt(scriptProps.getProperty('backupIndex'));
+    const entries = [];
+
+    Logger.log(`Backing up members from group ${index + 1}/${allGroups.length}`);
+
+    while (index < allGroups.length) {
+        const elapsedTime = (new Date().getTime() - startTime) / 1000;
+        if (elapsedTime > CONFIG.MAX_EXECUTION_TIME) {
+            Logger.log(`\n⚠️ Time limit reached. Saving progress...`);
+            break;
+        }
+
+        const round = allGroups.slice(index, index + CONFIG.FETCH_CONCURRENCY);
+        const fetched = fetchGroupMembers(round.map(g => g.email));
+
+        round.forEach(group => {
+            const result = fetched[group.email];
+
+            // Deleted since the groups list was fetched
+            if (result.notFound) return;
+
+            entries.push({
+                email: group.email,
+                name: group.name,
+                error: result.error,
+                members: result.members.map(m => ({
+                    email: m.email || '',
+                    id: m.id,
+                    role: m.role,
+                    type: m.type,
+                    status: m.status || ''
+                }))
+            });
+        });
+
+        index += round.length;
+        Utilities.sleep(CONFIG.DELAY_BETWEEN_GROUPS);
+    }
+
+    const errors = parseInt(scriptProps.getProperty('backupErrors') || '0') + entries.filter(e => e.error).length;
+    scriptProps.setProperty('backupErrors', errors.toString());
+
+    if (entries.length > 0) {
+        const part = parseInt(scriptProps.getProperty('backupPart')) + 1;
+        writeBackupPart(folder, part, entries);
+        scriptProps.setProperty('backupPart', part.toString());
+    }
+
+    Logger.log(`💾 Backed up ${entries.length} groups this run | Progress: ${index}/${allGroups.length}`);
+
+    if (index >= allGroups.length) {
+        folder.createFile(BACKUP_MANIFEST_NAME, JSON.stringify({
+            completedAt: new Date().toISOString(),
+            groups: allGroups.length,
+            groupsWithErrors: errors,
+            parts: parseInt(scriptProps.getProperty('backupPart')),
+            scope: describeAuditScope()
+        }, null, 2), MimeType.PLAIN_TEXT);
+
+        scriptProps.setProperty('lastMembershipBackupFolderId', folder.getId());
+        scriptProps.deleteProperty('backupIndex');
+        scriptProps.deleteProperty('backupPart');
+        scriptProps.deleteProperty('backupFolderId');
+        scriptProps.deleteProperty('backupErrors');
+        deleteBatchTriggers('backupGroupMemberships');
+
+        Logger.log(`✅ Membership backup complete: ${folder.getUrl()}`);
+        if (errors > 0) {
+            Logger.log(`⚠️ Members of ${errors} groups could not be read - see "error" in the JSON parts.`);
+        }
+    } else {
+        scriptProps.setProperty('backupIndex', index.toString());
+        Logger.log(`▶️ Remaining groups are backed up by the next run.`);
+    }
+}
+
+/**
+ * Writes one backup part as JSON and CSV
+ */
+function writeBackupPart(folder, part, entries) {
+    const name = `members-${('000' + part).slice(-4)}`;
+
+    folder.createFile(`${name}.json`, JSON.stringify(entries), MimeType.PLAIN_TEXT);
+
+    const csvRows = [['Group Email', 'Group Name', 'Member Email', 'Member ID', 'Role', 'Type', 'Status']];
+    entries.forEach(entry => {
+        entry.members.forEach(m => {
+            csvRows.push([entry.email, entry.name, m.email, m.id, m.role, m.type, m.status]);
+        });
+    });
+
+    const csv = csvRows.map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(',')).join('\n');
+    folder.createFile(`${name}.csv`, csv, MimeType.CSV);
+}
+
+/**
+ * LIST BACKUPS - Logs the completed snapshots (use the ID with restoreGroupMemberships)
+ */
+function listMembershipBackups() {
+    const parent = CONFIG.MEMBERSHIP_BACKUP_FOLDER_ID
+        ? DriveApp.getFolderById(CONFIG.MEMBERSHIP_BACKUP_FOLDER_ID)
+        : DriveApp.getRootFolder();
+    const folders = parent.searchFolders("title contains 'Groups Membership Backup - '");
+
+    Logger.log('=== MEMBERSHIP BACKUPS ===');
+
+    while (folders.hasNext()) {
+        const folder = folders.next();
+        const complete = folder.getFilesByName(BACKUP_MANIFEST_NAME).hasNext();
+        Logger.log(`${folder.getName()} | ID: ${folder.getId()}${complete ? '' : ' | INCOMPLETE'}`);
+    }
+}
+
+/**
+ * RESTORE - Re-creates missing members and roles from a snapshot.
+ * Leave groupEmail empty to restore every group in the snapshot.
+ * Runs as a dry run (diff only) while CONFIG.RESTORE_DRY_RUN is true.
+ */
+function restoreGroupMemberships(snapshotFolderId, groupEmail) {
+    const scriptProps = PropertiesService.getScriptProperties();
+    const startTime = new Date().getTime();
+    const dryRun = CONFIG.RESTORE_DRY_RUN;
+    const folderId = snapshotFolderId || scriptProps.getProperty('lastMembershipBackupFolderId');
+
+    if (!folderId) {
+        Logger.log('No snapshot given and no completed backup found. Run listMembershipBackups() to find one.');
+        return;
+    }
+
+    const folder = DriveApp.getFolderById(folderId);
+    if (!folder.getFilesByName(BACKUP_MANIFEST_NAME).hasNext()) {
+        Logger.log(`❌ ${folder.getName()} is incomplete - restore refused.`);
+        return;
+    }
+
+    let entries = readBackupSnapshot(folder);
+    if (groupEmail) {
+        entries = entries.filter(e => e.email.toLowerCase() === groupEmail.toLowerCase());
+        if (entries.length === 0) {
+            Logger.log(`❌ ${groupEmail} is not in ${folder.getName()}.`);
+            return;
+        }
+    }
+
+    Logger.log(`=== RESTORE FROM ${folder.getName()} (${dryRun ? 'DRY RUN' : 'LIVE'}) ===`);
+    Logger.log(`Groups to compare: ${entries.length}`);
+
+    // An all-groups restore continues where the last run of the same restore stopped
+    let startIndex = 0;
+    if (!groupEmail && scriptProps.getProperty('restoreIndex')) {
+        if (scriptProps.getProperty('restoreFolderId') === folderId && scriptProps.getProperty('restoreDryRun') === String(dryRun)) {
+            startIndex = parseInt(scriptProps.getProperty('restoreIndex'));
+            Logger.log(`Continuing from group ${startIndex + 1}/${entries.length}`);
+        } else {
+            Logger.log('⚠️ Discarding the saved position of a different restore - starting from the first group.');
+        }
+    }
+
+    const timestamp = Utilities.formatDate(new Date(), 'GMT', 'yyyy-MM-dd HH:mm:ss');
+    const logRows = [];
+    let compared = 0;
+    let changes = 0;
+    let stoppedAt = null;
+
+    for (let i = startIndex; i < entries.length; i++) {
+        const elapsedTime = (new Date().getTime() - startTime) / 1000;
+        if (elapsedTime > CONFIG.MAX_EXECUTION_TIME) {
+            Logger.log(`\n⚠️ Time limit reached after ${compared} groups. Run the restore again to continue from group ${i + 1}/${entries.length}.`);
+            stoppedAt = i;
+            break;
+        }
+
+        const entry = entries[i];
+        compared++;
+
+        let current;
+        try {
+            current = listGroupMembers(entry.email);
+        } catch (e) {
+            logRows.push([timestamp, folder.getName(), entry.email, '', '', '', '', 'SKIPPED', `Group can't be read: ${e.message}`]);
+            continue;
+        }
+
+        const currentRoles = {};
+        current.forEach(m => {
+            currentRoles[m.id] = m.role;
+        });
+
+        diffBackupEntry(entry, currentRoles).forEach(change => {
+            const memberLabel = change.member.email || change.member.id;
+            const outcome = dryRun
+                ? { status: 'DRY_RUN', detail: '' }
+                : applyRestoreChange(entry.email, change);
+
+            logRows.push([timestamp, folder.getName(), entry.email, memberLabel, change.action, change.fromRole, change.member.role, outcome.status, outcome.detail]);
+            changes++;
+        });
+    }
+
+    if (logRows.length > 0) {
+        const sheet = getRestoreSheet();
+        sheet.getRange(sheet.getLastRow() + 1, 1, logRows.length, logRows[0].length).setValues(logRows);
+    }
+
+    if (!groupEmail) {
+        if (stoppedAt !== null) {
+            scriptProps.setProperty('restoreFolderId', folderId);
+            scriptProps.setProperty('restoreDryRun', String(dryRun));
+            scriptProps.setProperty('restoreIndex', stoppedAt.toString());
+        } else {
+            scriptProps.deleteProperty('restoreIndex');
+            scriptProps.deleteProperty('restoreFolderId');
+            scriptProps.deleteProperty('restoreDryRun');
+        }
+    }
+
+    Logger.log(`${dryRun ? 'Changes that would be made' : 'Changes made'}: ${changes} in ${compared} groups`);
+    Logger.log(`See the "${RESTORE_SHEET_NAME}" tab: ${getTrackingSpreadsheet().getUrl()}`);
+}
+
+/**
+ * Reads every part of a snapshot folder into one list of group entries
+ */
+function readBackupSnapshot(folder) {
+    const parts = [];
+    const files = folder.getFiles();
+
+    while (files.hasNext()) {
+        const file = files.next();
+        if (/^members-\d+\.json$/.test(file.getName())) parts.push(file);
+    }
+
+    // Read the parts in order so a saved restore position points at the same group every run
+    parts.sort((a, b) => a.getName().localeCompare(b.getName()));
+
+    const entries = [];
+    parts.forEach(file => {
+        entries.push(...JSON.parse(file.getBlob().getDataAsString()));
+    });
+
+    return entries;
+}
+
+/**
+ * Works out what must change to bring a group back to its snapshot:
+ * [{ action: 'ADD' | 'ROLE', fromRole, member }]
+ */
+function diffBackupEntry(entry, currentRoles) {
+    const changes = [];
+
+    entry.members.forEach(member => {
+        const currentRole = currentRoles[member.id];
+
+        if (!currentRole) {
+            changes.push({ action: 'ADD', fromRole: '', member: member });
+        } else if (currentRole !== member.role) {
+            changes.push({ action: 'ROLE', fromRole: currentRole, member: member });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Applies one restore change. Returns { status: 'RESTORED' | 'ERROR', detail }
+ */
+function applyRestoreChange(groupEmail, change) {
+    const member = change.member;
+
+    try {
+        if (member.type === 'CUSTOMER') {
+            // "All users in domain" has no email - it can only be added by ID
+            if (change.action === 'ADD') {
+                AdminDirectory.Members.insert({ id: member.id, type: 'CUSTOMER', role: member.role }, groupEmail);
+            } else {
+                AdminDirectory.Members.patch({ role: member.role }, groupEmail, member.id);
+            }
+        } else {
+            setMemberRole(groupEmail, member.email, member.role);
+        }
+
+        return { status: 'RESTORED', detail: '' };
+    } catch (e) {
+        return { status: 'ERROR', detail: e.message };
+    }
+}
+
+/**
+ * Opens (or creates) the "Restore" tab in the tracking spreadsheet
+ */
+function getRestoreSheet() {
+    const ss = getTrackingSpreadsheet();
+    let sheet = ss.getSheetByName(RESTORE_SHEET_NAME);
+
+    if (!sheet) {
+        sheet = ss.insertSheet(RESTORE_SHEET_NAME);
+        sheet.appendRow(['Run At (GMT)', 'Snapshot', 'Group Email', 'Member', 'Action', 'Current Role', 'Snapshot Role', 'Status', 'Detail']);
+        sheet.getRange(1, 1, 1, 9).setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
+        sheet.setFrozenRows(1);
+    }
+
+    return sheet;
+}
@@ -0,0 +1,217 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * NESTED GROUP MEMBERSHIP RESOLVER
+ *
+ * Companion file for "Groups Audit - Batch Processing.js".
+ * Add it to the same Apps Script project - it uses the shared CONFIG object.
+ *
+ * A group can hold the OWNER or MANAGER role inside another group. The Members API
+ * only tells us that the nested group holds the role, not whether any real person
+ * is behind it. This resolver expands nested groups recursively (with cycle
+ * detection) and returns the effective set of active human owners/managers.
+ *
+ * Resolution status for a role:
+ * - DIRECT:   at least one active user holds the role directly
+ * - NESTED:   active users hold the role only through nested groups
+ * - INACTIVE: the role is held only by suspended users and/or empty/inactive nested groups
+ * - NONE:     nobody holds the role
+ *
+ * OAuth Scopes Required:
+ * @scope https://www.googleapis.com/auth/admin.directory.group.member.readonly
+ */
+
+/**
+ * Per-execution cache of expanded nested groups: { groupEmail: [activeUserEmails] }
+ * Groups whose expansion hit a cycle or an error are not cached.
+ */
+const nestedGroupCache = {};
+
+/**
+ * Resolves who effectively holds a role in a group.
+ * Pass `roleHolders` when the group's members with that role were already fetched.
+ * Returns { status, directUsers, inactiveUsers, nestedGroups, effectiveUsers, cycles, unresolvedGroups }
+ */
+function resolveRoleHolders(groupEmail, role, roleHolders) {
+    const resolution = {
+        directUsers: [],        // Active users holding the role directly
+        inactiveUsers: [],      // Suspended/archived users holding the role directly
+        nestedGroups: [],       // [{ email, activeUsers }] nested groups holding the role
+        effectiveUsers: [],     // Unique active humans, direct + nested
+        cycles: [],             // Membership loops found while expanding, e.g. 'a@ → b@ → a@'
+        unresolvedGroups: []    // Nested groups that could not be listed (e.g. other domains)
+    };
+
+    const effective = new Set();
+    const rootPath = [groupEmail.toLowerCase()];
+
+    (roleHolders || listGroupMembers(groupEmail, role)).forEach(member => {
+        if (member.type === 'GROUP') {
+            const nested = expandNestedGroup(member.email, rootPath, resolution);
+            resolution.nestedGroups.push({ email: member.email, activeUsers: nested.length });
+            nested.forEach(email => effective.add(email));
+        } else if (isActiveMember(member)) {
+            const email = getMemberLabel(member);
+            resolution.directUsers.push(email);
+            effective.add(email);
+        } else {
+            resolution.inactiveUsers.push(getMemberLabel(member));
+        }
+    });
+
+    resolution.effectiveUsers = Array.from(effective);
+    resolution.status = getResolutionStatus(resolution);
+
+    return resolution;
+}
+
+/**
+ * Recursively expands a nested group into its active human members (all roles).
+ * `path` holds the groups above this one and is used to detect cycles.
+ */
+function expandNestedGroup(groupEmail, path, resolution) {
+    const key = groupEmail.toLowerCase();
+
+    // Cycle: this group is already being expanded further up the chain
+    const cycleStart = path.indexOf(key);
+    if (cycleStart !== -1) {
+        const cycle = path.slice(cycleStart).concat(key).join(' → ');
+        if (resolution.cycles.indexOf(cycle) === -1) {
+            Logger.log(`⚠️ Nested group cycle detected: ${cycle}`);
+            resolution.cycles.push(cycle);
+        }
+        return [];
+    }
+
+    if (nestedGroupCache[key]) {
+        return nestedGroupCache[key];
+    }
+
+    if (path.length >= CONFIG.MAX_NESTING_DEPTH) {
+        Logger.log(`⚠️ Max nesting depth (${CONFIG.MAX_NESTING_DEPTH}) reached at ${groupEmail}`);
+        resolution.unresolvedGroups.push(groupEmail);
+        return [];
+    }
+
+    let members;
+    try {
+        members = listGroupMembers(groupEmail);
+    } catch (e) {
+        Logger.log(`Error expanding nested group ${groupEmail}: ${e.message}`);
+        resolution.unresolvedGroups.push(groupEmail);
+        return [];
+    }
+
+    const users = new Set();
+    const cyclesBefore = resolution.cycles.length;
+    const unresolvedBefore = resolution.unresolvedGroups.length;
+    const childPath = path.concat(key);
+
+    members.forEach(member => {
+        if (member.type === 'GROUP') {
+            expandNestedGroup(member.email, childPath, resolution).forEach(email => users.add(email));
+        } else if (isActiveMember(member)) {
+            users.add(getMemberLabel(member));
+        }
+    });
+
+    const result = Array.from(users);
+
+    // Only cache complete expansions - a cycle or error leaves this result partial
+    if (resolution.cycles.length === cyclesBefore && resolution.unresolvedGroups.length === unresolvedBefore) {
+        nestedGroupCache[key] = result;
+    }
+
+    return result;
+}
+
+/**
+ * Lists all direct members of a group, optionally filtered by role(s).
+ * Errors are thrown to the caller.
+ */
+function listGroupMembers(groupEmail, roles) {
+    const members = [];
+    let pageToken;
+
+    do {
+        const options = {
+            maxResults: 200,
+            pageToken: pageToken
+        };
+        if (roles) {
+            options.roles = roles;
+        }
+
+        const response = AdminDirectory.Members.list(groupEmail, options);
+
+        if (response.members) {
+            members.push(...response.members);
+        }
+
+        pageToken = response.nextPageToken;
+    } while (pageToken);
+
+    return members;
+}
+
+/**
+ * A USER member counts as active unless suspended or archived.
+ * A CUSTOMER member ("all users in the domain") always counts as active.
+ */
+function isActiveMember(member) {
+    if (member.type === 'CUSTOMER') {
+        return true;
+    }
+    return member.status !== 'SUSPENDED' && member.status !== 'ARCHIVED';
+}
+
+/**
+ * Works out the DIRECT / NESTED / INACTIVE / NONE status of a resolution
+ */
+function getResolutionStatus(resolution) {
+    if (resolution.directUsers.length > 0) {
+        return 'DIRECT';
+    }
+    if (resolution.effectiveUsers.length > 0) {
+        return 'NESTED';
+    }
+    if (resolution.inactiveUsers.length > 0 || resolution.nestedGroups.length > 0) {
+        return 'INACTIVE';
+    }
+    return 'NONE';
+}
+
+/**
+ * Human-readable summary of a resolution for the report
+ */
+function describeResolution(resolution) {
+    let text;
+
+    switch (resolution.status) {
+        case 'DIRECT':
+            text = `Direct (${resolution.effectiveUsers.length} effective)`;
+            break;
+        case 'NESTED':
+            text = `Nested only (${resolution.effectiveUsers.length} via ${resolution.nestedGroups.map(g => g.email).join(', ')})`;
+            break;
+        case 'INACTIVE': {
+            const holders = resolution.nestedGroups.map(g => `${g.email} (empty/inactive)`)
+                .concat(resolution.inactiveUsers.map(email => `${email} (suspended)`));
+            text = `Only empty/inactive: ${holders.join(', ')}`;
+            break;
+        }
+        default:
+            text = 'None';
+    }
+
+    if (resolution.cycles.length > 0) {
+        text += ` | Cycle: ${resolution.cycles.join('; ')}`;
+    }
+    if (resolution.unresolvedGroups.length > 0) {
+        text += ` | Unresolved: ${resolution.unresolvedGroups.join(', ')}`;
+    }
+
+    return text;
+}
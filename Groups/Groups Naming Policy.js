@@ -0,0 +1,71 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * GROUP NAMING & DESCRIPTION POLICY
+ *
+ * Companion file for "Groups Audit - Batch Processing.js".
+ * Used when CONFIG.CHECK_NAMING_POLICY is true. Every group is checked against the
+ * configured rules, using only the data from the groups list (no extra API calls):
+ *
+ * - NAMING_PATTERN:      the email address doesn't match the regex for its domain
+ *                        (CONFIG.NAMING_PATTERNS, '*' applies to all other domains)
+ * - MISSING_DESCRIPTION: the group has no description (CONFIG.REQUIRE_DESCRIPTION)
+ * - TOO_MANY_MEMBERS:    a group not created by an admin has more than
+ *                        CONFIG.MAX_MEMBERS_USER_CREATED members
+ * - FORBIDDEN_WORD:      the name or email contains a word from CONFIG.FORBIDDEN_WORDS
+ *
+ * Violations are added to the audit results with their rule ID, so a group that
+ * breaks the policy is reported even if it has an owner and a manager.
+ */
+
+/**
+ * Checks a group from the Directory groups list against the naming policy.
+ * Returns [{ ruleId, finding }]
+ */
+function evaluateNamingPolicy(group) {
+    const violations = [];
+    const email = group.email.toLowerCase();
+    const localPart = email.split('@')[0];
+    const domain = email.split('@')[1];
+
+    const pattern = CONFIG.NAMING_PATTERNS[domain] || CONFIG.NAMING_PATTERNS['*'];
+    if (pattern && !new RegExp(pattern, 'i').test(localPart)) {
+        violations.push({ ruleId: 'NAMING_PATTERN', finding: `Address doesn't match ${pattern}` });
+    }
+
+    if (CONFIG.REQUIRE_DESCRIPTION && !String(group.description || '').trim()) {
+        violations.push({ ruleId: 'MISSING_DESCRIPTION', finding: 'No description' });
+    }
+
+    const memberCount = parseInt(group.directMembersCount || '0');
+    if (CONFIG.MAX_MEMBERS_USER_CREATED && !group.adminCreated && memberCount > CONFIG.MAX_MEMBERS_USER_CREATED) {
+        violations.push({ ruleId: 'TOO_MANY_MEMBERS', finding: `${memberCount} members in a user-created group (max ${CONFIG.MAX_MEMBERS_USER_CREATED})` });
+    }
+
+    const text = `${group.name || ''} ${localPart}`.toLowerCase();
+    const forbidden = CONFIG.FORBIDDEN_WORDS.filter(word => new RegExp(`(^|[^a-z0-9])${escapeRegExp(word.toLowerCase())}([^a-z0-9]|$)`).test(text));
+    if (forbidden.length > 0) {
+        violations.push({ ruleId: 'FORBIDDEN_WORD', finding: `Contains ${forbidden.map(w => `"${w}"`).join(', ')}` });
+    }
+
+    return violations;
+}
+
+/**
+ * Escapes regex metacharacters so a word (e.g. "c++" or "v1.0") is matched literally
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Report text for a list of violations, e.g. "MISSING_DESCRIPTION: No description; ..."
+ */
+function describePolicyViolations(violations) {
+    if (violations.length === 0) {
+        return 'None';
+    }
+    return violations.map(v => `${v.ruleId}: ${v.finding}`).join('; ');
+}
@@ -0,0 +1,139 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * OWNER / MANAGER ACTIVITY CHECKS
+ *
+ * Companion file for "Groups Audit - Batch Processing.js".
+ * Add it to the same Apps Script project. With CONFIG.RESOLVE_NESTED_GROUPS (and
+ * "Groups Membership Resolver.js") the effective owners of nested groups are checked too.
+ *
+ * A group still "has an owner" when that owner was suspended by the inactive-user
+ * scripts months ago. This file looks up each effective owner/manager in the
+ * Directory API and classifies the account:
+ * - ACTIVE:    can act as an owner
+ * - SUSPENDED: account is suspended
+ * - ARCHIVED:  account is archived
+ * - DELETED:   account in one of our domains no longer exists
+ * - INACTIVE:  no login for more than CONFIG.OWNER_INACTIVITY_DAYS
+ * - EXTERNAL:  outside our domains, can't be checked (counted as active)
+ * - UNKNOWN:   lookup failed (counted as active so API errors never flag a group)
+ *
+ * OAuth Scopes Required:
+ * @scope https://www.googleapis.com/auth/admin.directory.user.readonly
+ */
+
+/**
+ * Per-execution cache - owners often appear on many groups
+ */
+const accountStatusCache = {};
+
+/**
+ * Splits a list of owner/manager emails into active and inactive accounts.
+ * Returns { active: [email], inactive: [{ email, status, detail }] }
+ */
+function assessAccounts(emails) {
+    const assessment = { active: [], inactive: [] };
+
+    emails.forEach(email => {
+        const account = getAccountStatus(email);
+
+        if (isUsableAccountStatus(account.status)) {
+            assessment.active.push(email);
+        } else {
+            assessment.inactive.push({ email: email, status: account.status, detail: account.detail });
+        }
+    });
+
+    return assessment;
+}
+
+/**
+ * Looks up a single account in the Directory API (cached per execution).
+ * Returns { status, detail }
+ */
+function getAccountStatus(email) {
+    const key = email.toLowerCase();
+
+    if (accountStatusCache[key]) {
+        return accountStatusCache[key];
+    }
+
+    let account;
+
+    if (key.indexOf('@') === -1) {
+        // e.g. the CUSTOMER member ("All users in domain")
+        account = { status: 'ACTIVE', detail: '' };
+    } else {
+        try {
+            const user = AdminDirectory.Users.get(key);
+            account = classifyAccount(user);
+        } catch (e) {
+            const domain = key.split('@')[1];
+
+            if (getVerifiedDomains().indexOf(domain) === -1) {
+                account = { status: 'EXTERNAL', detail: '' };
+            } else if (/not found/i.test(e.message)) {
+                account = { status: 'DELETED', detail: 'account no longer exists' };
+            } else {
+                Logger.log(`Error looking up ${key}: ${e.message}`);
+                account = { status: 'UNKNOWN', detail: e.message };
+            }
+        }
+    }
+
+    accountStatusCache[key] = account;
+    return account;
+}
+
+/**
+ * Classifies a Directory user as ACTIVE, SUSPENDED, ARCHIVED or INACTIVE.
+ * Users who never logged in are judged by their creation date, so new accounts aren't flagged.
+ */
+function classifyAccount(user) {
+    if (user.suspended) {
+        return { status: 'SUSPENDED', detail: user.suspensionReason || '' };
+    }
+
+    if (user.archived) {
+        return { status: 'ARCHIVED', detail: '' };
+    }
+
+    const cutoff = new Date().getTime() - (CONFIG.OWNER_INACTIVITY_DAYS * 24 * 60 * 60 * 1000);
+
+    // Directory API returns the epoch when the user has never logged in
+    const lastLogin = user.lastLoginTime ? new Date(user.lastLoginTime) : null;
+    const hasLoggedIn = lastLogin && lastLogin.getTime() > 0;
+
+    if (hasLoggedIn && lastLogin.getTime() < cutoff) {
+        return { status: 'INACTIVE', detail: `last login ${Utilities.formatDate(lastLogin, 'GMT', 'yyyy-MM-dd')}` };
+    }
+
+    if (!hasLoggedIn && new Date(user.creationTime).getTime() < cutoff) {
+        return { status: 'INACTIVE', detail: 'never logged in' };
+    }
+
+    return { status: 'ACTIVE', detail: '' };
+}
+
+/**
+ * Statuses that still count as a usable owner/manager
+ */
+function isUsableAccountStatus(status) {
+    return status === 'ACTIVE' || status === 'EXTERNAL' || status === 'UNKNOWN';
+}
+
+/**
+ * Human-readable list of inactive accounts for the report
+ */
+function describeInactiveAccounts(inactive) {
+    if (inactive.length === 0) {
+        return 'None';
+    }
+
+    return inactive.map(account => {
+        const detail = account.detail ? `: ${account.detail}` : '';
+        return `${account.email} (${account.status}${detail})`;
+    }).join(', ');
+}
@@ -0,0 +1,211 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * OWNER NOMINATION EMAILS
+ *
+ * Companion file for "Groups Audit - Batch Processing.js".
+ * Add it to the same Apps Script project together with "Groups Membership Resolver.js".
+ *
+ * After the final report is generated, each group without an OWNER gets one email
+ * asking its people to nominate an owner:
+ * - the group's active MANAGERS, or
+ * - its first CONFIG.NOMINATION_TOP_MEMBERS active members if it has no managers
+ *
+ * Every outreach is logged in a "Notifications" tab. A group is not emailed again
+ * until CONFIG.NOMINATION_COOLDOWN_DAYS have passed. Sending stops when the MailApp
+ * daily quota (minus NOMINATION_QUOTA_RESERVE) or MAX_NOMINATIONS_PER_RUN is reached;
+ * skipped groups are picked up after the next completed audit.
+ *
+ * OAuth Scopes Required:
+ * @scope https://www.googleapis.com/auth/admin.directory.group.member.readonly
+ * @scope https://www.googleapis.com/auth/script.send_mail
+ * @scope https://www.googleapis.com/auth/spreadsheets
+ */
+
+const NOTIFICATIONS_SHEET_NAME = 'Notifications';
+
+/**
+ * Emails the managers (or top members) of every orphaned group that wasn't contacted recently
+ */
+function sendOwnerNominationEmails(groups) {
+    const orphanedGroups = groups.filter(g => g.hasOwner === false);
+    if (orphanedGroups.length === 0) {
+        return;
+    }
+
+    Logger.log(`\n📨 Sending owner nomination emails for ${orphanedGroups.length} orphaned groups...`);
+
+    const sheet = getNotificationsSheet();
+    const lastNotified = getLastNotifiedDates(sheet);
+    const cooldownCutoff = new Date().getTime() - (CONFIG.NOMINATION_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+
+    const logRows = [];
+    let sent = 0;
+    let skippedRecent = 0;
+
+    for (let i = 0; i < orphanedGroups.length; i++) {
+        const group = orphanedGroups[i];
+        const key = group.groupEmail.toLowerCase();
+
+        if (lastNotified[key] && lastNotified[key].getTime() > cooldownCutoff) {
+            skippedRecent++;
+            continue;
+        }
+
+        if (sent >= CONFIG.MAX_NOMINATIONS_PER_RUN) {
+            Logger.log(`⚠️ MAX_NOMINATIONS_PER_RUN (${CONFIG.MAX_NOMINATIONS_PER_RUN}) reached. Remaining groups will be emailed after the next audit.`);
+            break;
+        }
+
+        const recipients = getNominationRecipients(group.groupEmail);
+        const timestamp = Utilities.formatDate(new Date(), 'GMT', 'yyyy-MM-dd HH:mm:ss');
+
+        if (recipients.emails.length === 0) {
+            logRows.push([timestamp, group.groupEmail, group.groupName, '', 'NONE', 'NO_RECIPIENTS', '']);
+            continue;
+        }
+
+        // Each recipient counts against the MailApp daily quota
+        const remainingQuota = MailApp.getRemainingDailyQuota() - CONFIG.NOMINATION_QUOTA_RESERVE;
+        if (remainingQuota < recipients.emails.length) {
+            Logger.log(`⚠️ MailApp quota reached (${MailApp.getRemainingDailyQuota()} left). Remaining groups will be emailed after the next audit.`);
+            break;
+        }
+
+        try {
+            sendNominationEmail(group, recipients.emails);
+            logRows.push([timestamp, group.groupEmail, group.groupName, recipients.emails.join(', '), recipients.type, 'SENT', '']);
+            sent++;
+        } catch (e) {
+            Logger.log(`Error sending nomination email for ${group.groupEmail}: ${e.message}`);
+            logRows.push([timestamp, group.groupEmail, group.groupName, recipients.emails.join(', '), recipients.type, 'FAILED', e.message]);
+        }
+    }
+
+    if (logRows.length > 0) {
+        sheet.getRange(sheet.getLastRow() + 1, 1, logRows.length, logRows[0].length).setValues(logRows);
+    }
+
+    Logger.log(`📨 Nomination emails sent: ${sent} | Skipped (emailed in last ${CONFIG.NOMINATION_COOLDOWN_DAYS} days): ${skippedRecent}`);
+}
+
+/**
+ * Picks who to ask: active MANAGERS, or the first N active members if there are none.
+ * Returns { type: 'MANAGERS' | 'MEMBERS' | 'NONE', emails: [] }
+ */
+function getNominationRecipients(groupEmail) {
+    try {
+        const isPerson = m => m.type === 'USER' && m.email && isActiveMember(m);
+
+        const managers = listGroupMembers(groupEmail, 'MANAGER').filter(isPerson);
+        if (managers.length > 0) {
+            return { type: 'MANAGERS', emails: managers.map(m => m.email) };
+        }
+
+        const members = listGroupMembers(groupEmail, 'MEMBER').filter(isPerson);
+        if (members.length > 0) {
+            return { type: 'MEMBERS', emails: members.slice(0, CONFIG.NOMINATION_TOP_MEMBERS).map(m => m.email) };
+        }
+    } catch (e) {
+        Logger.log(`Error listing nomination recipients for ${groupEmail}: ${e.message}`);
+    }
+
+    return { type: 'NONE', emails: [] };
+}
+
+/**
+ * Sends the nomination request for one group
+ */
+function sendNominationEmail(group, recipients) {
+    const replyTo = CONFIG.NOMINATION_REPLY_TO || CONFIG.EMAIL_RECIPIENTS.split(',')[0].trim();
+
+    const htmlBody = `
+      <html>
+        <body style="font-family: Arial, sans-serif; color: #333; line-height: 1.6;">
+          <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px;">
+            <h2 style="color: #4285f4; border-bottom: 2px solid #4285f4; padding-bottom: 10px;">
+              👥 Your group needs an owner
+            </h2>
+
+            <p>Hello,</p>
+
+            <p>You are receiving this email because you are a member or manager of the group
+               <strong>${escapeHtml(group.groupName)}</strong> (${escapeHtml(group.groupEmail)}), which currently has <strong>no owner</strong>.</p>
+
+            <p>Groups without an owner can't be managed properly. Please <strong>reply to this email</strong>
+               with the name of the person who should own this group (it can be yourself).</p>
+
+            <p style="margin-top: 30px; font-size: 12px; color: #666; border-top: 1px solid #ddd; padding-top: 15px;">
+              This request was sent by the Google Workspace groups audit.
+            </p>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const plainBody = `
+Your group needs an owner
+=========================
+
+You are receiving this email because you are a member or manager of the group
+${group.groupName} (${group.groupEmail}), which currently has no owner.
+
+Groups without an owner can't be managed properly. Please reply to this email
+with the name of the person who should own this group (it can be yourself).
+
+---
+This request was sent by the Google Workspace groups audit.
+    `;
+
+    MailApp.sendEmail({
+        to: recipients.join(','),
+        replyTo: replyTo,
+        subject: `${CONFIG.NOMINATION_SUBJECT}: ${group.groupEmail}`,
+        body: plainBody,
+        htmlBody: htmlBody
+    });
+}
+
+/**
+ * Opens (or creates) the "Notifications" tab in the tracking spreadsheet
+ */
+function getNotificationsSheet() {
+    const ss = getTrackingSpreadsheet();
+    let sheet = ss.getSheetByName(NOTIFICATIONS_SHEET_NAME);
+
+    if (!sheet) {
+        sheet = ss.insertSheet(NOTIFICATIONS_SHEET_NAME);
+        sheet.appendRow(['Sent At (GMT)', 'Group Email', 'Group Name', 'Recipients', 'Recipient Type', 'Status', 'Error']);
+        sheet.getRange(1, 1, 1, 7).setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
+        sheet.setFrozenRows(1);
+    }
+
+    return sheet;
+}
+
+/**
+ * Reads the Notifications tab into { groupEmail: Date of the last SENT email }
+ */
+function getLastNotifiedDates(sheet) {
+    const lastNotified = {};
+    const lastRow = sheet.getLastRow();
+
+    if (lastRow < 2) {
+        return lastNotified;
+    }
+
+    sheet.getRange(2, 1, lastRow - 1, 6).getValues().forEach(row => {
+        if (row[5] !== 'SENT') return;
+
+        const key = String(row[1]).toLowerCase();
+        const sentAt = row[0] instanceof Date ? row[0] : new Date(String(row[0]).replace(' ', 'T') + 'Z');
+
+        if (!lastNotified[key] || sentAt > lastNotified[key]) {
+            lastNotified[key] = sentAt;
+        }
+    });
+
+    return lastNotified;
+}
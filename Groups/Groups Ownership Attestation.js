@@ -0,0 +1,476 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * GROUP OWNERSHIP ATTESTATION
+ *
+ * Companion file for "Groups Audit - Batch Processing.js".
+ * Add it to the same Apps Script project together with "Groups Member Fetcher.js"
+ * and "Groups Membership Resolver.js", and deploy the project as a web app
+ * (Deploy → New deployment → Web app, execute as: Me, access: anyone in your domain).
+ *
+ * An attestation cycle asks the owners of every group to confirm they still own it:
+ * 1. startAttestationCycle() emails the active OWNERS of each group a personal link to
+ *    the web app. Sending is batched (MailApp quota, time limit) and continues through
+ *    a trigger until every group was handled.
+ * 2. On the web app page (doGet) an owner confirms ownership, asks to transfer it to
+ *    someone else, or requests deletion of the group. The answer (doPost) is recorded
+ *    in the "Attestations" tab of the tracking spreadsheet.
+ * 3. Groups whose owners don't answer within CONFIG.ATTESTATION_DEADLINE_DAYS are marked
+ *    OVERDUE and escalated in the next generateFinalReport() output (summary line,
+ *    "Attestation" tab and email).
+ *
+ * Transfers and deletions are only recorded - admins carry them out.
+ *
+ * OAuth Scopes Required:
+ * @scope https://www.googleapis.com/auth/admin.directory.group.member.readonly
+ * @scope https://www.googleapis.com/auth/script.send_mail
+ * @scope https://www.googleapis.com/auth/script.scriptapp
+ * @scope https://www.googleapis.com/auth/spreadsheets
+ * @scope https://www.googleapis.com/auth/userinfo.email
+ */
+
+const ATTESTATION_SHEET_NAME = 'Attestations';
+const ATTESTATION_HEADERS = ['Cycle', 'Group Email', 'Group Name', 'Owners', 'Token', 'Sent At (GMT)', 'Deadline (GMT)',
+    'Status', 'Responded By', 'Responded At (GMT)', 'New Owner', 'Comment'];
+const ATTESTATION_ACTIONS = {
+    CONFIRM: 'CONFIRMED',
+    TRANSFER: 'TRANSFER_REQUESTED',
+    DELETE: 'DELETION_REQUESTED'
+};
+
+/**
+ * START CYCLE - Emails the owners of every group an attestation request
+ */
+function startAttestationCycle() {
+    const scriptProps = PropertiesService.getScriptProperties();
+
+    if (scriptProps.getProperty('attestationIndex')) {
+        Logger.log('⚠️ The current attestation cycle is still sending requests - not starting a new one.');
+        return;
+    }
+
+    const cycle = Utilities.formatDate(new Date(), 'GMT', 'yyyy-MM-dd');
+    scriptProps.setProperty('attestationCycle', cycle);
+    scriptProps.setProperty('attestationIndex', '0');
+
+    Logger.log(`=== STARTING OWNERSHIP ATTESTATION CYCLE ${cycle} ===`);
+
+    // Sending continues every 10 minutes until every group was handled
+    createBatchTrigger('sendAttestationRequests');
+    sendAttestationRequests();
+}
+
+/**
+ * Sends the next batch of attestation requests (called by startAttestationCycle and its trigger)
+ */
+function sendAttestationRequests() {
+    const scriptProps = PropertiesService.getScriptProperties();
+    const startTime = new Date().getTime();
+    const cycle = scriptProps.getProperty('attestationCycle');
+
+    if (!cycle || !scriptProps.getProperty('attestationIndex')) {
+        Logger.log('No attestation cycle in progress. Run startAttestationCycle() to start one.');
+        deleteBatchTriggers('sendAttestationRequests');
+        return;
+    }
+
+    const allGroups = getAllGroups();
+    const startIndex = parseInt(scriptProps.getProperty('attestationIndex'));
+    const webAppUrl = getAttestationUrl();
+    const rows = [];
+    let index = startIndex;
+    let fetched = {};
+    let sent = 0;
+    let quotaReached = false;
+
+    Logger.log(`Sending attestation requests from group ${startIndex + 1}/${allGroups.length}`);
+
+    for (let i = startIndex; i < allGroups.length; i++) {
+        const group = allGroups[i];
+
+        if ((i - startIndex) % CONFIG.FETCH_CONCURRENCY === 0) {
+            const elapsedTime = (new Date().getTime() - startTime) / 1000;
+            if (elapsedTime > CONFIG.MAX_EXECUTION_TIME) {
+                Logger.log(`\n⚠️ Time limit reached. Saving progress...`);
+                break;
+            }
+            fetched = fetchPrivilegedMembers(allGroups.slice(i, i + CONFIG.FETCH_CONCURRENCY).map(g => g.email));
+        }
+
+        const result = fetched[group.email];
+
+        // Deleted since the groups list was fetched
+        if (result.notFound) {
+            index = i + 1;
+            continue;
+        }
+
+        const owners = result.members
+            .filter(m => m.role === 'OWNER' && m.type === 'USER' && m.email && isActiveMember(m))
+            .map(m => m.email.toLowerCase());
+        const now = new Date();
+        const timestamp = Utilities.formatDate(now, 'GMT', 'yyyy-MM-dd HH:mm:ss');
+
+        if (result.error) {
+            rows.push([cycle, group.email, group.name, '', '', timestamp, '', 'FAILED', '', '', '', result.error]);
+        } else if (owners.length === 0) {
+            rows.push([cycle, group.email, group.name, '', '', timestamp, '', 'NO_OWNER', '', '', '', '']);
+        } else {
+            // Each owner counts against the MailApp daily quota
+            if (MailApp.getRemainingDailyQuota() - CONFIG.ATTESTATION_QUOTA_RESERVE < owners.length) {
+                Logger.log(`⚠️ MailApp quota reached (${MailApp.getRemainingDailyQuota()} left). Sending continues when the quota resets.`);
+                quotaReached = true;
+                break;
+            }
+
+            const token = Utilities.getUuid();
+            const deadline = new Date(now.getTime() + (CONFIG.ATTESTATION_DEADLINE_DAYS * 24 * 60 * 60 * 1000));
+            const deadlineText = Utilities.formatDate(deadline, 'GMT', 'yyyy-MM-dd HH:mm:ss');
+
+            try {
+                sendAttestationEmail(group, owners, `${webAppUrl}?token=${token}`, deadline);
+                rows.push([cycle, group.email, group.name, owners.join(', '), token, timestamp, deadlineText, 'PENDING', '', '', '', '']);
+                sent++;
+            } catch (e) {
+                Logger.log(`Error sending attestation request for ${group.email}: ${e.message}`);
+                rows.push([cycle, group.email, group.name, owners.join(', '), '', timestamp, '', 'FAILED', '', '', '', e.message]);
+            }
+        }
+
+        index = i + 1;
+    }
+
+    if (rows.length > 0) {
+        const sheet = getAttestationSheet();
+        sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, ATTESTATION_HEADERS.length).setValues(rows);
+    }
+
+    Logger.log(`📨 Attestation requests sent: ${sent} | Progress: ${index}/${allGroups.length} groups`);
+
+    if (index >= allGroups.length) {
+        scriptProps.deleteProperty('attestationIndex');
+        deleteBatchTriggers('sendAttestationRequests');
+        Logger.log(`✅ All attestation requests for cycle ${cycle} sent. Deadline: ${CONFIG.ATTESTATION_DEADLINE_DAYS} days.`);
+    } else {
+        scriptProps.setProperty('attestationIndex', index.toString());
+        if (!quotaReached) {
+            Logger.log(`▶️ Remaining groups are handled by the next run.`);
+        }
+    }
+}
+
+/**
+ * Sends the attestation request for one group
+ */
+function sendAttestationEmail(group, owners, link, deadline) {
+    const deadlineDate = Utilities.formatDate(deadline, 'GMT', 'yyyy-MM-dd');
+    const replyTo = CONFIG.EMAIL_RECIPIENTS.split(',')[0].trim();
+
+    const htmlBody = `
+      <html>
+        <body style="font-family: Arial, sans-serif; color: #333; line-height: 1.6;">
+          <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px;">
+            <h2 style="color: #4285f4; border-bottom: 2px solid #4285f4; padding-bottom: 10px;">
+              ✅ Please confirm you own this group
+            </h2>
+
+            <p>Hello,</p>
+
+            <p>You are listed as an owner of the group <strong>${escapeHtml(group.name)}</strong> (${group.email}).
+               As part of our regular groups review, please tell us by <strong>${deadlineDate}</strong> whether you:</p>
+
+            <ul>
+              <li>still own and need this group,</li>
+              <li>want to transfer ownership to someone else, or</li>
+              <li>want the group to be deleted.</li>
+            </ul>
+
+            <p>
+              <a href="${link}"
+                 style="display: inline-block; background-color: #4285f4; color: white; padding: 12px 24px;
+                        text-decoration: none; border-radius: 5px; font-weight: bold;">
+                Respond now
+              </a>
+            </p>
+
+            <p style="margin-top: 30px; font-size: 12px; color: #666; border-top: 1px solid #ddd; padding-top: 15px;">
+              This request was sent by the Google Workspace groups audit. Groups without an answer are escalated to the administrators.
+            </p>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const plainBody = `
+Please confirm you own this group
+=================================
+
+You are listed as an owner of the group ${group.name} (${group.email}).
+As part of our regular groups review, please tell us by ${deadlineDate} whether you
+still own and need this group, want to transfer ownership, or want it deleted:
+
+${link}
+
+---
+This request was sent by the Google Workspace groups audit.
+Groups without an answer are escalated to the administrators.
+    `;
+
+    MailApp.sendEmail({
+        to: owners.join(','),
+        replyTo: replyTo,
+        subject: `${CONFIG.ATTESTATION_SUBJECT}: ${group.email}`,
+        body: plainBody,
+        htmlBody: htmlBody
+    });
+}
+
+/**
+ * WEB APP - Shows the attestation form for the request in the link
+ */
+function doGet(e) {
+    const request = findAttestationRequest(e.parameter.token);
+
+    if (!request) {
+        return renderAttestationPage('Link not valid', '<p>This attestation link is invalid or belongs to an earlier review.</p>');
+    }
+
+    if (request.status !== 'PENDING' && request.status !== 'OVERDUE') {
+        return renderAttestationPage('Already answered',
+            `<p>The answer for <strong>${escapeHtml(request.groupEmail)}</strong> was already recorded: ` +
+            `<strong>${request.status}</strong> by ${escapeHtml(request.respondedBy || 'unknown')}.</p>`);
+    }
+
+    const form = `
+      <p>Group: <strong>${escapeHtml(request.groupName)}</strong> (${escapeHtml(request.groupEmail)})</p>
+      <form method="post" action="${getAttestationUrl()}" target="_top">
+        <input type="hidden" name="token" value="${escapeHtml(e.parameter.token)}">
+        <p><label><input type="radio" name="action" value="CONFIRM" checked> I still own this group and it is needed</label></p>
+        <p><label><input type="radio" name="action" value="TRANSFER"> Transfer ownership to:</label>
+           <input type="email" name="newOwner" placeholder="new.owner@example.com" style="width: 250px;"></p>
+        <p><label><input type="radio" name="action" value="DELETE"> This group is no longer needed - please delete it</label></p>
+        <p><label>Comment (optional):<br><textarea name="comment" rows="3" style="width: 100%;"></textarea></label></p>
+        <p><input type="submit" value="Submit" style="background-color: #4285f4; color: white; padding: 10px 20px; border: none; border-radius: 5px;"></p>
+      </form>`;
+
+    return renderAttestationPage('Group ownership review', form);
+}
+
+/**
+ * WEB APP - Records the owner's answer
+ */
+function doPost(e) {
+    const params = e.parameter;
+    const status = ATTESTATION_ACTIONS[params.action];
+    const responder = Session.getActiveUser().getEmail().toLowerCase();
+    const newOwner = (params.newOwner || '').trim().toLowerCase();
+
+    if (!status) {
+        return renderAttestationPage('Not recorded', '<p>Please choose one of the options.</p>');
+    }
+
+    if (status === 'TRANSFER_REQUESTED' && newOwner.indexOf('@') === -1) {
+        return renderAttestationPage('Not recorded', '<p>Please enter the email address of the new owner.</p>');
+    }
+
+    // Two owners answering at the same time must not overwrite each other
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+
+    try {
+        const request = findAttestationRequest(params.token);
+
+        if (!request || (request.status !== 'PENDING' && request.status !== 'OVERDUE')) {
+            return renderAttestationPage('Not recorded', '<p>This request is invalid or was already answered.</p>');
+        }
+
+        // The visitor's email is only known inside our domain - answers must come from a known owner
+        if (!responder) {
+            return renderAttestationPage('Not recorded', '<p>We could not identify you. Please sign in with your work account and open the link again.</p>');
+        }
+
+        if (request.owners.indexOf(responder) === -1) {
+            return renderAttestationPage('Not recorded', `<p>Only the owners of ${escapeHtml(request.groupEmail)} can answer this request.</p>`);
+        }
+
+        const timestamp = Utilities.formatDate(new Date(), 'GMT', 'yyyy-MM-dd HH:mm:ss');
+        request.sheet.getRange(request.row, 8, 1, 5).setValues([[
+            status,
+            responder,
+            timestamp,
+            status === 'TRANSFER_REQUESTED' ? escapeSheetText(newOwner) : '',
+            escapeSheetText(params.comment || '')
+        ]]);
+
+        Logger.log(`Attestation for ${request.groupEmail}: ${status} by ${responder}`);
+
+        return renderAttestationPage('Thank you', `<p>Your answer for <strong>${escapeHtml(request.groupEmail)}</strong> was recorded: <strong>${status}</strong>.</p>`);
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Marks unanswered requests of the current cycle past their deadline as OVERDUE.
+ * Returns [{ groupEmail, groupName, owners, sentAt, deadline, daysOverdue }] for the report.
+ */
+function escalateOverdueAttestations() {
+    const cycle = PropertiesService.getScriptProperties().getProperty('attestationCycle');
+    if (!cycle) {
+        return [];
+    }
+
+    const sheet = getAttestationSheet();
+    const lastRow = sheet.getLastRow();
+    const overdue = [];
+    const now = new Date().getTime();
+
+    if (lastRow < 2) {
+        return overdue;
+    }
+
+    sheet.getRange(2, 1, lastRow - 1, ATTESTATION_HEADERS.length).getValues().forEach((row, i) => {
+        if (String(row[0]) !== cycle) return;
+        if (row[7] !== 'PENDING' && row[7] !== 'OVERDUE') return;
+
+        const deadline = row[6] instanceof Date ? row[6] : new Date(String(row[6]).replace(' ', 'T') + 'Z');
+        if (deadline.getTime() > now) return;
+
+        if (row[7] === 'PENDING') {
+            sheet.getRange(i + 2, 8).setValue('OVERDUE');
+        }
+
+        overdue.push({
+            groupEmail: row[1],
+            groupName: row[2],
+            owners: row[3],
+            sentAt: row[5] instanceof Date ? Utilities.formatDate(row[5], 'GMT', 'yyyy-MM-dd') : String(row[5]).split(' ')[0],
+            deadline: Utilities.formatDate(deadline, 'GMT', 'yyyy-MM-dd'),
+            daysOverdue: Math.floor((now - deadline.getTime()) / (24 * 60 * 60 * 1000))
+        });
+    });
+
+    if (overdue.length > 0) {
+        Logger.log(`⏰ Ownership attestation: ${overdue.length} groups missed the deadline`);
+    }
+
+    return overdue;
+}
+
+/**
+ * Writes the overdue attestations to the "Attestation" tab of the report
+ */
+function writeAttestationSheet(ss, overdue) {
+    let sheet = ss.getSheetByName('Attestation');
+    if (sheet) {
+        sheet.clear();
+    } else {
+        sheet = ss.insertSheet('Attestation');
+    }
+
+    sheet.appendRow(['OWNERSHIP ATTESTATION - MISSED DEADLINES']);
+    sheet.appendRow([`Cycle: ${PropertiesService.getScriptProperties().getProperty('attestationCycle')} | Deadline: ${CONFIG.ATTESTATION_DEADLINE_DAYS} days`]);
+
+    const headers = ['Group Name', 'Group Email', 'Owners', 'Requested', 'Deadline', 'Days Overdue'];
+    sheet.appendRow(headers);
+    const headerRow = sheet.getLastRow();
+
+    if (overdue.length > 0) {
+        const rows = overdue.map(a => [a.groupName, a.groupEmail, a.owners, a.sentAt, a.deadline, a.daysOverdue]);
+        sheet.getRange(headerRow + 1, 1, rows.length, headers.length).setValues(rows);
+    }
+
+    sheet.getRange(1, 1).setFontWeight('bold').setFontSize(14);
+    sheet.getRange(2, 1).setFontStyle('italic');
+    sheet.getRange(headerRow, 1, 1, headers.length).setFontWeight('bold')
+        .setBackground('#4285f4')
+        .setFontColor('#ffffff')
+        .setHorizontalAlignment('center');
+
+    sheet.setFrozenRows(headerRow);
+    sheet.autoResizeColumns(1, headers.length);
+}
+
+/**
+ * Finds an attestation request by its token.
+ * Returns { sheet, row, groupEmail, groupName, owners: [email], status, respondedBy } or null
+ */
+function findAttestationRequest(token) {
+    if (!token) {
+        return null;
+    }
+
+    const sheet = getAttestationSheet();
+    const lastRow = sheet.getLastRow();
+
+    if (lastRow < 2) {
+        return null;
+    }
+
+    const rows = sheet.getRange(2, 1, lastRow - 1, ATTESTATION_HEADERS.length).getValues();
+
+    for (let i = 0; i < rows.length; i++) {
+        if (rows[i][4] !== token) continue;
+
+        return {
+            sheet: sheet,
+            row: i + 2,
+            groupEmail: rows[i][1],
+            groupName: rows[i][2],
+            owners: String(rows[i][3]).split(',').map(email => email.trim().toLowerCase()),
+            status: rows[i][7],
+            respondedBy: rows[i][8]
+        };
+    }
+
+    return null;
+}
+
+/**
+ * URL of the deployed web app (CONFIG.ATTESTATION_WEB_APP_URL overrides the detected one)
+ */
+function getAttestationUrl() {
+    return CONFIG.ATTESTATION_WEB_APP_URL || ScriptApp.getService().getUrl();
+}
+
+/**
+ * Keeps text typed by a visitor from being stored as a formula:
+ * a leading =, +, - or @ is escaped with an apostrophe
+ */
+function escapeSheetText(value) {
+    return /^[=+\-@]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Wraps a message in a simple web app page
+ */
+function renderAttestationPage(title, content) {
+    const html = `
+      <div style="font-family: Arial, sans-serif; color: #333; line-height: 1.6; max-width: 600px; margin: 20px auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px;">
+        <h2 style="color: #4285f4; border-bottom: 2px solid #4285f4; padding-bottom: 10px;">${escapeHtml(title)}</h2>
+        ${content}
+      </div>`;
+
+    return HtmlService.createHtmlOutput(html).setTitle('Group ownership review');
+}
+
+/**
+ * Opens (or creates) the "Attestations" tab in the tracking spreadsheet
+ */
+function getAttestationSheet() {
+    const ss = getTrackingSpreadsheet();
+    let sheet = ss.getSheetByName(ATTESTATION_SHEET_NAME);
+
+    if (!sheet) {
+        sheet = ss.insertSheet(ATTESTATION_SHEET_NAME);
+        sheet.appendRow(ATTESTATION_HEADERS);
+        sheet.getRange(1, 1, 1, ATTESTATION_HEADERS.length).setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
+        sheet.setFrozenRows(1);
+        // Keep the cycle and dates as text so they read back exactly as written
+        sheet.getRange('A:A').setNumberFormat('@');
+    }
+
+    return sheet;
+}
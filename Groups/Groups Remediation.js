@@ -0,0 +1,254 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * GROUPS REMEDIATION FUNCTIONS
+ *
+ * Companion file for "Groups Audit - Batch Processing.js".
+ * Add it to the same Apps Script project - it uses the shared CONFIG object.
+ *
+ * For every group the audit flags as missing an OWNER, remediation will:
+ * 1. Promote the most senior existing MANAGER to OWNER (if PROMOTE_MANAGER_FIRST), or
+ * 2. Add CONFIG.FALLBACK_OWNER_EMAIL as OWNER when no manager can be promoted.
+ *
+ * "Most senior" = the active USER manager with the oldest Directory account.
+ *
+ * With REMEDIATION_DRY_RUN enabled nothing is changed - the report's
+ * "Remediation" column shows what would have been done.
+ *
+ * applyNewOwnersFromReport() assigns the owners the service desk typed into the
+ * report's "New Owner" column (see CONFIG.NEW_OWNER_DRY_RUN).
+ *
+ * OAuth Scopes Required:
+ * @scope https://www.googleapis.com/auth/admin.directory.group.member
+ * @scope https://www.googleapis.com/auth/admin.directory.user.readonly
+ */
+
+/**
+ * Assigns an OWNER to a group that has none.
+ * Returns { status, detail } where status is FIXED, DRY_RUN, SKIPPED or ERROR.
+ */
+function remediateOrphanedGroup(groupEmail) {
+    const dryRun = CONFIG.REMEDIATION_DRY_RUN;
+
+    try {
+        // 1. Promote an existing manager
+        if (CONFIG.PROMOTE_MANAGER_FIRST) {
+            const manager = findMostSeniorManager(groupEmail);
+
+            if (manager) {
+                if (dryRun) {
+                    return { status: 'DRY_RUN', detail: `Would promote manager ${manager} to OWNER` };
+                }
+
+                setMemberRole(groupEmail, manager, 'OWNER');
+                Logger.log(`🔧 ${groupEmail}: promoted manager ${manager} to OWNER`);
+                return { status: 'FIXED', detail: `Promoted manager ${manager} to OWNER` };
+            }
+        }
+
+        // 2. Fall back to the configured owner
+        const fallbackOwner = CONFIG.FALLBACK_OWNER_EMAIL;
+        if (!fallbackOwner) {
+            return { status: 'SKIPPED', detail: 'No manager to promote and no FALLBACK_OWNER_EMAIL set' };
+        }
+
+        const alreadyMember = isDirectMember(groupEmail, fallbackOwner);
+        const action = alreadyMember ? `promote fallback owner ${fallbackOwner} to OWNER` : `add fallback owner ${fallbackOwner}`;
+
+        if (dryRun) {
+            return { status: 'DRY_RUN', detail: `Would ${action}` };
+        }
+
+        setMemberRole(groupEmail, fallbackOwner, 'OWNER');
+        Logger.log(`🔧 ${groupEmail}: ${action}`);
+        return { status: 'FIXED', detail: alreadyMember ? `Promoted fallback owner ${fallbackOwner} to OWNER` : `Added fallback owner ${fallbackOwner}` };
+    } catch (e) {
+        Logger.log(`Error remediating ${groupEmail}: ${e.message}`);
+        return { status: 'ERROR', detail: `Error: ${e.message}` };
+    }
+}
+
+/**
+ * Finds the most senior MANAGER of a group that can be promoted to OWNER.
+ * Only active USER members are considered; the oldest account wins.
+ * Returns the manager's email, or null if there is none.
+ */
+function findMostSeniorManager(groupEmail) {
+    const managers = [];
+    let pageToken;
+
+    do {
+        const response = AdminDirectory.Members.list(groupEmail, {
+            maxResults: 200,
+            pageToken: pageToken,
+            roles: 'MANAGER'
+        });
+
+        if (response.members) {
+            response.members.forEach(member => {
+                if (member.type === 'USER' && member.status !== 'SUSPENDED' && member.email) {
+                    managers.push(member.email);
+                }
+            });
+        }
+
+        pageToken = response.nextPageToken;
+    } while (pageToken);
+
+    if (managers.length === 0) {
+        return null;
+    }
+
+    let seniorManager = null;
+    let seniorCreated = Infinity;
+
+    managers.forEach(email => {
+        let created = Infinity;
+
+        try {
+            const user = AdminDirectory.Users.get(email);
+            if (user.suspended) return;
+            created = new Date(user.creationTime).getTime();
+        } catch (e) {
+            // External or deleted accounts can't be looked up - rank them last
+        }
+
+        if (seniorManager === null || created < seniorCreated) {
+            seniorManager = email;
+            seniorCreated = created;
+        }
+    });
+
+    return seniorManager;
+}
+
+/**
+ * Checks if an email is a direct member of a group (any role)
+ */
+function isDirectMember(groupEmail, memberEmail) {
+    try {
+        AdminDirectory.Members.get(groupEmail, memberEmail);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Gives a member the specified role, adding them to the group if needed
+ */
+function setMemberRole(groupEmail, memberEmail, role) {
+    if (isDirectMember(groupEmail, memberEmail)) {
+        AdminDirectory.Members.patch({ role: role }, groupEmail, memberEmail);
+    } else {
+        AdminDirectory.Members.insert({ email: memberEmail, role: role }, groupEmail);
+    }
+}
+
+/**
+ * APPLY NEW OWNERS - Reads the "New Owner" column of the report sheet, validates each
+ * proposed owner (exists, not suspended or archived, internal) and adds or promotes them
+ * to OWNER. The outcome is written to the "New Owner Status" column.
+ * Rows that were already applied are skipped, so the function can be run repeatedly.
+ */
+function applyNewOwnersFromReport() {
+    const dryRun = CONFIG.NEW_OWNER_DRY_RUN;
+    const sheet = getReportSpreadsheet().getSheets()[0];
+    const values = sheet.getDataRange().getValues();
+
+    const headerIndex = values.findIndex(row => row[0] === 'Group Name' && row[1] === 'Group Email');
+    if (headerIndex === -1) {
+        Logger.log('❌ No report table found. Run the audit first.');
+        return;
+    }
+
+    const headers = values[headerIndex];
+    const ownerColumn = headers.indexOf('New Owner');
+    const statusColumn = headers.indexOf('New Owner Status');
+    if (ownerColumn === -1 || statusColumn === -1) {
+        Logger.log('❌ The report has no "New Owner" / "New Owner Status" columns. Run the audit again to regenerate it.');
+        return;
+    }
+
+    Logger.log(`=== APPLYING NEW OWNERS FROM REPORT (${dryRun ? 'DRY RUN' : 'LIVE'}) ===`);
+
+    const timestamp = Utilities.formatDate(new Date(), 'GMT', 'yyyy-MM-dd HH:mm');
+    const statuses = [];
+    let processed = 0;
+    let applied = 0;
+
+    for (let i = headerIndex + 1; i < values.length; i++) {
+        const groupEmail = String(values[i][1]).trim();
+        const newOwner = String(values[i][ownerColumn]).trim().toLowerCase();
+        const previousStatus = String(values[i][statusColumn]);
+
+        if (!groupEmail || !newOwner || /^(ADDED|PROMOTED|ALREADY OWNER)/.test(previousStatus)) {
+            statuses.push([values[i][statusColumn]]);
+            continue;
+        }
+
+        const outcome = applyNewOwner(groupEmail, newOwner, dryRun);
+        processed++;
+        statuses.push([`${outcome} (${timestamp})`]);
+        Logger.log(`${groupEmail} → ${newOwner}: ${outcome}`);
+
+        if (/^(ADDED|PROMOTED)/.test(outcome)) {
+            applied++;
+        }
+    }
+
+    if (statuses.length > 0) {
+        sheet.getRange(headerIndex + 2, statusColumn + 1, statuses.length, 1).setValues(statuses);
+    }
+
+    Logger.log(`✅ Rows processed: ${processed} | Owners assigned: ${applied}`);
+}
+
+/**
+ * Validates and assigns one proposed owner. Returns the status text for the report.
+ */
+function applyNewOwner(groupEmail, newOwner, dryRun) {
+    if (newOwner.indexOf('@') === -1) {
+        return 'INVALID: not an email address';
+    }
+
+    if (!isInternalEmail(newOwner)) {
+        return 'INVALID: external account';
+    }
+
+    try {
+        const user = AdminDirectory.Users.get(newOwner);
+        if (user.suspended) {
+            return 'INVALID: account is suspended';
+        }
+        if (user.archived) {
+            return 'INVALID: account is archived';
+        }
+    } catch (e) {
+        return 'INVALID: account does not exist';
+    }
+
+    try {
+        let currentRole = null;
+        try {
+            currentRole = AdminDirectory.Members.get(groupEmail, newOwner).role;
+        } catch (e) {
+            // Not a direct member yet
+        }
+
+        if (currentRole === 'OWNER') {
+            return 'ALREADY OWNER';
+        }
+
+        if (dryRun) {
+            return currentRole ? `DRY RUN: Would promote ${currentRole} to OWNER` : 'DRY RUN: Would add as OWNER';
+        }
+
+        setMemberRole(groupEmail, newOwner, 'OWNER');
+        return currentRole ? `PROMOTED from ${currentRole}` : 'ADDED as OWNER';
+    } catch (e) {
+        return `ERROR: ${e.message}`;
+    }
+}
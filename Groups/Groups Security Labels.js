@@ -0,0 +1,143 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * SECURITY, DYNAMIC & LOCKED GROUP AUDIT (CLOUD IDENTITY LABELS)
+ *
+ * Companion file for "Groups Audit - Batch Processing.js".
+ * Used when CONFIG.AUDIT_SECURITY_GROUPS is true.
+ *
+ * The Directory API doesn't show whether a group is a security, dynamic or locked
+ * group - those are labels in the Cloud Identity Groups API. Once per audit, all
+ * groups of the customer are listed from Cloud Identity (FULL view, with labels and
+ * dynamic membership queries) and kept in the checkpoint store ('groupLabels').
+ *
+ * During the audit:
+ * - Security groups need at least CONFIG.SECURITY_GROUP_MIN_OWNERS internal, active
+ *   owners - otherwise they are flagged in the report.
+ * - Dynamic groups are reported with their membership queries.
+ * - Locked groups are reported and counted in the summary.
+ *
+ * Prerequisites:
+ * - The Apps Script project must use a standard Google Cloud project with the
+ *   "Cloud Identity API" enabled.
+ *
+ * OAuth Scopes Required:
+ * @scope https://www.googleapis.com/auth/cloud-identity.groups.readonly
+ * @scope https://www.googleapis.com/auth/admin.directory.customer.readonly
+ * @scope https://www.googleapis.com/auth/script.external_request
+ */
+
+const CLOUD_IDENTITY_API_BASE = 'https://cloudidentity.googleapis.com/v1';
+const SECURITY_LABEL = 'cloudidentity.googleapis.com/groups.security';
+const DYNAMIC_LABEL = 'cloudidentity.googleapis.com/groups.dynamic';
+const LOCKED_LABEL = 'cloudidentity.googleapis.com/groups.locked';
+
+/**
+ * Returns { groupEmail: { security, dynamic, locked, queries: [string] } } for every security,
+ * dynamic or locked group. Fetched once per audit and kept in the checkpoint store until the audit completes.
+ */
+function getGroupLabels() {
+    const cached = loadCheckpoint('groupLabels');
+    if (cached) {
+        return cached;
+    }
+
+    const labels = {};
+
+    Logger.log('Fetching group labels from Cloud Identity API...');
+
+    try {
+        const customerId = AdminDirectory.Customers.get('my_customer').id;
+        const token = ScriptApp.getOAuthToken();
+        let pageToken;
+
+        do {
+            let url = `${CLOUD_IDENTITY_API_BASE}/groups?parent=${encodeURIComponent(`customers/${customerId}`)}&view=FULL&pageSize=500`;
+            if (pageToken) {
+                url += `&pageToken=${encodeURIComponent(pageToken)}`;
+            }
+
+            const response = UrlFetchApp.fetch(url, {
+                headers: { Authorization: `Bearer ${token}` },
+                muteHttpExceptions: true
+            });
+
+            if (response.getResponseCode() !== 200) {
+                throw new Error(`HTTP ${response.getResponseCode()}: ${getFetchErrorMessage(response)}`);
+            }
+
+            const body = JSON.parse(response.getContentText());
+
+            (body.groups || []).forEach(group => {
+                const groupLabels = group.labels || {};
+                const security = SECURITY_LABEL in groupLabels;
+                const dynamic = DYNAMIC_LABEL in groupLabels;
+                const locked = LOCKED_LABEL in groupLabels;
+
+                // Standard groups are the majority - only keep the interesting ones
+                if (!security && !dynamic && !locked) return;
+
+                const queries = group.dynamicGroupMetadata && group.dynamicGroupMetadata.queries
+                    ? group.dynamicGroupMetadata.queries.map(q => q.query)
+                    : [];
+
+                labels[group.groupKey.id.toLowerCase()] = { security: security, dynamic: dynamic, locked: locked, queries: queries };
+            });
+
+            pageToken = body.nextPageToken;
+        } while (pageToken);
+
+        Logger.log(`Cloud Identity: ${Object.keys(labels).length} security, dynamic or locked groups found`);
+    } catch (e) {
+        // Without labels every group looks like a standard group - the report marks the label columns Unavailable
+        Logger.log(`⚠️ Error fetching group labels: ${e.message}`);
+        Logger.log('Security, dynamic and locked group checks are skipped for this audit.');
+        labels._unavailable = true;
+    }
+
+    saveCheckpoint('groupLabels', labels);
+    return labels;
+}
+
+/**
+ * Checks one group against its labels.
+ * `owners` are the owners that count for the group (resolved and active where those checks are on).
+ * Returns null for standard groups, otherwise { type, internalOwners, securityViolation, locked, queries }
+ */
+function assessGroupLabels(groupEmail, groupLabels, owners) {
+    const labels = groupLabels[groupEmail.toLowerCase()];
+    if (!labels) {
+        return null;
+    }
+
+    const types = [];
+    if (labels.security) types.push('Security');
+    if (labels.dynamic) types.push('Dynamic');
+    if (labels.locked) types.push('Locked');
+
+    // "All users in domain" is not a person who can look after the group
+    const internalOwners = owners.filter(email => email.indexOf('@') !== -1 && isInternalEmail(email));
+
+    return {
+        type: types.join(', '),
+        internalOwners: internalOwners.length,
+        securityViolation: labels.security && internalOwners.length < CONFIG.SECURITY_GROUP_MIN_OWNERS,
+        locked: labels.locked === true,
+        queries: labels.queries
+    };
+}
+
+/**
+ * Report text for the security group owner check
+ */
+function describeSecurityOwners(assessment) {
+    if (assessment.type.indexOf('Security') === -1) {
+        return 'N/A';
+    }
+    if (assessment.securityViolation) {
+        return `VIOLATION: ${assessment.internalOwners} internal owner(s), at least ${CONFIG.SECURITY_GROUP_MIN_OWNERS} required`;
+    }
+    return `OK (${assessment.internalOwners} internal owners)`;
+}
@@ -0,0 +1,306 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * GROUPS SETTINGS POLICY AUDIT
+ *
+ * Companion file for "Groups Audit - Batch Processing.js".
+ * Add it to the same Apps Script project - it uses the shared CONFIG object
+ * and the cached groups list from getAllGroups().
+ *
+ * Purpose:
+ * Pulls each group's settings from the Groups Settings API and flags risky
+ * configurations (anyone can join, public posting, external members, public archives).
+ *
+ * How It Works:
+ * - Same batch processing as the ownership audit (BATCH_SIZE, MAX_EXECUTION_TIME)
+ * - Progress is tracked separately (settingsProcessedIndex, settingsAuditResults)
+ *   using the same checkpoint store as the ownership audit (CONFIG.CHECKPOINT_STORE)
+ * - Findings are written to a "Settings Audit" tab in the ownership report spreadsheet
+ *
+ * Prerequisites:
+ * - Enable "Groups Settings API" in Apps Script Services (identifier: AdminGroupsSettings).
+ *
+ * OAuth Scopes Required:
+ * @scope https://www.googleapis.com/auth/apps.groups.settings
+ * @scope https://www.googleapis.com/auth/spreadsheets
+ */
+
+/**
+ * Risky settings to flag. A group matches a rule when its setting has one of the risky values.
+ * Settings API values are strings, including booleans ('true' / 'false').
+ */
+const SETTINGS_POLICY_RULES = [
+    {
+        id: 'ANYONE_CAN_JOIN',
+        setting: 'whoCanJoin',
+        riskyValues: ['ANYONE_CAN_JOIN'],
+        severity: 'HIGH',
+        finding: 'Anyone on the internet can join'
+    },
+    {
+        id: 'PUBLIC_ARCHIVE',
+        setting: 'whoCanViewGroup',
+        riskyValues: ['ANYONE_CAN_VIEW'],
+        severity: 'HIGH',
+        finding: 'Anyone on the internet can read the conversation archive'
+    },
+    {
+        id: 'PUBLIC_POSTING',
+        setting: 'whoCanPostMessage',
+        riskyValues: ['ANYONE_CAN_POST'],
+        severity: 'MEDIUM',
+        finding: 'Anyone on the internet can post'
+    },
+    {
+        id: 'EXTERNAL_MEMBERS',
+        setting: 'allowExternalMembers',
+        riskyValues: ['true'],
+        severity: 'MEDIUM',
+        finding: 'Members outside the organization are allowed'
+    },
+    {
+        id: 'PUBLIC_MEMBERSHIP',
+        setting: 'whoCanViewMembership',
+        riskyValues: ['ANYONE_CAN_VIEW'],
+        severity: 'LOW',
+        finding: 'Anyone on the internet can see the member list'
+    }
+];
+
+// ERROR = the settings couldn't be fetched, so the group was not audited
+const SEVERITY_ORDER = { HIGH: 0, MEDIUM: 1, LOW: 2, ERROR: 3 };
+
+/**
+ * MAIN FUNCTION - Run this to start or continue the settings audit
+ * Can be run multiple times - it will automatically resume where it left off
+ */
+function auditGroupSettings() {
+    const scriptProps = PropertiesService.getScriptProperties();
+    const startTime = new Date().getTime();
+
+    Logger.log('=== BATCH PROCESSING GROUP SETTINGS AUDIT ===');
+
+    const allGroups = getAllGroups();
+    const totalGroups = allGroups.length;
+    Logger.log(`Total groups in scope: ${totalGroups}`);
+
+    // Get current progress
+    let processedIndex = parseInt(scriptProps.getProperty('settingsProcessedIndex') || '0');
+    let allFindings = loadCheckpoint('settingsAuditResults') || [];
+
+    Logger.log(`Resuming from group ${processedIndex + 1}/${totalGroups}`);
+    Logger.log(`Previously found ${allFindings.length} risky settings\n`);
+
+    const batchStart = processedIndex;
+    const batchEnd = Math.min(processedIndex + CONFIG.BATCH_SIZE, totalGroups);
+    const batchGroups = allGroups.slice(batchStart, batchEnd);
+
+    Logger.log(`Processing batch: Groups ${batchStart + 1} to ${batchEnd}`);
+
+    let batchFindings = [];
+    let currentIndex = 0;
+
+    for (let i = 0; i < batchGroups.length; i++) {
+        const group = batchGroups[i];
+
+        // Check execution time limit
+        const elapsedTime = (new Date().getTime() - startTime) / 1000;
+        if (elapsedTime > CONFIG.MAX_EXECUTION_TIME) {
+            Logger.log(`\n⚠️ Time limit reached. Saving progress...`);
+            break;
+        }
+
+        currentIndex = i + 1;
+
+        if (currentIndex % 10 === 0) {
+            Logger.log(`Progress: ${currentIndex}/${batchGroups.length} (Overall: ${batchStart + currentIndex}/${totalGroups}) - ${elapsedTime.toFixed(0)}s`);
+        }
+
+        try {
+            const settings = AdminGroupsSettings.Groups.get(group.email);
+
+            evaluateGroupSettings(settings).forEach(finding => {
+                batchFindings.push({
+                    groupName: group.name,
+                    groupEmail: group.email,
+                    severity: finding.severity,
+                    ruleId: finding.ruleId,
+                    finding: finding.finding,
+                    setting: finding.setting,
+                    value: finding.value
+                });
+            });
+        } catch (e) {
+            Logger.log(`Error fetching settings for ${group.email}: ${e.message}`);
+            // Report the group as not audited rather than as clean
+            batchFindings.push({
+                groupName: group.name,
+                groupEmail: group.email,
+                severity: 'ERROR',
+                ruleId: 'FETCH_ERROR',
+                finding: 'Settings could not be fetched - group not audited',
+                setting: '',
+                value: e.message
+            });
+        }
+
+        Utilities.sleep(CONFIG.DELAY_BETWEEN_GROUPS);
+    }
+
+    allFindings = allFindings.concat(batchFindings);
+    processedIndex = batchStart + currentIndex;
+
+    // Save progress
+    saveCheckpoint('settingsAuditResults', allFindings);
+    scriptProps.setProperty('settingsProcessedIndex', processedIndex.toString());
+
+    Logger.log(`\n=== BATCH COMPLETE ===`);
+    Logger.log(`Overall progress: ${processedIndex}/${totalGroups} groups (${((processedIndex / totalGroups) * 100).toFixed(1)}%)`);
+    Logger.log(`Total risky settings found so far: ${allFindings.length}\n`);
+
+    if (processedIndex >= totalGroups) {
+        Logger.log('🎉 SETTINGS AUDIT COMPLETE! Writing report...\n');
+        generateSettingsReport(allFindings, totalGroups);
+
+        scriptProps.deleteProperty('settingsProcessedIndex');
+        clearCheckpoint('settingsAuditResults');
+
+        // Otherwise the next trigger run would start a fresh audit
+        deleteBatchTriggers('auditGroupSettings');
+
+        Logger.log('✅ Progress cleared. Ready for next settings audit.');
+    } else {
+        const remaining = totalGroups - processedIndex;
+        Logger.log(`📊 STATUS: In Progress`);
+        Logger.log(`Remaining: ${remaining} groups`);
+        Logger.log(`Estimated runs needed: ${Math.ceil(remaining / CONFIG.BATCH_SIZE)}`);
+        Logger.log(`\n▶️ Run this function again to continue, or run createSettingsAuditTrigger().`);
+    }
+}
+
+/**
+ * RESET FUNCTION - Clears settings audit progress and starts fresh
+ */
+function resetSettingsAudit() {
+    const scriptProps = PropertiesService.getScriptProperties();
+    scriptProps.deleteProperty('settingsProcessedIndex');
+    clearCheckpoint('settingsAuditResults');
+
+    Logger.log('✅ Settings audit progress reset. Run auditGroupSettings() to start fresh.');
+}
+
+/**
+ * CREATE TRIGGER - Run the settings audit every 10 minutes until complete
+ */
+function createSettingsAuditTrigger() {
+    createBatchTrigger('auditGroupSettings');
+    Logger.log('Run deleteSettingsAuditTrigger() to stop automatic processing.');
+}
+
+/**
+ * DELETE TRIGGER - Stop automatic settings audit processing
+ */
+function deleteSettingsAuditTrigger() {
+    deleteBatchTriggers('auditGroupSettings');
+}
+
+/**
+ * Checks a group's settings against SETTINGS_POLICY_RULES.
+ * Returns [{ ruleId, severity, finding, setting, value }]
+ */
+function evaluateGroupSettings(settings) {
+    const findings = [];
+
+    SETTINGS_POLICY_RULES.forEach(rule => {
+        const value = settings[rule.setting];
+
+        if (value !== undefined && rule.riskyValues.indexOf(String(value)) !== -1) {
+            findings.push({
+                ruleId: rule.id,
+                severity: rule.severity,
+                finding: rule.finding,
+                setting: rule.setting,
+                value: String(value)
+            });
+        }
+    });
+
+    return findings;
+}
+
+/**
+ * Writes the settings findings to a "Settings Audit" tab next to the ownership report
+ */
+function generateSettingsReport(findings, totalGroupsScanned) {
+    const timestamp = Utilities.formatDate(new Date(), 'GMT', 'yyyy-MM-dd HH:mm:ss');
+    const ss = getReportSpreadsheet();
+
+    let sheet = ss.getSheetByName('Settings Audit');
+    if (sheet) {
+        sheet.clear();
+    } else {
+        sheet = ss.insertSheet('Settings Audit');
+    }
+
+    // Highest severity first
+    findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+    const countSeverity = severity => findings.filter(f => f.severity === severity).length;
+    const groupsWithFindings = new Set(findings.filter(f => f.severity !== 'ERROR').map(f => f.groupEmail)).size;
+
+    // Add summary rows
+    sheet.appendRow(['GROUPS SETTINGS POLICY AUDIT']);
+    sheet.appendRow([`Generated: ${timestamp}`]);
+    sheet.appendRow([`Scope: ${describeAuditScope()}`]);
+    sheet.appendRow([`Total Groups Scanned: ${totalGroupsScanned}`]);
+    sheet.appendRow([`Groups with Risky Settings: ${groupsWithFindings}`]);
+    sheet.appendRow([`High: ${countSeverity('HIGH')} | Medium: ${countSeverity('MEDIUM')} | Low: ${countSeverity('LOW')} | Not Audited (fetch errors): ${countSeverity('ERROR')}`]);
+
+    const headers = ['Severity', 'Group Name', 'Group Email', 'Rule', 'Finding', 'Setting', 'Value'];
+    sheet.appendRow(headers);
+    const headerRow = sheet.getLastRow();
+
+    if (findings.length > 0) {
+        const rows = findings.map(f => [
+            f.severity,
+            f.groupName,
+            f.groupEmail,
+            f.ruleId,
+            f.finding,
+            f.setting,
+            f.value
+        ]);
+
+        sheet.getRange(headerRow + 1, 1, rows.length, headers.length).setValues(rows);
+    }
+
+    // Format the sheet
+    sheet.getRange(1, 1).setFontWeight('bold').setFontSize(14);
+    sheet.getRange(2, 1, 2, 1).setFontStyle('italic');
+    sheet.getRange(4, 1, 3, 1).setFontWeight('bold');
+
+    sheet.getRange(headerRow, 1, 1, headers.length).setFontWeight('bold')
+        .setBackground('#4285f4')
+        .setFontColor('#ffffff')
+        .setHorizontalAlignment('center');
+
+    sheet.setFrozenRows(headerRow);
+    sheet.autoResizeColumns(1, headers.length);
+
+    if (findings.length > 0) {
+        const severityRange = sheet.getRange(headerRow + 1, 1, findings.length, 1);
+        severityRange.createTextFinder('HIGH').matchEntireCell(true).findAll().forEach(cell => {
+            cell.setFontColor('#d93025').setFontWeight('bold');
+        });
+        severityRange.createTextFinder('MEDIUM').matchEntireCell(true).findAll().forEach(cell => {
+            cell.setFontColor('#e37400').setFontWeight('bold');
+        });
+    }
+
+    const reportUrl = ss.getUrl();
+    Logger.log(`\n📊 SETTINGS REPORT: ${reportUrl}#gid=${sheet.getSheetId()}`);
+
+    return reportUrl;
+}
@@ -0,0 +1,286 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * ACTIVITY SIGNALS
+ *
+ * Companion file for the inactive-user scripts - add it to the same Apps Script project,
+ * together with "Last Seen Ledger.js".
+ *
+ * Login events alone miss users who stay signed in for months or only use a mobile app.
+ * Every signal in ACTIVITY_SIGNALS is another piece of evidence that a user is active:
+ *
+ * - LOGIN:    last login from the last-seen ledger or Directory API (see "Last Seen Ledger.js")
+ * - DRIVE, GMAIL, CALENDAR, MEET, TOKEN: the user's most recent event in that Reports API
+ *             application (TOKEN = OAuth token activity of third-party apps)
+ * - USAGE:    the most recent timestamp in the user usage report (USAGE_REPORT_PARAMETERS)
+ *
+ * The last time each user was seen per signal is kept in the ledger file ('signals'), so
+ * like login events it is remembered beyond the Reports API's 180 days. Activity events are
+ * synced a day at a time, oldest first - the first sync of 180 days may take a few runs.
+ * The ledger is saved after every synced day, and each signal records whether it has caught
+ * up ('complete'). Until then assessActivity() flags users who look inactive as 'incomplete',
+ * and the suspend and lifecycle scripts leave them alone.
+ *
+ * Scoring:
+ * Each signal has a weight in CONFIG.ACTIVITY_SIGNAL_WEIGHTS (0 or missing = not used).
+ * A user is ACTIVE if the weights of the signals seen since the cutoff date add up to at
+ * least CONFIG.ACTIVITY_SCORE_THRESHOLD. The report shows the most recent signal.
+ *
+ * Adding a signal:
+ * Add an entry with the Reports API application name to ACTIVITY_SIGNALS (e.g. 'chat')
+ * and give it a weight in CONFIG.ACTIVITY_SIGNAL_WEIGHTS.
+ *
+ * OAuth Scopes Required:
+ * @scope https://www.googleapis.com/auth/admin.reports.audit.readonly
+ * @scope https://www.googleapis.com/auth/admin.reports.usage.readonly
+ * @scope https://www.googleapis.com/auth/drive
+ */
+
+const ACTIVITY_SIGNALS = {
+    LOGIN: { label: 'Login', login: true },
+    DRIVE: { label: 'Drive', application: 'drive' },
+    GMAIL: { label: 'Gmail', application: 'gmail' },
+    CALENDAR: { label: 'Calendar', application: 'calendar' },
+    MEET: { label: 'Meet', application: 'meet' },
+    TOKEN: { label: 'OAuth Token', application: 'token' },
+    USAGE: { label: 'Usage Report', usage: true }
+};
+
+// User usage report timestamps that count as activity
+const USAGE_REPORT_PARAMETERS = [
+    'accounts:last_login_time',
+    'accounts:last_sso_time',
+    'gmail:last_interaction_time'
+];
+
+// Time the activity sync may take per run - the rest continues on the next run
+const ACTIVITY_SYNC_MAX_SECONDS = 180;
+
+/**
+ * Brings every weighted activity signal in the ledger up to date and saves the ledger.
+ * First syncs start at the cutoff date (or 180 days ago, whichever is later).
+ * Returns the labels of the signals that haven't caught up yet (empty when all are complete).
+ */
+function updateActivitySignals(ledger, cutoffDate) {
+    const deadline = Date.now() + (ACTIVITY_SYNC_MAX_SECONDS * 1000);
+    const incomplete = [];
+
+    Object.keys(ACTIVITY_SIGNALS).forEach(key => {
+        const signal = ACTIVITY_SIGNALS[key];
+        if (signal.login || !getActivitySignalWeight(key)) {
+            return;
+        }
+
+        ledger.signals[key] = ledger.signals[key] || { syncedUntil: null, users: {} };
+
+        // Saved as incomplete while syncing, so a run that stops half-way is never trusted
+        ledger.signals[key].complete = false;
+
+        try {
+            ledger.signals[key].complete = signal.usage
+                ? syncUsageSignal(ledger.signals[key])
+                : syncApplicationSignal(ledger.signals[key], signal.application, cutoffDate, deadline, () => saveLastSeenLedger(ledger));
+
+            if (ledger.signals[key].complete) {
+                Logger.log(`📡 ${signal.label}: ${Object.keys(ledger.signals[key].users).length} users seen (synced until ${ledger.signals[key].syncedUntil})`);
+            } else {
+                Logger.log(`⚠️ ${signal.label}: still catching up (synced until ${ledger.signals[key].syncedUntil || 'not started'}) - continues on the next run`);
+                Logger.log('   Users active only in this signal may be reported as inactive until then - they are not suspended.');
+            }
+        } catch (e) {
+            Logger.log(`⚠️ Error syncing ${signal.label} activity: ${e.message}`);
+        }
+
+        if (!ledger.signals[key].complete) {
+            incomplete.push(signal.label);
+        }
+    });
+
+    saveLastSeenLedger(ledger);
+    return incomplete;
+}
+
+/**
+ * Scores a Directory user's activity since the cutoff date.
+ * Returns { active, score, time, signal, incomplete } - time and signal are the most recent activity of
+ * any weighted signal. incomplete is true when the user looks inactive but a weighted signal hasn't
+ * caught up yet, so activity the ledger doesn't know about may still turn up.
+ */
+function assessActivity(ledger, user, cutoffDate) {
+    const email = user.primaryEmail.toLowerCase();
+    let score = 0;
+    let latest = { time: null, signal: 'None' };
+    let syncing = false;
+
+    Object.keys(ACTIVITY_SIGNALS).forEach(key => {
+        const weight = getActivitySignalWeight(key);
+        if (!weight) return;
+
+        if (!ACTIVITY_SIGNALS[key].login && !(ledger.signals[key] && ledger.signals[key].complete)) {
+            syncing = true;
+        }
+
+        const time = ACTIVITY_SIGNALS[key].login
+            ? resolveLastLogin(ledger, user).time
+            : (ledger.signals[key] && ledger.signals[key].users[email]) || null;
+        if (!time) return;
+
+        if (new Date(time).getTime() >= cutoffDate.getTime()) {
+            score += weight;
+        }
+        if (!latest.time || new Date(time) > new Date(latest.time)) {
+            latest = { time: time, signal: ACTIVITY_SIGNALS[key].label };
+        }
+    });
+
+    const active = score >= CONFIG.ACTIVITY_SCORE_THRESHOLD;
+
+    return {
+        active: active,
+        score: score,
+        time: latest.time,
+        signal: latest.signal,
+        incomplete: !active && syncing
+    };
+}
+
+/**
+ * Weight of a signal from CONFIG.ACTIVITY_SIGNAL_WEIGHTS - 0 if it isn't configured
+ */
+function getActivitySignalWeight(key) {
+    return (CONFIG.ACTIVITY_SIGNAL_WEIGHTS || {})[key] || 0;
+}
+
+/**
+ * Syncs one Reports API application a day at a time, oldest first, calling saveProgress()
+ * after every completed day. Returns false if the deadline was reached before catching up.
+ */
+function syncApplicationSignal(signal, application, cutoffDate, deadline, saveProgress) {
+    const now = new Date();
+    const retentionStart = new Date(now.getTime() - (REPORTS_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+
+    let start = signal.syncedUntil
+        ? new Date(new Date(signal.syncedUntil).getTime() - (LEDGER_SYNC_OVERLAP_HOURS * 60 * 60 * 1000))
+        : cutoffDate;
+    if (start < retentionStart) {
+        start = retentionStart;
+    }
+
+    while (start < now) {
+        const end = new Date(Math.min(start.getTime() + (24 * 60 * 60 * 1000), now.getTime()));
+        let pageToken;
+
+        do {
+            // A busy day can have many pages - a day cut short is fetched again on the next run
+            if (Date.now() > deadline) {
+                return false;
+            }
+
+            const response = AdminReports.Activities.list('all', application, {
+                startTime: Utilities.formatDate(start, 'GMT', "yyyy-MM-dd'T'HH:mm:ss'Z'"),
+                endTime: Utilities.formatDate(end, 'GMT', "yyyy-MM-dd'T'HH:mm:ss'Z'"),
+                maxResults: 1000,
+                pageToken: pageToken
+            });
+
+            (response.items || []).forEach(activity => {
+                // Skip activities without actor email (e.g., system events)
+                if (!activity.actor || !activity.actor.email) {
+                    return;
+                }
+
+                const email = activity.actor.email.toLowerCase();
+                const activityTime = activity.id.time;
+
+                if (!signal.users[email] || new Date(activityTime) > new Date(signal.users[email])) {
+                    signal.users[email] = activityTime;
+                }
+            });
+
+            pageToken = response.nextPageToken;
+            if (pageToken) Utilities.sleep(200);
+        } while (pageToken);
+
+        signal.syncedUntil = end.toISOString();
+        start = end;
+        saveProgress();
+    }
+
+    return true;
+}
+
+/**
+ * Reads the latest available user usage report (usually 2-4 days old).
+ * Returns false if no report of the last week is available.
+ */
+function syncUsageSignal(signal) {
+    let lastError = null;
+
+    for (let daysBack = 2; daysBack <= 7; daysBack++) {
+        const date = Utilities.formatDate(new Date(Date.now() - (daysBack * 24 * 60 * 60 * 1000)), 'GMT', 'yyyy-MM-dd');
+
+        // Already read this report or a newer one
+        if (signal.syncedUntil && date <= signal.syncedUntil) {
+            return true;
+        }
+
+        try {
+            let pageToken;
+            let reports = 0;
+
+            do {
+                const response = AdminReports.UserUsageReport.get('all', date, {
+                    parameters: USAGE_REPORT_PARAMETERS.join(','),
+                    maxResults: 1000,
+                    pageToken: pageToken
+                });
+
+                (response.usageReports || []).forEach(report => {
+                    if (!report.entity || !report.entity.userEmail) {
+                        return;
+                    }
+
+                    const email = report.entity.userEmail.toLowerCase();
+                    reports++;
+
+                    (report.parameters || []).forEach(parameter => {
+                        // "Never" is reported as the Unix epoch
+                        if (!parameter.datetimeValue || new Date(parameter.datetimeValue).getTime() <= 0) {
+                            return;
+                        }
+                        if (!signal.users[email] || new Date(parameter.datetimeValue) > new Date(signal.users[email])) {
+                            signal.users[email] = parameter.datetimeValue;
+                        }
+                    });
+                });
+
+                pageToken = response.nextPageToken;
+                if (pageToken) Utilities.sleep(200);
+            } while (pageToken);
+
+            if (reports > 0) {
+                signal.syncedUntil = date;
+                return true;
+            }
+        } catch (e) {
+            // Reports for the most recent days are often not available yet - try the day before
+            lastError = e;
+        }
+    }
+
+    if (lastError) {
+        throw lastError;
+    }
+    return false;
+}
+
+/**
+ * Syncs the last-seen ledger and all activity signals without running an audit.
+ * Put it on a daily trigger to keep the ledger current and let the first sync catch up.
+ */
+function syncActivityLedger() {
+    const ledger = updateLastSeenLedger();
+    updateActivitySignals(ledger, new Date(Date.now() - (REPORTS_RETENTION_DAYS * 24 * 60 * 60 * 1000)));
+}
@@ -62,7 +62,26 @@ const CONFIG = {
     // 3. Paste it here
     // Example URL: https://drive.google.com/drive/folders/1ABC123xyz...
     // If empty, the spreadsheet will be created in "My Drive"
-    SHARED_DRIVE_FOLDER_ID: '0AA7GGQkHedVoUk9PVA'
+    SHARED_DRIVE_FOLDER_ID: '0AA7GGQkHedVoUk9PVA',
+
+    // Last-Seen Ledger (see "Last Seen Ledger.js")
+    // Folder for the ledger file. If empty, SHARED_DRIVE_FOLDER_ID is used.
+    LAST_SEEN_LEDGER_FOLDER_ID: '',
+
+    // Activity Signals (see "Activity Signals.js")
+    // Weight of each signal when deciding if a user is active (0 = not used).
+    // A user is active if the signals seen since the cutoff date add up to ACTIVITY_SCORE_THRESHOLD.
+    // OAuth token activity also comes from background syncs, so on its own it isn't enough.
+    ACTIVITY_SIGNAL_WEIGHTS: {
+        LOGIN: 1,
+        DRIVE: 1,
+        GMAIL: 1,
+        CALENDAR: 1,
+        MEET: 1,
+        TOKEN: 0.5,
+        USAGE: 1
+    },
+    ACTIVITY_SCORE_THRESHOLD: 1
 };
 
 /**
@@ -212,78 +231,19 @@ function getAllLicenseAssignments(productId, customerId) {
 }
 
 /**
- * Gets login activity from Reports API for the last 180 days.
- * Returns a map of email -> last login time.
- * 
- * NOTE: Reports API only keeps data for 180 days maximum.
- */
-function getLoginActivityFromReports(cutoffDate) {
-    const loginMap = {};
-
-    // Reports API only keeps 180 days of data, so adjust if needed
-    const now = new Date();
-    const maxReportsHistory = new Date(now.getTime() - (180 * 24 * 60 * 60 * 1000));
-    const startDate = cutoffDate > maxReportsHistory ? cutoffDate : maxReportsHistory;
-
-    const startDateStr = Utilities.formatDate(startDate, 'GMT', "yyyy-MM-dd'T'HH:mm:ss'Z'");
-    const endDateStr = Utilities.formatDate(now, 'GMT', "yyyy-MM-dd'T'HH:mm:ss'Z'");
-
-    Logger.log(`Fetching login activity from Reports API (${startDateStr} to ${endDateStr})...`);
-
-    try {
-        let pageToken;
-        let totalActivities = 0;
-
-        do {
-            const response = AdminReports.Activities.list('all', 'login', {
-                startTime: startDateStr,
-                endTime: endDateStr,
-                maxResults: 1000,
-                pageToken: pageToken
-            });
-
-            if (response.items) {
-                totalActivities += response.items.length;
-                response.items.forEach(activity => {
-                    // Skip activities without actor email (e.g., system events)
-                    if (!activity.actor || !activity.actor.email) {
-                        return;
-                    }
-
-                    const email = activity.actor.email.toLowerCase();
-                    const activityTime = activity.id.time;
-
-                    // Keep the most recent login time
-                    if (!loginMap[email] || new Date(activityTime) > new Date(loginMap[email])) {
-                        loginMap[email] = activityTime;
-                    }
-                });
-            }
-
-            pageToken = response.nextPageToken;
-            if (pageToken) Utilities.sleep(200);
-        } while (pageToken);
-
-        Logger.log(`Reports API: Found ${totalActivities} login activities for ${Object.keys(loginMap).length} unique users`);
-    } catch (e) {
-        Logger.log(`⚠️ Error fetching login reports: ${e.message}`);
-        Logger.log('Will fall back to Directory API lastLoginTime data');
-    }
-
-    return loginMap;
-}
-
-/**
- * Retrieves users who haven't logged in since the given date.
- * Uses HYBRID approach: Reports API for recent data + Directory API for fallback.
+ * Retrieves users who haven't been active since the given date.
+ * Last logins come from the last-seen ledger (see "Last Seen Ledger.js") with the
+ * Directory API lastLoginTime as fallback, so any inactivity period works.
+ * Drive, Gmail, Calendar, Meet, OAuth token and usage report activity count as well
+ * (see "Activity Signals.js").
  */
 function getInactiveUsers(cutoffDate) {
     let users = [];
     let pageToken;
 
-    // Step 1: Get login activity from Reports API (more accurate for recent logins)
-    const reportsLoginData = getLoginActivityFromReports(cutoffDate);
-    Logger.log(`Reports API provided login data for ${Object.keys(reportsLoginData).length} users`);
+    // Step 1: Bring the last-seen ledger and activity signals up to date
+    const ledger = updateLastSeenLedger();
+    updateActivitySignals(ledger, cutoffDate);
 
     // Step 2: Get all users from Directory API
     do {
@@ -296,34 +256,18 @@ function getInactiveUsers(cutoffDate) {
 
             if (response.users) {
                 const filtered = response.users.filter(user => {
-                    const userEmail = user.primaryEmail.toLowerCase();
-
-                    // HYBRID APPROACH:
-                    // 1. First check Reports API data (most accurate)
-                    if (reportsLoginData[userEmail]) {
-                        const reportsLastLogin = new Date(reportsLoginData[userEmail]);
-                        // User has logged in recently according to Reports API
-                        if (reportsLastLogin.getTime() >= cutoffDate.getTime()) {
-                            return false; // User is ACTIVE
-                        }
-                    }
-
-                    // 2. Fall back to Directory API lastLoginTime
-                    if (user.lastLoginTime) {
-                        const directoryLastLogin = new Date(user.lastLoginTime);
-                        // If Directory API shows recent login, user is active
-                        if (directoryLastLogin.getTime() >= cutoffDate.getTime()) {
-                            return false; // User is ACTIVE
-                        }
-                    }
-
-                    // 3. If neither API shows recent login, user is inactive
-                    // Store the most recent login time from either source
-                    if (reportsLoginData[userEmail]) {
-                        user.lastLoginTime = reportsLoginData[userEmail];
-                    }
-
-                    return true; // User is INACTIVE
+                    // Most recent login from either source, and which source it came from
+                    const lastLogin = resolveLastLogin(ledger, user);
+                    user.lastLoginTime = lastLogin.time;
+                    user.lastLoginSource = lastLogin.source;
+
+                    // Inactive unless enough weighted activity signals were seen since the cutoff date
+                    const activity = assessActivity(ledger, user, cutoffDate);
+                    user.lastActivityTime = activity.time;
+                    user.lastActivitySignal = activity.signal;
+                    user.activityScore = activity.score;
+
+                    return !activity.active;
                 });
                 users = users.concat(filtered);
             }
@@ -368,7 +312,7 @@ function exportToSheet(users) {
     }
 
     // Headers
-    sheet.appendRow(['Name', 'Email', 'OU Path', 'Last Login Time', 'Creation Time', 'Suspended', 'Licenses']);
+    sheet.appendRow(['Name', 'Email', 'OU Path', 'Last Login Time', 'Last Login Source', 'Last Activity', 'Last Activity Signal', 'Activity Score', 'Creation Time', 'Suspended', 'Licenses']);
 
     // Data
     const rows = users.map(user => [
@@ -376,6 +320,10 @@ function exportToSheet(users) {
         user.primaryEmail,
         user.orgUnitPath || '/',
         user.lastLoginTime || 'Never',
+        user.lastLoginSource,
+        user.lastActivityTime || 'Never',
+        user.lastActivitySignal,
+        user.activityScore,
         user.creationTime,
         user.suspended,
         user.licenseString
@@ -387,9 +335,9 @@ function exportToSheet(users) {
     }
 
     // Format the sheet
-    sheet.getRange(1, 1, 1, 7).setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
+    sheet.getRange(1, 1, 1, 11).setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
     sheet.setFrozenRows(1);
-    sheet.autoResizeColumns(1, 7);
+    sheet.autoResizeColumns(1, 11);
 
     const reportUrl = ss.getUrl();
     Logger.log(`Report generated: ${reportUrl} (Sheet: ${sheetName})`);
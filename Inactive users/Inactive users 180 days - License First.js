@@ -54,7 +54,26 @@ const CONFIG = {
     // 2. Copy the folder ID from the URL (the part after /folders/)
     // 3. Paste it here
     // If empty, the spreadsheet will be created in "My Drive"
-    SHARED_DRIVE_FOLDER_ID: '0AA7GGQkHedVoUk9PVA'
+    SHARED_DRIVE_FOLDER_ID: '0AA7GGQkHedVoUk9PVA',
+
+    // Last-Seen Ledger (see "Last Seen Ledger.js")
+    // Folder for the ledger file. If empty, SHARED_DRIVE_FOLDER_ID is used.
+    LAST_SEEN_LEDGER_FOLDER_ID: '',
+
+    // Activity Signals (see "Activity Signals.js")
+    // Weight of each signal when deciding if a user is active (0 = not used).
+    // A user is active if the signals seen since the cutoff date add up to ACTIVITY_SCORE_THRESHOLD.
+    // OAuth token activity also comes from background syncs, so on its own it isn't enough.
+    ACTIVITY_SIGNAL_WEIGHTS: {
+        LOGIN: 1,
+        DRIVE: 1,
+        GMAIL: 1,
+        CALENDAR: 1,
+        MEET: 1,
+        TOKEN: 0.5,
+        USAGE: 1
+    },
+    ACTIVITY_SCORE_THRESHOLD: 1
 };
 
 /**
@@ -118,9 +137,9 @@ function auditInactiveLicensedUsers() {
         return;
     }
 
-    // STEP 2: Get login activity data from Reports API
-    const reportsLoginData = getLoginActivityFromReports(inactiveDate);
-    Logger.log(`Reports API provided login data for ${Object.keys(reportsLoginData).length} users`);
+    // STEP 2: Bring the last-seen ledger and activity signals up to date
+    const ledger = updateLastSeenLedger();
+    updateActivitySignals(ledger, inactiveDate);
 
     // STEP 3: Check each licensed user for inactivity
     const inactiveLicensedUsers = [];
@@ -130,19 +149,14 @@ function auditInactiveLicensedUsers() {
             // Fetch user details from Directory API
             const user = AdminDirectory.Users.get(userEmail, { projection: 'full' });
 
-            // Check if user is inactive using hybrid approach
-            const isInactive = checkIfUserInactive(user, reportsLoginData, inactiveDate);
+            // Check if user is inactive using the ledger, Directory API and activity signals
+            const isInactive = checkIfUserInactive(user, ledger, inactiveDate);
 
             if (isInactive) {
                 // Add manager information
                 user.managerEmail = getManager(userEmail) || 'N/A';
                 user.licenseString = getSkuName(CONFIG.TARGET_SKU_ID);
 
-                // Store the most recent login time from either source
-                if (reportsLoginData[userEmail.toLowerCase()]) {
-                    user.lastLoginTime = reportsLoginData[userEmail.toLowerCase()];
-                }
-
                 inactiveLicensedUsers.push(user);
             }
 
@@ -208,95 +222,24 @@ function getLicensedUsers(productId, targetSkuId, customerId) {
 }
 
 /**
- * Checks if a user is inactive using hybrid approach
+ * Checks if a user is inactive, using the last-seen ledger (see "Last Seen Ledger.js")
+ * with the Directory API lastLoginTime as fallback, and the activity signals
+ * (see "Activity Signals.js").
+ * Stores the most recent login and activity on the user.
  * Returns true if user is inactive, false if active
  */
-function checkIfUserInactive(user, reportsLoginData, cutoffDate) {
-    const userEmail = user.primaryEmail.toLowerCase();
-
-    // HYBRID APPROACH:
-    // 1. First check Reports API data (most accurate)
-    if (reportsLoginData[userEmail]) {
-        const reportsLastLogin = new Date(reportsLoginData[userEmail]);
-        // User has logged in recently according to Reports API
-        if (reportsLastLogin.getTime() >= cutoffDate.getTime()) {
-            return false; // User is ACTIVE
-        }
-    }
-
-    // 2. Fall back to Directory API lastLoginTime
-    if (user.lastLoginTime) {
-        const directoryLastLogin = new Date(user.lastLoginTime);
-        // If Directory API shows recent login, user is active
-        if (directoryLastLogin.getTime() >= cutoffDate.getTime()) {
-            return false; // User is ACTIVE
-        }
-    }
-
-    // 3. If neither API shows recent login, user is inactive
-    return true;
-}
-
-/**
- * Gets login activity from Reports API for the last 180 days
- * Returns a map of email -> last login time
- * 
- * NOTE: Reports API only keeps data for 180 days maximum
- */
-function getLoginActivityFromReports(cutoffDate) {
-    const loginMap = {};
-
-    // Reports API only keeps 180 days of data, so adjust if needed
-    const now = new Date();
-    const maxReportsHistory = new Date(now.getTime() - (180 * 24 * 60 * 60 * 1000));
-    const startDate = cutoffDate > maxReportsHistory ? cutoffDate : maxReportsHistory;
-
-    const startDateStr = Utilities.formatDate(startDate, 'GMT', "yyyy-MM-dd'T'HH:mm:ss'Z'");
-    const endDateStr = Utilities.formatDate(now, 'GMT', "yyyy-MM-dd'T'HH:mm:ss'Z'");
-
-    Logger.log(`Fetching login activity from Reports API (${startDateStr} to ${endDateStr})...`);
-
-    try {
-        let pageToken;
-        let totalActivities = 0;
-
-        do {
-            const response = AdminReports.Activities.list('all', 'login', {
-                startTime: startDateStr,
-                endTime: endDateStr,
-                maxResults: 1000,
-                pageToken: pageToken
-            });
-
-            if (response.items) {
-                totalActivities += response.items.length;
-                response.items.forEach(activity => {
-                    // Skip activities without actor email (e.g., system events)
-                    if (!activity.actor || !activity.actor.email) {
-                        return;
-                    }
-
-                    const email = activity.actor.email.toLowerCase();
-                    const activityTime = activity.id.time;
-
-                    // Keep the most recent login time
-                    if (!loginMap[email] || new Date(activityTime) > new Date(loginMap[email])) {
-                        loginMap[email] = activityTime;
-                    }
-                });
-            }
-
-            pageToken = response.nextPageToken;
-            if (pageToken) Utilities.sleep(200);
-        } while (pageToken);
-
-        Logger.log(`Reports API: Found ${totalActivities} login activities for ${Object.keys(loginMap).length} unique users`);
-    } catch (e) {
-        Logger.log(`⚠️ Error fetching login reports: ${e.message}`);
-        Logger.log('Will fall back to Directory API lastLoginTime data');
-    }
-
-    return loginMap;
+function checkIfUserInactive(user, ledger, cutoffDate) {
+    const lastLogin = resolveLastLogin(ledger, user);
+    user.lastLoginTime = lastLogin.time;
+    user.lastLoginSource = lastLogin.source;
+
+    // Inactive unless enough weighted activity signals were seen since the cutoff date
+    const activity = assessActivity(ledger, user, cutoffDate);
+    user.lastActivityTime = activity.time;
+    user.lastActivitySignal = activity.signal;
+    user.activityScore = activity.score;
+
+    return !activity.active;
 }
 
 /**
@@ -331,7 +274,7 @@ function exportToSheet(users) {
     moveToSharedDrive(ss);
 
     // Headers
-    sheet.appendRow(['Name', 'Email', 'OU Path', 'Manager Email', 'Last Login Time', 'Creation Time', 'Suspended', 'License']);
+    sheet.appendRow(['Name', 'Email', 'OU Path', 'Manager Email', 'Last Login Time', 'Last Login Source', 'Last Activity', 'Last Activity Signal', 'Activity Score', 'Creation Time', 'Suspended', 'License']);
 
     // Data
     const rows = users.map(user => [
@@ -340,6 +283,10 @@ function exportToSheet(users) {
         user.orgUnitPath || '/',
         user.managerEmail || 'N/A',
         user.lastLoginTime || 'Never',
+        user.lastLoginSource,
+        user.lastActivityTime || 'Never',
+        user.lastActivitySignal,
+        user.activityScore,
         user.creationTime,
         user.suspended,
         user.licenseString
@@ -351,9 +298,9 @@ function exportToSheet(users) {
     }
 
     // Format the sheet
-    sheet.getRange(1, 1, 1, 8).setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
+    sheet.getRange(1, 1, 1, 12).setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
     sheet.setFrozenRows(1);
-    sheet.autoResizeColumns(1, 8);
+    sheet.autoResizeColumns(1, 12);
 
     const reportUrl = ss.getUrl();
     Logger.log(`Report generated: ${reportUrl}`);
@@ -45,7 +45,26 @@ const CONFIG = {
 
     // Excel/Sheet Configuration
     SPREADSHEET_ID: 'YOUR_SPREADSHEET_ID_HERE', // If empty, creates new
-    SHARED_DRIVE_FOLDER_ID: '0AA7GGQkHedVoUk9PVA'
+    SHARED_DRIVE_FOLDER_ID: '0AA7GGQkHedVoUk9PVA',
+
+    // Last-Seen Ledger (see "Last Seen Ledger.js")
+    // Folder for the ledger file. If empty, SHARED_DRIVE_FOLDER_ID is used.
+    LAST_SEEN_LEDGER_FOLDER_ID: '',
+
+    // Activity Signals (see "Activity Signals.js")
+    // Weight of each signal when deciding if a user is active (0 = not used).
+    // A user is active if the signals seen since the cutoff date add up to ACTIVITY_SCORE_THRESHOLD.
+    // OAuth token activity also comes from background syncs, so on its own it isn't enough.
+    ACTIVITY_SIGNAL_WEIGHTS: {
+        LOGIN: 1,
+        DRIVE: 1,
+        GMAIL: 1,
+        CALENDAR: 1,
+        MEET: 1,
+        TOKEN: 0.5,
+        USAGE: 1
+    },
+    ACTIVITY_SCORE_THRESHOLD: 1
 };
 
 /**
@@ -134,7 +153,11 @@ function suspendInactiveUsers() {
                 // Perform Suspension if enabled
                 let actionStatus = 'Dry Run - Would Suspend';
 
-                if (CONFIG.PERFORM_SUSPENSION) {
+                if (user.activityIncomplete) {
+                    // Activity signals are still catching up - the user may not be inactive after all
+                    actionStatus = 'Skipped - activity signals still syncing';
+                    Logger.log(`Skipping User: ${userEmail} (activity signals still syncing)`);
+                } else if (CONFIG.PERFORM_SUSPENSION) {
                     try {
                         // Only suspend if not already suspended
                         if (!user.suspended) {
@@ -179,7 +202,7 @@ function exportToSheet(users) {
     moveToSharedDrive(ss);
 
     // Headers
-    sheet.appendRow(['Name', 'Email', 'OU Path', 'Last Login Time', 'Suspended', 'Licenses', 'Action Status']);
+    sheet.appendRow(['Name', 'Email', 'OU Path', 'Last Login Time', 'Last Login Source', 'Last Activity', 'Last Activity Signal', 'Activity Score', 'Suspended', 'Licenses', 'Action Status']);
 
     // Data
     const rows = users.map(user => [
@@ -187,6 +210,10 @@ function exportToSheet(users) {
         user.primaryEmail,
         user.orgUnitPath || '/',
         user.lastLoginTime || 'Never',
+        user.lastLoginSource,
+        user.lastActivityTime || 'Never',
+        user.lastActivitySignal,
+        user.activityScore,
         user.suspended,
         user.licenseString,
         user.actionStatus
@@ -197,9 +224,9 @@ function exportToSheet(users) {
     }
 
     // Format
-    sheet.getRange(1, 1, 1, 7).setFontWeight('bold').setBackground('#d93025').setFontColor('#ffffff'); // Red header for Suspension
+    sheet.getRange(1, 1, 1, 11).setFontWeight('bold').setBackground('#d93025').setFontColor('#ffffff'); // Red header for Suspension
     sheet.setFrozenRows(1);
-    sheet.autoResizeColumns(1, 7);
+    sheet.autoResizeColumns(1, 11);
 
     const reportUrl = ss.getUrl();
     Logger.log(`Report generated: ${reportUrl}`);
@@ -241,43 +268,11 @@ function getAllLicenseAssignments(productId, customerId) {
     return licenseMap;
 }
 
-function getLoginActivityFromReports(cutoffDate) {
-    const loginMap = {};
-    const now = new Date();
-    const maxReportsHistory = new Date(now.getTime() - (180 * 24 * 60 * 60 * 1000));
-    const startDate = cutoffDate > maxReportsHistory ? cutoffDate : maxReportsHistory;
-    const startDateStr = Utilities.formatDate(startDate, 'GMT', "yyyy-MM-dd'T'HH:mm:ss'Z'");
-    const endDateStr = Utilities.formatDate(now, 'GMT', "yyyy-MM-dd'T'HH:mm:ss'Z'");
-
-    try {
-        let pageToken;
-        do {
-            const response = AdminReports.Activities.list('all', 'login', {
-                startTime: startDateStr, endTime: endDateStr, maxResults: 1000, pageToken: pageToken
-            });
-            if (response.items) {
-                response.items.forEach(activity => {
-                    if (!activity.actor || !activity.actor.email) return;
-                    const email = activity.actor.email.toLowerCase();
-                    const time = activity.id.time;
-                    if (!loginMap[email] || new Date(time) > new Date(loginMap[email])) {
-                        loginMap[email] = time;
-                    }
-                });
-            }
-            pageToken = response.nextPageToken;
-            if (pageToken) Utilities.sleep(200);
-        } while (pageToken);
-    } catch (e) {
-        Logger.log(`Error fetching login reports: ${e.message}`);
-    }
-    return loginMap;
-}
-
 function getInactiveUsers(cutoffDate) {
     let users = [];
     let pageToken;
-    const reportsLoginData = getLoginActivityFromReports(cutoffDate);
+    const ledger = updateLastSeenLedger(); // see "Last Seen Ledger.js"
+    updateActivitySignals(ledger, cutoffDate); // see "Activity Signals.js"
 
     do {
         try {
@@ -286,14 +281,15 @@ function getInactiveUsers(cutoffDate) {
             });
             if (response.users) {
                 const filtered = response.users.filter(user => {
-                    const email = user.primaryEmail.toLowerCase();
-                    if (reportsLoginData[email]) {
-                        if (new Date(reportsLoginData[email]).getTime() >= cutoffDate.getTime()) return false;
-                        user.lastLoginTime = reportsLoginData[email];
-                    } else if (user.lastLoginTime) {
-                        if (new Date(user.lastLoginTime).getTime() >= cutoffDate.getTime()) return false;
-                    }
-                    return true;
+                    const lastLogin = resolveLastLogin(ledger, user);
+                    user.lastLoginTime = lastLogin.time;
+                    user.lastLoginSource = lastLogin.source;
+                    const activity = assessActivity(ledger, user, cutoffDate);
+                    user.lastActivityTime = activity.time;
+                    user.lastActivitySignal = activity.signal;
+                    user.activityScore = activity.score;
+                    user.activityIncomplete = activity.incomplete;
+                    return !activity.active;
                 });
                 users = users.concat(filtered);
             }
@@ -0,0 +1,210 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * LAST-SEEN LEDGER
+ *
+ * Companion file for the inactive-user scripts - add it to the same Apps Script project.
+ *
+ * The Reports API only keeps 180 days of login events, so on its own it can't tell
+ * whether a user last logged in 200 or 400 days ago. The ledger remembers every user's
+ * most recent login event across runs:
+ *
+ * - Stored as a JSON file on Drive: { syncedUntil, users: { email: lastLoginTime }, signals }
+ *   ('signals' holds the other activity signals, see "Activity Signals.js")
+ *   The file ID is kept in Script Properties ('lastSeenLedgerFileId').
+ * - Every run fetches only the login events since the last sync (the first run fetches
+ *   the full 180 days) and keeps the most recent login per user.
+ * - The file is created in CONFIG.LAST_SEEN_LEDGER_FOLDER_ID, or CONFIG.SHARED_DRIVE_FOLDER_ID
+ *   if that is empty, or "My Drive" if neither is set.
+ *
+ * resolveLastLogin() combines the ledger with the Directory API lastLoginTime and says
+ * where the answer came from:
+ * - 'Reports API':   login event within the last 180 days
+ * - 'Ledger':        login event older than 180 days, remembered by the ledger
+ * - 'Directory API': Directory lastLoginTime is more recent (or the only data)
+ * - 'None':          the user has never logged in
+ *
+ * The longer the ledger has been running, the fewer users depend on the Directory API.
+ *
+ * OAuth Scopes Required:
+ * @scope https://www.googleapis.com/auth/admin.reports.audit.readonly
+ * @scope https://www.googleapis.com/auth/drive
+ */
+
+const LAST_SEEN_LEDGER_FILE_NAME = 'Inactive Users - Last Seen Ledger.json';
+const LAST_SEEN_LEDGER_PROPERTY = 'lastSeenLedgerFileId';
+const REPORTS_RETENTION_DAYS = 180;
+
+// Login events can show up in the Reports API a few hours late - re-read this much on each sync
+const LEDGER_SYNC_OVERLAP_HOURS = 24;
+
+/**
+ * Brings the ledger up to date with the Reports API and returns it.
+ * If the Reports API fails, the ledger is returned as it was and the next run retries.
+ */
+function updateLastSeenLedger() {
+    const ledger = loadLastSeenLedger();
+
+    const now = new Date();
+    const retentionStart = new Date(now.getTime() - (REPORTS_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    let startDate = retentionStart;
+
+    if (ledger.syncedUntil) {
+        const lastSync = new Date(new Date(ledger.syncedUntil).getTime() - (LEDGER_SYNC_OVERLAP_HOURS * 60 * 60 * 1000));
+        if (lastSync > retentionStart) {
+            startDate = lastSync;
+        }
+    }
+
+    const startDateStr = Utilities.formatDate(startDate, 'GMT', "yyyy-MM-dd'T'HH:mm:ss'Z'");
+    const endDateStr = Utilities.formatDate(now, 'GMT', "yyyy-MM-dd'T'HH:mm:ss'Z'");
+
+    Logger.log(`📒 Updating last-seen ledger from Reports API (${startDateStr} to ${endDateStr})...`);
+
+    try {
+        let pageToken;
+        let totalActivities = 0;
+        let newUsers = 0;
+
+        do {
+            const response = AdminReports.Activities.list('all', 'login', {
+                startTime: startDateStr,
+                endTime: endDateStr,
+                maxResults: 1000,
+                pageToken: pageToken
+            });
+
+            if (response.items) {
+                totalActivities += response.items.length;
+                response.items.forEach(activity => {
+                    // Skip activities without actor email (e.g., system events)
+                    if (!activity.actor || !activity.actor.email) {
+                        return;
+                    }
+
+                    const email = activity.actor.email.toLowerCase();
+                    const activityTime = activity.id.time;
+
+                    // Keep the most recent login time
+                    if (!ledger.users[email] || new Date(activityTime) > new Date(ledger.users[email])) {
+                        if (!ledger.users[email]) newUsers++;
+                        ledger.users[email] = activityTime;
+                    }
+                });
+            }
+
+            pageToken = response.nextPageToken;
+            if (pageToken) Utilities.sleep(200);
+        } while (pageToken);
+
+        ledger.syncedUntil = now.toISOString();
+        saveLastSeenLedger(ledger);
+
+        Logger.log(`📒 Ledger: ${totalActivities} login activities read, ${newUsers} new users, ${Object.keys(ledger.users).length} users tracked`);
+    } catch (e) {
+        Logger.log(`⚠️ Error updating last-seen ledger: ${e.message}`);
+        Logger.log('Using the ledger as of the last successful sync, with Directory API lastLoginTime as fallback');
+    }
+
+    return ledger;
+}
+
+/**
+ * Most recent login for a Directory user, from the ledger or the Directory API.
+ * Returns { time, source } - time is null if the user has never logged in.
+ */
+function resolveLastLogin(ledger, user) {
+    const ledgerTime = ledger.users[user.primaryEmail.toLowerCase()] || null;
+
+    // The Directory API reports "never logged in" as the Unix epoch
+    let directoryTime = user.lastLoginTime || null;
+    if (directoryTime && new Date(directoryTime).getTime() <= 0) {
+        directoryTime = null;
+    }
+
+    if (ledgerTime && (!directoryTime || new Date(ledgerTime) >= new Date(directoryTime))) {
+        const retentionStart = Date.now() - (REPORTS_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        return {
+            time: ledgerTime,
+            source: new Date(ledgerTime).getTime() >= retentionStart ? 'Reports API' : 'Ledger'
+        };
+    }
+
+    if (directoryTime) {
+        return { time: directoryTime, source: 'Directory API' };
+    }
+
+    return { time: null, source: 'None' };
+}
+
+/**
+ * Reads the ledger from Drive. Returns an empty ledger if there is none yet, or if the
+ * file was deleted. Any other read error is thrown, so the run stops and the next run
+ * retries - starting over would lose the history older than 180 days.
+ */
+function loadLastSeenLedger() {
+    const fileId = PropertiesService.getScriptProperties().getProperty(LAST_SEEN_LEDGER_PROPERTY);
+
+    if (fileId) {
+        let file = null;
+        try {
+            file = DriveApp.getFileById(fileId);
+        } catch (e) {
+            if (!/No item with the given ID could be found/i.test(e.message)) {
+                throw new Error(`Could not read last-seen ledger (${fileId}): ${e.message}`);
+            }
+        }
+
+        if (file && !file.isTrashed()) {
+            let ledger;
+            try {
+                ledger = JSON.parse(file.getBlob().getDataAsString());
+            } catch (e) {
+                throw new Error(`Could not read last-seen ledger (${fileId}): ${e.message}`);
+            }
+            ledger.users = ledger.users || {};
+            ledger.signals = ledger.signals || {};
+            return ledger;
+        }
+
+        Logger.log(`⚠️ Last-seen ledger file ${fileId} no longer exists (deleted or trashed) - starting a new ledger.`);
+        PropertiesService.getScriptProperties().deleteProperty(LAST_SEEN_LEDGER_PROPERTY);
+    }
+
+    return { syncedUntil: null, users: {}, signals: {} };
+}
+
+/**
+ * Writes the ledger to Drive, creating the file on the first save
+ */
+function saveLastSeenLedger(ledger) {
+    const props = PropertiesService.getScriptProperties();
+    const content = JSON.stringify(ledger);
+    const fileId = props.getProperty(LAST_SEEN_LEDGER_PROPERTY);
+
+    if (fileId) {
+        try {
+            DriveApp.getFileById(fileId).setContent(content);
+            return;
+        } catch (e) {
+            Logger.log(`⚠️ Could not update last-seen ledger (${fileId}): ${e.message}`);
+        }
+    }
+
+    const folderId = CONFIG.LAST_SEEN_LEDGER_FOLDER_ID || CONFIG.SHARED_DRIVE_FOLDER_ID;
+    const folder = folderId ? DriveApp.getFolderById(folderId) : DriveApp.getRootFolder();
+    const file = folder.createFile(LAST_SEEN_LEDGER_FILE_NAME, content, 'application/json');
+
+    props.setProperty(LAST_SEEN_LEDGER_PROPERTY, file.getId());
+    Logger.log(`📒 Created last-seen ledger: ${file.getUrl()}`);
+}
+
+/**
+ * Forgets the ledger (the Drive file is kept). The next run starts again from 180 days of history.
+ */
+function resetLastSeenLedger() {
+    PropertiesService.getScriptProperties().deleteProperty(LAST_SEEN_LEDGER_PROPERTY);
+    Logger.log('📒 Last-seen ledger reset. The next run will create a new one.');
+}
@@ -0,0 +1,544 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * MANAGER APPROVAL
+ *
+ * Companion file for "Suspend and Manage Licenses.js".
+ * Used when CONFIG.REQUIRE_MANAGER_APPROVAL is true. Add it to the same Apps Script
+ * project and deploy the project as a web app
+ * (Deploy → New deployment → Web app, execute as: Me, access: anyone in your domain).
+ *
+ * Before an inactive user is suspended, their manager gets a say:
+ * 1. Every run of suspendAndManageLicenses() sends each manager ONE digest email listing
+ *    their inactive reports, with a personal link to the web app.
+ * 2. On the web app page (doGet) the manager chooses for each report (doPost):
+ *    - APPROVE: suspend the user
+ *    - KEEP:    don't suspend - the manager is asked again after CONFIG.APPROVAL_KEEP_DAYS
+ *    - EXTEND:  give the user more time - the manager is asked again after CONFIG.APPROVAL_EXTEND_DAYS
+ * 3. Only APPROVED users, and users whose manager didn't answer within
+ *    CONFIG.APPROVAL_DEADLINE_DAYS (EXPIRED), are suspended.
+ *
+ * Users without a manager in the Directory are sent to CONFIG.APPROVAL_FALLBACK_RECIPIENT,
+ * or suspended without approval (NO_MANAGER) if it is empty.
+ *
+ * The tracking spreadsheet of "Suspend and Manage Licenses.js" holds:
+ * - "Manager Approvals": one row per request with its current status
+ * - "Approval Log":      every request, decision, missed deadline and suspension (the audit trail)
+ *
+ * OAuth Scopes Required:
+ * @scope https://www.googleapis.com/auth/admin.directory.user
+ * @scope https://www.googleapis.com/auth/script.send_mail
+ * @scope https://www.googleapis.com/auth/spreadsheets
+ * @scope https://www.googleapis.com/auth/userinfo.email
+ */
+
+const APPROVAL_SHEET_NAME = 'Manager Approvals';
+const APPROVAL_HEADERS = ['Digest ID', 'User Email', 'User Name', 'Manager', 'Requested At (GMT)', 'Deadline (GMT)',
+    'Status', 'Decided By', 'Decided At (GMT)', 'Valid Until (GMT)', 'Comment'];
+const APPROVAL_LOG_SHEET_NAME = 'Approval Log';
+const APPROVAL_LOG_HEADERS = ['Timestamp (GMT)', 'Digest ID', 'User Email', 'Manager', 'Decision', 'Decided By', 'Comment'];
+const APPROVAL_DECISIONS = {
+    APPROVE: 'APPROVED',
+    KEEP: 'KEPT',
+    EXTEND: 'EXTENDED'
+};
+
+// MailApp quota left untouched for the warning and report emails
+const APPROVAL_QUOTA_RESERVE = 10;
+
+/**
+ * Asks managers about their inactive reports and returns who may be suspended.
+ * Returns { approvedEmails: { email: true }, results } - results are the rows of the "Manager Approvals" report sheet.
+ */
+function processManagerApprovals(candidates) {
+    const sheet = getApprovalSheet();
+    const requests = loadApprovalRequests(sheet);
+    const now = new Date();
+    const approvedEmails = {};
+    const candidateEmails = {};
+    const results = [];
+    const digests = {};
+
+    candidates.forEach(user => {
+        const email = user.primaryEmail.toLowerCase();
+        const request = requests[email];
+        const result = {
+            email: user.primaryEmail,
+            name: user.name ? user.name.fullName : 'N/A',
+            manager: request ? request.manager : '',
+            status: '',
+            decidedBy: request ? request.decidedBy : '',
+            validUntil: request ? request.validUntil : ''
+        };
+        candidateEmails[email] = true;
+        results.push(result);
+
+        if (request && (request.status === 'APPROVED' || request.status === 'EXPIRED' || request.status === 'NO_MANAGER')) {
+            approvedEmails[email] = true;
+            result.status = request.status === 'APPROVED'
+                ? '✅ Approved by manager'
+                : request.status === 'EXPIRED' ? '⏰ Deadline missed' : 'ℹ️ No manager';
+            return;
+        }
+
+        if (request && request.status === 'PENDING') {
+            if (parseGmtDate(request.deadline) > now) {
+                result.status = `⏳ Awaiting manager (deadline ${request.deadline})`;
+                return;
+            }
+
+            // No answer in time - suspension proceeds
+            if (!CONFIG.DRY_RUN) {
+                recordApprovalDecision(request, 'EXPIRED', 'system', '', 'No answer by the deadline');
+            }
+            approvedEmails[email] = true;
+            result.status = '⏰ Deadline missed';
+            Logger.log(`⏰ Manager approval for ${user.primaryEmail} expired (${request.manager})`);
+            return;
+        }
+
+        if (request && (request.status === 'KEPT' || request.status === 'EXTENDED') && parseGmtDate(request.validUntil) > now) {
+            result.status = request.status === 'KEPT'
+                ? `🛡️ Kept by manager until ${request.validUntil}`
+                : `⏳ Extended by manager until ${request.validUntil}`;
+            return;
+        }
+
+        // No request yet, or the last one is over (kept/extended period ended, closed or suspended earlier)
+        const manager = getManager(user.primaryEmail) || CONFIG.APPROVAL_FALLBACK_RECIPIENT;
+        result.manager = manager || '';
+        result.decidedBy = '';
+        result.validUntil = '';
+
+        if (!manager) {
+            if (!CONFIG.DRY_RUN) {
+                appendApprovalRequests(sheet, [[
+                    '', email, result.name, '', formatGmtDate(now), '', 'NO_MANAGER', 'system', formatGmtDate(now), '', 'No manager in the Directory'
+                ]]);
+            }
+            approvedEmails[email] = true;
+            result.status = 'ℹ️ No manager';
+            return;
+        }
+
+        const managerEmail = manager.toLowerCase();
+        digests[managerEmail] = digests[managerEmail] || [];
+        digests[managerEmail].push({ user: user, result: result });
+    });
+
+    // Open requests and decisions of users who are no longer inactive candidates are closed,
+    // so a user who is inactive again later gets a new request - only a running keep/extend period stays
+    Object.keys(requests).forEach(email => {
+        const request = requests[email];
+        if (candidateEmails[email] || request.status === 'CLOSED' || request.status === 'SUSPENDED') return;
+        if ((request.status === 'KEPT' || request.status === 'EXTENDED') && parseGmtDate(request.validUntil) > now) return;
+
+        if (!CONFIG.DRY_RUN) {
+            recordApprovalDecision(request, 'CLOSED', 'system', '', 'No longer a suspension candidate');
+        }
+        Logger.log(`↩️ Manager approval for ${email} closed - no longer a suspension candidate`);
+    });
+
+    sendApprovalDigests(sheet, digests);
+
+    return { approvedEmails: approvedEmails, results: results };
+}
+
+/**
+ * Sends one digest per manager and records a PENDING request per user
+ */
+function sendApprovalDigests(sheet, digests) {
+    const webAppUrl = getApprovalUrl();
+    let sent = 0;
+
+    Object.keys(digests).forEach(manager => {
+        const entries = digests[manager];
+
+        if (CONFIG.DRY_RUN) {
+            entries.forEach(entry => entry.result.status = '🔍 DRY RUN - Would ask manager');
+            return;
+        }
+
+        if (MailApp.getRemainingDailyQuota() <= APPROVAL_QUOTA_RESERVE) {
+            entries.forEach(entry => entry.result.status = 'ℹ️ Not asked yet (MailApp quota) - next run');
+            return;
+        }
+
+        const digestId = Utilities.getUuid();
+        const now = new Date();
+        const deadline = new Date(now.getTime() + (CONFIG.APPROVAL_DEADLINE_DAYS * 24 * 60 * 60 * 1000));
+
+        try {
+            sendApprovalDigest(manager, entries.map(entry => entry.user), `${webAppUrl}?digest=${digestId}`, deadline);
+        } catch (e) {
+            // Not recorded - the manager is asked again on the next run
+            Logger.log(`❌ Error sending approval digest to ${manager}: ${e.message}`);
+            entries.forEach(entry => entry.result.status = `❌ Digest failed: ${e.message}`);
+            return;
+        }
+
+        appendApprovalRequests(sheet, entries.map(entry => [
+            digestId,
+            entry.user.primaryEmail.toLowerCase(),
+            entry.result.name,
+            manager,
+            formatGmtDate(now),
+            formatGmtDate(deadline),
+            'PENDING',
+            '', '', '', ''
+        ]));
+
+        entries.forEach(entry => entry.result.status = `📧 Sent to manager (deadline ${formatGmtDate(deadline)})`);
+        sent++;
+    });
+
+    if (sent > 0) {
+        Logger.log(`📨 Approval digests sent: ${sent}`);
+    }
+}
+
+/**
+ * Emails a manager the list of their inactive reports
+ */
+function sendApprovalDigest(manager, users, link, deadline) {
+    const deadlineDate = Utilities.formatDate(deadline, 'GMT', 'yyyy-MM-dd');
+    const replyTo = CONFIG.EMAIL_RECIPIENTS.split(',')[0].trim();
+
+    const htmlRows = users.map(user => `
+              <tr>
+                <td style="padding: 6px; border-bottom: 1px solid #eee;">${escapeHtml(user.name ? user.name.fullName : user.primaryEmail)}</td>
+                <td style="padding: 6px; border-bottom: 1px solid #eee;">${escapeHtml(user.primaryEmail)}</td>
+                <td style="padding: 6px; border-bottom: 1px solid #eee;">${escapeHtml(user.lastActivityTime ? String(user.lastActivityTime).split('T')[0] : 'Never')}</td>
+              </tr>`).join('');
+
+    const htmlBody = `
+      <html>
+        <body style="font-family: Arial, sans-serif; color: #333; line-height: 1.6;">
+          <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px;">
+            <h2 style="color: #ea4335; border-bottom: 2px solid #ea4335; padding-bottom: 10px;">
+              ⚠️ Inactive accounts in your team
+            </h2>
+
+            <p>Hello,</p>
+
+            <p>The following accounts reporting to you have not been used for more than ${CONFIG.INACTIVITY_DAYS} days.
+               Please tell us by <strong>${deadlineDate}</strong> whether each one can be suspended, should be kept,
+               or needs more time:</p>
+
+            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+              <tr style="background-color: #f5f5f5;">
+                <th style="padding: 6px; text-align: left;">Name</th>
+                <th style="padding: 6px; text-align: left;">Email</th>
+                <th style="padding: 6px; text-align: left;">Last Activity</th>
+              </tr>
+              ${htmlRows}
+            </table>
+
+            <p>
+              <a href="${link}"
+                 style="display: inline-block; background-color: #ea4335; color: white; padding: 12px 24px;
+                        text-decoration: none; border-radius: 5px; font-weight: bold;">
+                Review accounts
+              </a>
+            </p>
+
+            <p style="margin-top: 30px; font-size: 12px; color: #666; border-top: 1px solid #ddd; padding-top: 15px;">
+              Accounts without an answer by the deadline will be suspended and their ${getSkuName(CONFIG.TARGET_SKU_ID)} license removed.
+            </p>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const plainBody = `
+Inactive accounts in your team
+==============================
+
+The following accounts reporting to you have not been used for more than ${CONFIG.INACTIVITY_DAYS} days.
+Please tell us by ${deadlineDate} whether each one can be suspended, should be kept, or needs more time:
+
+${users.map(user => `- ${user.name ? user.name.fullName : ''} (${user.primaryEmail})`).join('\n')}
+
+${link}
+
+---
+Accounts without an answer by the deadline will be suspended and their ${getSkuName(CONFIG.TARGET_SKU_ID)} license removed.
+    `;
+
+    MailApp.sendEmail({
+        to: manager,
+        replyTo: replyTo,
+        subject: CONFIG.APPROVAL_SUBJECT,
+        body: plainBody,
+        htmlBody: htmlBody
+    });
+}
+
+/**
+ * WEB APP - Shows the pending decisions of the digest in the link
+ */
+function doGet(e) {
+    const requests = findApprovalDigest(e.parameter.digest);
+
+    if (requests.length === 0) {
+        return renderApprovalPage('Link not valid', '<p>This link is invalid or belongs to an earlier review.</p>');
+    }
+
+    const pending = requests.filter(r => r.status === 'PENDING');
+
+    if (pending.length === 0) {
+        const answered = requests.map(r =>
+            `<li>${escapeHtml(r.userEmail)}: <strong>${escapeHtml(r.status)}</strong>${r.decidedBy ? ` by ${escapeHtml(r.decidedBy)}` : ''}</li>`).join('');
+        return renderApprovalPage('Already answered', `<p>All accounts in this review were answered:</p><ul>${answered}</ul>`);
+    }
+
+    const rows = pending.map(r => `
+          <tr>
+            <td style="padding: 6px; border-bottom: 1px solid #eee;">${escapeHtml(r.userName)}<br><small>${escapeHtml(r.userEmail)}</small></td>
+            <td style="padding: 6px; border-bottom: 1px solid #eee;"><label><input type="radio" name="decision_${r.row}" value="APPROVE"> Suspend</label></td>
+            <td style="padding: 6px; border-bottom: 1px solid #eee;"><label><input type="radio" name="decision_${r.row}" value="KEEP"> Keep</label></td>
+            <td style="padding: 6px; border-bottom: 1px solid #eee;"><label><input type="radio" name="decision_${r.row}" value="EXTEND"> ${CONFIG.APPROVAL_EXTEND_DAYS} more days</label></td>
+          </tr>`).join('');
+
+    const form = `
+      <p>These accounts have not been used for more than ${CONFIG.INACTIVITY_DAYS} days. Accounts without an answer by
+         ${escapeHtml(pending[0].deadline)} (GMT) will be suspended.</p>
+      <form method="post" action="${getApprovalUrl()}" target="_top">
+        <input type="hidden" name="digest" value="${escapeHtml(e.parameter.digest)}">
+        <table style="width: 100%; border-collapse: collapse;">${rows}</table>
+        <p><label>Comment (optional):<br><textarea name="comment" rows="3" style="width: 100%;"></textarea></label></p>
+        <p><input type="submit" value="Submit" style="background-color: #ea4335; color: white; padding: 10px 20px; border: none; border-radius: 5px;"></p>
+      </form>`;
+
+    return renderApprovalPage('Inactive accounts in your team', form);
+}
+
+/**
+ * WEB APP - Records the manager's decisions
+ */
+function doPost(e) {
+    const params = e.parameter;
+    const responder = Session.getActiveUser().getEmail().toLowerCase();
+
+    // A second submit of the same page must not overwrite the first one
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+
+    try {
+        const requests = findApprovalDigest(params.digest);
+
+        if (requests.length === 0) {
+            return renderApprovalPage('Not recorded', '<p>This link is invalid or belongs to an earlier review.</p>');
+        }
+
+        // The visitor's email is only known inside our domain - decisions must come from the manager
+        if (!responder) {
+            return renderApprovalPage('Not recorded', '<p>We could not identify you. Please sign in with your work account and open the link again.</p>');
+        }
+
+        if (requests[0].manager !== responder) {
+            return renderApprovalPage('Not recorded', '<p>Only the manager this review was sent to can answer it.</p>');
+        }
+
+        const recorded = [];
+
+        requests.forEach(request => {
+            const status = APPROVAL_DECISIONS[params[`decision_${request.row}`]];
+            if (!status || request.status !== 'PENDING') return;
+
+            let validUntil = '';
+            if (status === 'KEPT' || status === 'EXTENDED') {
+                const days = status === 'KEPT' ? CONFIG.APPROVAL_KEEP_DAYS : CONFIG.APPROVAL_EXTEND_DAYS;
+                validUntil = formatGmtDate(new Date(Date.now() + (days * 24 * 60 * 60 * 1000)));
+            }
+
+            recordApprovalDecision(request, status, responder, validUntil, params.comment || '');
+            recorded.push(`<li>${escapeHtml(request.userEmail)}: <strong>${status}</strong></li>`);
+        });
+
+        if (recorded.length === 0) {
+            return renderApprovalPage('Not recorded', '<p>Please choose an option for at least one account.</p>');
+        }
+
+        Logger.log(`Manager approval: ${recorded.length} decisions by ${responder}`);
+
+        return renderApprovalPage('Thank you', `<p>Your decisions were recorded:</p><ul>${recorded.join('')}</ul>`);
+    } finally {
+        lock.releaseLock();
+    }
+}
+
+/**
+ * Marks suspended users' approvals as SUSPENDED, so the next time they become inactive
+ * their manager is asked again
+ */
+function closeManagerApprovals(emails) {
+    if (emails.length === 0) return;
+
+    const requests = loadApprovalRequests(getApprovalSheet());
+
+    emails.forEach(email => {
+        const request = requests[email.toLowerCase()];
+        if (request && (request.status === 'APPROVED' || request.status === 'EXPIRED' || request.status === 'NO_MANAGER')) {
+            recordApprovalDecision(request, 'SUSPENDED', 'system', '', 'Suspended by suspendAndManageLicenses');
+        }
+    });
+}
+
+/**
+ * Updates a request row and appends the decision to the "Approval Log" tab
+ */
+function recordApprovalDecision(request, status, decidedBy, validUntil, comment) {
+    const timestamp = formatGmtDate(new Date());
+
+    request.sheet.getRange(request.row, 7, 1, 5).setValues([[status, decidedBy, timestamp, validUntil, comment]]);
+    request.status = status;
+
+    getApprovalLogSheet().appendRow([timestamp, request.digestId, request.userEmail, request.manager, status, decidedBy, comment]);
+}
+
+/**
+ * Appends new request rows and logs each one
+ */
+function appendApprovalRequests(sheet, rows) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, APPROVAL_HEADERS.length).setValues(rows);
+
+    const logRows = rows.map(row => [row[4], row[0], row[1], row[3], row[6] === 'PENDING' ? 'REQUESTED' : row[6], row[7] || 'system', row[10]]);
+    const logSheet = getApprovalLogSheet();
+    logSheet.getRange(logSheet.getLastRow() + 1, 1, logRows.length, APPROVAL_LOG_HEADERS.length).setValues(logRows);
+}
+
+/**
+ * Latest request per user: { email: { sheet, row, digestId, userEmail, userName, manager, deadline, status, decidedBy, validUntil } }
+ */
+function loadApprovalRequests(sheet) {
+    const requests = {};
+    readApprovalRows(sheet).forEach(request => {
+        requests[request.userEmail] = request;
+    });
+    return requests;
+}
+
+/**
+ * All requests of one digest, or [] if the digest doesn't exist
+ */
+function findApprovalDigest(digestId) {
+    if (!digestId) {
+        return [];
+    }
+    return readApprovalRows(getApprovalSheet()).filter(request => request.digestId === digestId);
+}
+
+/**
+ * Reads every row of the "Manager Approvals" tab
+ */
+function readApprovalRows(sheet) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) {
+        return [];
+    }
+
+    return sheet.getRange(2, 1, lastRow - 1, APPROVAL_HEADERS.length).getValues().map((row, i) => ({
+        sheet: sheet,
+        row: i + 2,
+        digestId: String(row[0]),
+        userEmail: String(row[1]).toLowerCase(),
+        userName: String(row[2]),
+        manager: String(row[3]).toLowerCase(),
+        deadline: readGmtDate(row[5]),
+        status: String(row[6]),
+        decidedBy: String(row[7]),
+        validUntil: readGmtDate(row[9])
+    }));
+}
+
+/**
+ * 'yyyy-MM-dd HH:mm:ss' in GMT - the format of every date in the approval tabs
+ */
+function formatGmtDate(date) {
+    return Utilities.formatDate(date, 'GMT', 'yyyy-MM-dd HH:mm:ss');
+}
+
+/**
+ * A date cell of the approval tabs as text (Sheets may have turned it into a Date)
+ */
+function readGmtDate(value) {
+    return value instanceof Date ? formatGmtDate(value) : String(value);
+}
+
+/**
+ * Reads a date written by formatGmtDate
+ */
+function parseGmtDate(text) {
+    return new Date(String(text).replace(' ', 'T') + 'Z');
+}
+
+/**
+ * URL of the deployed web app (CONFIG.APPROVAL_WEB_APP_URL overrides the detected one)
+ */
+function getApprovalUrl() {
+    return CONFIG.APPROVAL_WEB_APP_URL || ScriptApp.getService().getUrl();
+}
+
+/**
+ * Wraps a message in a simple web app page
+ */
+function renderApprovalPage(title, content) {
+    const html = `
+      <div style="font-family: Arial, sans-serif; color: #333; line-height: 1.6; max-width: 600px; margin: 20px auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px;">
+        <h2 style="color: #ea4335; border-bottom: 2px solid #ea4335; padding-bottom: 10px;">${escapeHtml(title)}</h2>
+        ${content}
+      </div>`;
+
+    return HtmlService.createHtmlOutput(html).setTitle('Inactive account review');
+}
+
+/**
+ * Escapes text for use in HTML
+ */
+function escapeHtml(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Opens (or creates) the "Manager Approvals" tab in the tracking spreadsheet
+ */
+function getApprovalSheet() {
+    const ss = getTrackingSpreadsheet();
+    let sheet = ss.getSheetByName(APPROVAL_SHEET_NAME);
+
+    if (!sheet) {
+        sheet = ss.insertSheet(APPROVAL_SHEET_NAME);
+        // Keep IDs and dates as text so they read back exactly as written
+        sheet.getRange(1, 1, sheet.getMaxRows(), APPROVAL_HEADERS.length).setNumberFormat('@');
+        sheet.appendRow(APPROVAL_HEADERS);
+        sheet.getRange(1, 1, 1, APPROVAL_HEADERS.length).setFontWeight('bold').setBackground('#ea4335').setFontColor('#ffffff');
+        sheet.setFrozenRows(1);
+    }
+
+    return sheet;
+}
+
+/**
+ * Opens (or creates) the "Approval Log" tab in the tracking spreadsheet
+ */
+function getApprovalLogSheet() {
+    const ss = getTrackingSpreadsheet();
+    let sheet = ss.getSheetByName(APPROVAL_LOG_SHEET_NAME);
+
+    if (!sheet) {
+        sheet = ss.insertSheet(APPROVAL_LOG_SHEET_NAME);
+        sheet.getRange(1, 1, sheet.getMaxRows(), APPROVAL_LOG_HEADERS.length).setNumberFormat('@');
+        sheet.appendRow(APPROVAL_LOG_HEADERS);
+        sheet.getRange(1, 1, 1, APPROVAL_LOG_HEADERS.length).setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
+        sheet.setFrozenRows(1);
+    }
+
+    return sheet;
+}
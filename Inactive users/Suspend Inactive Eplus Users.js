@@ -59,6 +59,25 @@ const CONFIG = {
     // Shared Drive Configuration
     SHARED_DRIVE_FOLDER_ID: '0AA7GGQkHedVoUk9PVA',
 
+    // Last-Seen Ledger (see "Last Seen Ledger.js")
+    // Folder for the ledger file. If empty, SHARED_DRIVE_FOLDER_ID is used.
+    LAST_SEEN_LEDGER_FOLDER_ID: '',
+
+    // Activity Signals (see "Activity Signals.js")
+    // Weight of each signal when deciding if a user is active (0 = not used).
+    // A user is active if the signals seen since the cutoff date add up to ACTIVITY_SCORE_THRESHOLD.
+    // OAuth token activity also comes from background syncs, so on its own it isn't enough.
+    ACTIVITY_SIGNAL_WEIGHTS: {
+        LOGIN: 1,
+        DRIVE: 1,
+        GMAIL: 1,
+        CALENDAR: 1,
+        MEET: 1,
+        TOKEN: 0.5,
+        USAGE: 1
+    },
+    ACTIVITY_SCORE_THRESHOLD: 1,
+
     // Safety Settings
     // Maximum number of users to suspend in one run (safety limit)
     MAX_SUSPEND_COUNT: 50,
@@ -167,6 +186,11 @@ function suspendInactiveEnterpriseUsers() {
                     Logger.log(`Excluding user from suspension: ${user.primaryEmail} (${getExclusionReason(user)})`);
                     user.excluded = true;
                     user.exclusionReason = getExclusionReason(user);
+                } else if (user.activityIncomplete) {
+                    // Activity signals are still catching up - suspended on a later run if still inactive
+                    Logger.log(`Not suspending yet: ${user.primaryEmail} (activity signals still syncing)`);
+                    user.excluded = true;
+                    user.exclusionReason = 'Activity signals still syncing';
                 } else {
                     usersToSuspend.push(user);
                 }
@@ -335,70 +359,18 @@ function getAllLicenseAssignments(productId, customerId) {
 }
 
 /**
- * Gets login activity from Reports API for the last 180 days.
- */
-function getLoginActivityFromReports(cutoffDate) {
-    const loginMap = {};
-
-    const now = new Date();
-    const maxReportsHistory = new Date(now.getTime() - (180 * 24 * 60 * 60 * 1000));
-    const startDate = cutoffDate > maxReportsHistory ? cutoffDate : maxReportsHistory;
-
-    const startDateStr = Utilities.formatDate(startDate, 'GMT', "yyyy-MM-dd'T'HH:mm:ss'Z'");
-    const endDateStr = Utilities.formatDate(now, 'GMT', "yyyy-MM-dd'T'HH:mm:ss'Z'");
-
-    Logger.log(`Fetching login activity from Reports API (${startDateStr} to ${endDateStr})...`);
-
-    try {
-        let pageToken;
-        let totalActivities = 0;
-
-        do {
-            const response = AdminReports.Activities.list('all', 'login', {
-                startTime: startDateStr,
-                endTime: endDateStr,
-                maxResults: 1000,
-                pageToken: pageToken
-            });
-
-            if (response.items) {
-                totalActivities += response.items.length;
-                response.items.forEach(activity => {
-                    if (!activity.actor || !activity.actor.email) {
-                        return;
-                    }
-
-                    const email = activity.actor.email.toLowerCase();
-                    const activityTime = activity.id.time;
-
-                    if (!loginMap[email] || new Date(activityTime) > new Date(loginMap[email])) {
-                        loginMap[email] = activityTime;
-                    }
-                });
-            }
-
-            pageToken = response.nextPageToken;
-            if (pageToken) Utilities.sleep(200);
-        } while (pageToken);
-
-        Logger.log(`Reports API: Found ${totalActivities} login activities for ${Object.keys(loginMap).length} unique users`);
-    } catch (e) {
-        Logger.log(`⚠️ Error fetching login reports: ${e.message}`);
-        Logger.log('Will fall back to Directory API lastLoginTime data');
-    }
-
-    return loginMap;
-}
-
-/**
- * Retrieves users who haven't logged in since the given date.
+ * Retrieves users who haven't been active since the given date.
+ * Last logins come from the last-seen ledger (see "Last Seen Ledger.js") with the
+ * Directory API lastLoginTime as fallback, so any inactivity period works.
+ * Drive, Gmail, Calendar, Meet, OAuth token and usage report activity count as well
+ * (see "Activity Signals.js").
  */
 function getInactiveUsers(cutoffDate) {
     let users = [];
     let pageToken;
 
-    const reportsLoginData = getLoginActivityFromReports(cutoffDate);
-    Logger.log(`Reports API provided login data for ${Object.keys(reportsLoginData).length} users`);
+    const ledger = updateLastSeenLedger();
+    updateActivitySignals(ledger, cutoffDate);
 
     do {
         try {
@@ -410,30 +382,19 @@ function getInactiveUsers(cutoffDate) {
 
             if (response.users) {
                 const filtered = response.users.filter(user => {
-                    const userEmail = user.primaryEmail.toLowerCase();
-
-                    // Check Reports API data first
-                    if (reportsLoginData[userEmail]) {
-                        const reportsLastLogin = new Date(reportsLoginData[userEmail]);
-                        if (reportsLastLogin.getTime() >= cutoffDate.getTime()) {
-                            return false; // User is ACTIVE
-                        }
-                    }
-
-                    // Fall back to Directory API lastLoginTime
-                    if (user.lastLoginTime) {
-                        const directoryLastLogin = new Date(user.lastLoginTime);
-                        if (directoryLastLogin.getTime() >= cutoffDate.getTime()) {
-                            return false; // User is ACTIVE
-                        }
-                    }
-
-                    // Store the most recent login time
-                    if (reportsLoginData[userEmail]) {
-                        user.lastLoginTime = reportsLoginData[userEmail];
-                    }
-
-                    return true; // User is INACTIVE
+                    // Most recent login from either source, and which source it came from
+                    const lastLogin = resolveLastLogin(ledger, user);
+                    user.lastLoginTime = lastLogin.time;
+                    user.lastLoginSource = lastLogin.source;
+
+                    // Inactive unless enough weighted activity signals were seen since the cutoff date
+                    const activity = assessActivity(ledger, user, cutoffDate);
+                    user.lastActivityTime = activity.time;
+                    user.lastActivitySignal = activity.signal;
+                    user.activityScore = activity.score;
+                    user.activityIncomplete = activity.incomplete;
+
+                    return !activity.active;
                 });
                 users = users.concat(filtered);
             }
@@ -486,7 +447,7 @@ function exportSuspensionReport(allInactiveUsers, suspensionResults) {
     }
 
     // Headers for Sheet 1
-    sheet1.appendRow(['Name', 'Email', 'OU Path', 'Last Login Time', 'Creation Time', 'Suspended', 'Licenses', 'Has Target License', 'Excluded', 'Exclusion Reason']);
+    sheet1.appendRow(['Name', 'Email', 'OU Path', 'Last Login Time', 'Last Login Source', 'Last Activity', 'Last Activity Signal', 'Activity Score', 'Creation Time', 'Suspended', 'Licenses', 'Has Target License', 'Excluded', 'Exclusion Reason']);
 
     // Data for Sheet 1
     const allUsersRows = allInactiveUsers.map(user => [
@@ -494,6 +455,10 @@ function exportSuspensionReport(allInactiveUsers, suspensionResults) {
         user.primaryEmail,
         user.orgUnitPath || '/',
         user.lastLoginTime || 'Never',
+        user.lastLoginSource,
+        user.lastActivityTime || 'Never',
+        user.lastActivitySignal,
+        user.activityScore,
         user.creationTime,
         user.suspended ? 'Yes' : 'No',
         user.licenseString || 'No licenses',
@@ -508,15 +473,15 @@ function exportSuspensionReport(allInactiveUsers, suspensionResults) {
     }
 
     // Format Sheet 1
-    sheet1.getRange(1, 1, 1, 10).setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
+    sheet1.getRange(1, 1, 1, 14).setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
     sheet1.setFrozenRows(1);
-    sheet1.autoResizeColumns(1, 10);
+    sheet1.autoResizeColumns(1, 14);
 
     // Highlight users with target license
     for (let i = 2; i <= allUsersRows.length + 1; i++) {
-        const hasTargetLicense = sheet1.getRange(i, 8).getValue();
+        const hasTargetLicense = sheet1.getRange(i, 12).getValue();
         if (hasTargetLicense === 'Yes') {
-            sheet1.getRange(i, 1, 1, 10).setBackground('#fff3cd'); // Light yellow
+            sheet1.getRange(i, 1, 1, 14).setBackground('#fff3cd'); // Light yellow
         }
     }
 
@@ -24,14 +24,28 @@
  * 1. Have a specific Google Workspace license (e.g., Enterprise Plus).
  * 2. Have not logged in for the last 180 days.
  * 
+ * Pre-suspension warning (SEND_WARNING):
+ * - The first run that finds a user inactive only emails them (and their manager, if
+ *   WARN_MANAGER) how to keep the account, and records the warning date.
+ * - A later run suspends the user once WARNING_GRACE_DAYS have passed and they are still inactive.
+ * - Users who become active during the grace period drop out automatically.
+ * - Warning dates are kept in the "Suspension Warnings" tab of the tracking spreadsheet.
+ * - The email itself comes from "Warning Email.js" - add it to the project.
+ * 
+ * Manager approval (REQUIRE_MANAGER_APPROVAL, see "Manager Approval.js"):
+ * - Each manager gets a digest of their inactive reports and approves, keeps or extends each one.
+ * - Only approved users, or users whose manager didn't answer by the deadline, are suspended.
+ * 
  * Then performs license management:
  * 3. Removes Enterprise Plus license from suspended users.
  * 4. Assigns Cloud Identity Free license to suspended users.
  * 
  * Output:
- * - Generates a Google Sheet with two sheets:
+ * - Generates a Google Sheet with these sheets:
  *   - Sheet 1: All inactive users with license info
  *   - Sheet 2: Suspended users with license change status
+ *   - Sheet 3: Warnings sent, users in their grace period and users who dropped out
+ *   - Sheet 4: Manager approvals (if REQUIRE_MANAGER_APPROVAL)
  * - Sends email notification with detailed report.
  * 
  * Prerequisites:
@@ -64,12 +78,55 @@ const CONFIG = {
     EMAIL_SUBJECT: 'User Suspension & License Management Report (180 Days)',
     SEND_EMAIL: false, // Set to true to enable email notifications
 
+    // Pre-Suspension Warning
+    // Users are warned first and only suspended on a run at least WARNING_GRACE_DAYS later,
+    // if they are still inactive. Set SEND_WARNING to false to suspend without notice.
+    SEND_WARNING: true,
+    WARNING_GRACE_DAYS: 14, // Minimum - users are suspended on the first run after the grace period
+    WARN_MANAGER: true, // Send a copy of the warning to the user's manager
+    WARNING_EMAIL_SUBJECT: 'Action required: your Google Workspace account will be suspended',
+    SUPPORT_CONTACT: 'it-support@example.com',
+
+    // Manager Approval (see "Manager Approval.js" - deploy the project as a web app)
+    // Managers get a digest of their inactive reports and approve, keep or extend each one.
+    // Only approved users, or users whose manager didn't answer by the deadline, are suspended.
+    REQUIRE_MANAGER_APPROVAL: false,
+    APPROVAL_DEADLINE_DAYS: 7, // Days managers have to answer - after that, suspension proceeds
+    APPROVAL_KEEP_DAYS: 180, // "Keep" protects the user this long before the manager is asked again
+    APPROVAL_EXTEND_DAYS: 30, // "Extend" postpones the decision this long
+    APPROVAL_FALLBACK_RECIPIENT: '', // Asked about users without a manager (empty = suspend them without approval)
+    APPROVAL_WEB_APP_URL: '', // Leave empty to use the current web app deployment
+    APPROVAL_SUBJECT: 'Action required: inactive accounts in your team',
+
     // Output Configuration
     SPREADSHEET_ID: 'YOUR_SPREADSHEET_ID_HERE',
 
+    // Tracking Spreadsheet (warning dates and manager approvals across runs)
+    // If empty, a spreadsheet is created on the first run and reused.
+    TRACKING_SPREADSHEET_ID: '',
+
     // Shared Drive Configuration
     SHARED_DRIVE_FOLDER_ID: '0AA7GGQkHedVoUk9PVA',
 
+    // Last-Seen Ledger (see "Last Seen Ledger.js")
+    // Folder for the ledger file. If empty, SHARED_DRIVE_FOLDER_ID is used.
+    LAST_SEEN_LEDGER_FOLDER_ID: '',
+
+    // Activity Signals (see "Activity Signals.js")
+    // Weight of each signal when deciding if a user is active (0 = not used).
+    // A user is active if the signals seen since the cutoff date add up to ACTIVITY_SCORE_THRESHOLD.
+    // OAuth token activity also comes from background syncs, so on its own it isn't enough.
+    ACTIVITY_SIGNAL_WEIGHTS: {
+        LOGIN: 1,
+        DRIVE: 1,
+        GMAIL: 1,
+        CALENDAR: 1,
+        MEET: 1,
+        TOKEN: 0.5,
+        USAGE: 1
+    },
+    ACTIVITY_SCORE_THRESHOLD: 1,
+
     // Safety Settings
     // Maximum number of users to process in one run (safety limit)
     MAX_SUSPEND_COUNT: 50,
@@ -105,6 +162,10 @@ const SKU_CATALOG = {
     }
 };
 
+// Tab of the tracking spreadsheet with every warned user who is not suspended yet
+const SUSPENSION_WARNINGS_SHEET = 'Suspension Warnings';
+const SUSPENSION_WARNINGS_HEADERS = ['Email', 'Name', 'Warned On', 'Suspension Due', 'Warning Sent To'];
+
 /**
  * Helper to get friendly name from SKU ID
  */
@@ -150,11 +211,18 @@ function suspendAndManageLicenses() {
 
     if (inactiveUsers.length === 0) {
         Logger.log('No inactive users found.');
+        // Everyone warned earlier is active again
+        if (CONFIG.SEND_WARNING) {
+            processSuspensionWarnings([]);
+        }
+        if (CONFIG.REQUIRE_MANAGER_APPROVAL) {
+            processManagerApprovals([]);
+        }
         return;
     }
 
     // 3. Add license information and filter for target license
-    const usersToProcess = [];
+    let usersToProcess = [];
 
     inactiveUsers.forEach(user => {
         const userEmail = user.primaryEmail.toLowerCase();
@@ -188,18 +256,53 @@ function suspendAndManageLicenses() {
 
     Logger.log(`Found ${usersToProcess.length} users with Target License to process.`);
 
-    // 4. Apply safety limit
+    // 4. Warn first - only users whose grace period is over are suspended
+    const candidates = usersToProcess;
+    let warningResults = [];
+    if (CONFIG.SEND_WARNING) {
+        const warnings = processSuspensionWarnings(candidates);
+        usersToProcess = warnings.dueUsers;
+        warningResults = warnings.results;
+        Logger.log(`${usersToProcess.length} users are past their grace period.`);
+    }
+
+    // 5. Ask managers (during the grace period) - only approved users, or those whose manager missed the deadline, are suspended
+    let approvalResults = [];
+    if (CONFIG.REQUIRE_MANAGER_APPROVAL) {
+        const approvals = processManagerApprovals(candidates);
+        usersToProcess = usersToProcess.filter(user => approvals.approvedEmails[user.primaryEmail.toLowerCase()]);
+        approvalResults = approvals.results;
+        Logger.log(`${usersToProcess.length} users are approved for suspension.`);
+    }
+
+    // Activity signals still catching up - nobody is suspended until they have (warnings and approvals carry on)
+    const syncing = usersToProcess.filter(user => user.activityIncomplete);
+    if (syncing.length > 0) {
+        Logger.log(`⏸️ Not suspending ${syncing.length} users yet: activity signals are still syncing.`);
+        usersToProcess = usersToProcess.filter(user => !user.activityIncomplete);
+    }
+
+    // 6. Apply safety limit
     if (usersToProcess.length > CONFIG.MAX_SUSPEND_COUNT) {
         Logger.log(`⚠️ WARNING: ${usersToProcess.length} users exceed safety limit of ${CONFIG.MAX_SUSPEND_COUNT}`);
         Logger.log(`Only the first ${CONFIG.MAX_SUSPEND_COUNT} users will be processed.`);
         usersToProcess.splice(CONFIG.MAX_SUSPEND_COUNT);
     }
 
-    // 5. Suspend users and manage licenses
+    // 7. Suspend users and manage licenses
     const processingResults = suspendAndChangeLicenses(usersToProcess, customerId);
 
-    // 6. Generate report with both sheets
-    exportLicenseManagementReport(inactiveUsers, processingResults);
+    // Suspended users no longer need a warning record or approval - failed ones are retried on the next run
+    const suspendedEmails = processingResults.filter(r => r.suspended).map(r => r.email);
+    if (CONFIG.SEND_WARNING && !CONFIG.DRY_RUN) {
+        clearSuspensionWarnings(suspendedEmails);
+    }
+    if (CONFIG.REQUIRE_MANAGER_APPROVAL && !CONFIG.DRY_RUN) {
+        closeManagerApprovals(suspendedEmails);
+    }
+
+    // 8. Generate report with all sheets
+    exportLicenseManagementReport(inactiveUsers, processingResults, warningResults, approvalResults);
 
     Logger.log(`========================================`);
     Logger.log(`PROCESSING COMPLETE`);
@@ -355,6 +458,231 @@ function suspendAndChangeLicenses(users, customerId) {
     return results;
 }
 
+/**
+ * Warns suspension candidates and returns those whose grace period is over.
+ * - Not warned yet: emailed now (up to MAX_SUSPEND_COUNT per run), the warning date is recorded
+ * - Warned at least WARNING_GRACE_DAYS ago: due for suspension
+ * - Warned earlier but no longer a candidate (active again, excluded, etc.): dropped out
+ * Returns { dueUsers, results } - results are the rows of the "Suspension Warnings" report sheet.
+ */
+function processSuspensionWarnings(candidates) {
+    const ss = getTrackingSpreadsheet();
+    const warnings = loadSuspensionWarnings(ss);
+    const graceMs = CONFIG.WARNING_GRACE_DAYS * 24 * 60 * 60 * 1000;
+    const dueUsers = [];
+    const results = [];
+    const candidateEmails = {};
+    let newWarnings = 0;
+
+    candidates.forEach(user => {
+        const email = user.primaryEmail.toLowerCase();
+        const warning = warnings[email];
+        const result = {
+            email: user.primaryEmail,
+            name: user.name ? user.name.fullName : 'N/A',
+            lastActivity: user.lastActivityTime || 'Never',
+            warnedAt: warning ? warning.warnedAt : '',
+            suspensionDue: warning ? new Date(new Date(warning.warnedAt).getTime() + graceMs).toISOString() : '',
+            recipients: warning ? warning.recipients : '',
+            status: ''
+        };
+        candidateEmails[email] = true;
+
+        if (warning) {
+            if (Date.now() - new Date(warning.warnedAt).getTime() >= graceMs) {
+                result.status = '⏰ Grace period over - suspending';
+                dueUsers.push(user);
+            } else {
+                result.status = '⏳ In grace period';
+            }
+            results.push(result);
+            return;
+        }
+
+        if (newWarnings >= CONFIG.MAX_SUSPEND_COUNT) {
+            result.status = 'ℹ️ Not warned yet (safety limit) - next run';
+            results.push(result);
+            return;
+        }
+        newWarnings++;
+
+        const warnedAt = new Date();
+        result.warnedAt = warnedAt.toISOString();
+        result.suspensionDue = new Date(warnedAt.getTime() + graceMs).toISOString();
+
+        if (CONFIG.DRY_RUN) {
+            result.status = '🔍 DRY RUN - Would warn';
+            Logger.log(`[DRY RUN] Would warn: ${user.primaryEmail}`);
+            results.push(result);
+            return;
+        }
+
+        try {
+            result.recipients = sendSuspensionWarning(user, new Date(result.suspensionDue));
+            warnings[email] = { name: result.name, warnedAt: result.warnedAt, recipients: result.recipients };
+            result.status = '📧 Warning sent';
+            Logger.log(`📧 Warned: ${user.primaryEmail} (${result.recipients})`);
+        } catch (e) {
+            // Not recorded - the warning is retried on the next run
+            result.status = `❌ Warning failed: ${e.message}`;
+            Logger.log(`❌ Error warning ${user.primaryEmail}: ${e.message}`);
+        }
+        results.push(result);
+    });
+
+    // Warned users who are no longer inactive candidates drop out
+    Object.keys(warnings).forEach(email => {
+        if (candidateEmails[email]) return;
+
+        results.push({
+            email: email,
+            name: warnings[email].name || 'N/A',
+            lastActivity: '',
+            warnedAt: warnings[email].warnedAt,
+            suspensionDue: '',
+            recipients: warnings[email].recipients,
+            status: CONFIG.DRY_RUN ? '🔍 DRY RUN - Would drop out' : '↩️ Dropped out (active again or no longer a candidate)'
+        });
+        Logger.log(`↩️ Dropped out of the grace period: ${email}`);
+        delete warnings[email];
+    });
+
+    if (!CONFIG.DRY_RUN) {
+        saveSuspensionWarnings(ss, warnings);
+    }
+
+    return { dueUsers: dueUsers, results: results };
+}
+
+/**
+ * Emails the user (and their manager, if WARN_MANAGER) how to keep the account.
+ * Returns the recipients.
+ */
+function sendSuspensionWarning(user, suspensionDue) {
+    const manager = CONFIG.WARN_MANAGER ? getManager(user.primaryEmail) : null;
+    const message = buildInactivityWarningEmail(user, CONFIG.INACTIVITY_DAYS, suspensionDue, {
+        consequence: `its ${getSkuName(CONFIG.TARGET_SKU_ID)} license removed`,
+        manager: manager
+    });
+
+    message.to = user.primaryEmail;
+    if (manager) {
+        message.cc = manager;
+    }
+
+    MailApp.sendEmail(message);
+
+    return manager ? `${user.primaryEmail}, ${manager} (manager)` : user.primaryEmail;
+}
+
+/**
+ * Gets the manager's email for a specific user.
+ * Returns null if no manager is found.
+ */
+function getManager(userEmail) {
+    try {
+        const user = AdminDirectory.Users.get(userEmail, { projection: 'full' });
+
+        if (user.relations) {
+            const managerRelation = user.relations.find(r => r.type === 'manager');
+            if (managerRelation) {
+                return managerRelation.value;
+            }
+        }
+    } catch (e) {
+        // Suppress errors for standard users
+    }
+    return null;
+}
+
+/**
+ * Opens the tracking spreadsheet - CONFIG.TRACKING_SPREADSHEET_ID, or the one created on the first run
+ */
+function getTrackingSpreadsheet() {
+    if (CONFIG.TRACKING_SPREADSHEET_ID) {
+        return SpreadsheetApp.openById(CONFIG.TRACKING_SPREADSHEET_ID);
+    }
+
+    const props = PropertiesService.getScriptProperties();
+    const spreadsheetId = props.getProperty('suspensionTrackingSpreadsheetId');
+    if (spreadsheetId) {
+        return SpreadsheetApp.openById(spreadsheetId);
+    }
+
+    const ss = SpreadsheetApp.create('Suspension Tracking - Warnings');
+    moveToSharedDrive(ss);
+    props.setProperty('suspensionTrackingSpreadsheetId', ss.getId());
+    Logger.log(`Created tracking spreadsheet: ${ss.getUrl()}`);
+    return ss;
+}
+
+/**
+ * Reads the "Suspension Warnings" tab: { email: { name, warnedAt, recipients } }
+ */
+function loadSuspensionWarnings(ss) {
+    const warnings = {};
+    const sheet = ss.getSheetByName(SUSPENSION_WARNINGS_SHEET);
+
+    if (!sheet || sheet.getLastRow() < 2) {
+        return warnings;
+    }
+
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, SUSPENSION_WARNINGS_HEADERS.length).getValues().forEach(row => {
+        if (!row[0] || !row[2]) return;
+
+        warnings[String(row[0]).toLowerCase()] = {
+            name: row[1],
+            warnedAt: new Date(row[2]).toISOString(),
+            recipients: row[4]
+        };
+    });
+
+    return warnings;
+}
+
+/**
+ * Rewrites the "Suspension Warnings" tab
+ */
+function saveSuspensionWarnings(ss, warnings) {
+    let sheet = ss.getSheetByName(SUSPENSION_WARNINGS_SHEET);
+    if (sheet) {
+        sheet.clear();
+    } else {
+        sheet = ss.insertSheet(SUSPENSION_WARNINGS_SHEET);
+    }
+
+    sheet.appendRow(SUSPENSION_WARNINGS_HEADERS);
+
+    const graceMs = CONFIG.WARNING_GRACE_DAYS * 24 * 60 * 60 * 1000;
+    const rows = Object.keys(warnings).sort().map(email => [
+        email,
+        warnings[email].name || '',
+        warnings[email].warnedAt,
+        new Date(new Date(warnings[email].warnedAt).getTime() + graceMs).toISOString(),
+        warnings[email].recipients || ''
+    ]);
+
+    if (rows.length > 0) {
+        sheet.getRange(2, 1, rows.length, SUSPENSION_WARNINGS_HEADERS.length).setValues(rows);
+    }
+
+    sheet.getRange(1, 1, 1, SUSPENSION_WARNINGS_HEADERS.length).setFontWeight('bold').setBackground('#fbbc04').setFontColor('#000000');
+    sheet.setFrozenRows(1);
+    sheet.autoResizeColumns(1, SUSPENSION_WARNINGS_HEADERS.length);
+}
+
+/**
+ * Removes the warning records of suspended users
+ */
+function clearSuspensionWarnings(emails) {
+    if (emails.length === 0) return;
+
+    const ss = getTrackingSpreadsheet();
+    const warnings = loadSuspensionWarnings(ss);
+    emails.forEach(email => delete warnings[email.toLowerCase()]);
+    saveSuspensionWarnings(ss, warnings);
+}
+
 /**
  * Fetches ALL license assignments for a product.
  */
@@ -403,70 +731,18 @@ function getAllLicenseAssignments(productId, customerId) {
 }
 
 /**
- * Gets login activity from Reports API for the last 180 days.
- */
-function getLoginActivityFromReports(cutoffDate) {
-    const loginMap = {};
-
-    const now = new Date();
-    const maxReportsHistory = new Date(now.getTime() - (180 * 24 * 60 * 60 * 1000));
-    const startDate = cutoffDate > maxReportsHistory ? cutoffDate : maxReportsHistory;
-
-    const startDateStr = Utilities.formatDate(startDate, 'GMT', "yyyy-MM-dd'T'HH:mm:ss'Z'");
-    const endDateStr = Utilities.formatDate(now, 'GMT', "yyyy-MM-dd'T'HH:mm:ss'Z'");
-
-    Logger.log(`Fetching login activity from Reports API (${startDateStr} to ${endDateStr})...`);
-
-    try {
-        let pageToken;
-        let totalActivities = 0;
-
-        do {
-            const response = AdminReports.Activities.list('all', 'login', {
-                startTime: startDateStr,
-                endTime: endDateStr,
-                maxResults: 1000,
-                pageToken: pageToken
-            });
-
-            if (response.items) {
-                totalActivities += response.items.length;
-                response.items.forEach(activity => {
-                    if (!activity.actor || !activity.actor.email) {
-                        return;
-                    }
-
-                    const email = activity.actor.email.toLowerCase();
-                    const activityTime = activity.id.time;
-
-                    if (!loginMap[email] || new Date(activityTime) > new Date(loginMap[email])) {
-                        loginMap[email] = activityTime;
-                    }
-                });
-            }
-
-            pageToken = response.nextPageToken;
-            if (pageToken) Utilities.sleep(200);
-        } while (pageToken);
-
-        Logger.log(`Reports API: Found ${totalActivities} login activities for ${Object.keys(loginMap).length} unique users`);
-    } catch (e) {
-        Logger.log(`⚠️ Error fetching login reports: ${e.message}`);
-        Logger.log('Will fall back to Directory API lastLoginTime data');
-    }
-
-    return loginMap;
-}
-
-/**
- * Retrieves users who haven't logged in since the given date.
+ * Retrieves users who haven't been active since the given date.
+ * Last logins come from the last-seen ledger (see "Last Seen Ledger.js") with the
+ * Directory API lastLoginTime as fallback, so any inactivity period works.
+ * Drive, Gmail, Calendar, Meet, OAuth token and usage report activity count as well
+ * (see "Activity Signals.js").
  */
 function getInactiveUsers(cutoffDate) {
     let users = [];
     let pageToken;
 
-    const reportsLoginData = getLoginActivityFromReports(cutoffDate);
-    Logger.log(`Reports API provided login data for ${Object.keys(reportsLoginData).length} users`);
+    const ledger = updateLastSeenLedger();
+    updateActivitySignals(ledger, cutoffDate);
 
     do {
         try {
@@ -478,37 +754,26 @@ function getInactiveUsers(cutoffDate) {
 
             if (response.users) {
                 const filtered = response.users.filter(user => {
-                    const userEmail = user.primaryEmail.toLowerCase();
-
-                    // Check Reports API data first
-                    if (reportsLoginData[userEmail]) {
-                        const reportsLastLogin = new Date(reportsLoginData[userEmail]);
-                        if (reportsLastLogin.getTime() >= cutoffDate.getTime()) {
-                            return false; // User is ACTIVE
-                        }
-                    }
-
-                    // Fall back to Directory API lastLoginTime
-                    if (user.lastLoginTime) {
-                        const directoryLastLogin = new Date(user.lastLoginTime);
-                        if (directoryLastLogin.getTime() >= cutoffDate.getTime()) {
-                            return false; // User is ACTIVE
-                        }
-                    }
-
-                    // Store the most recent login time
-                    if (reportsLoginData[userEmail]) {
-                        user.lastLoginTime = reportsLoginData[userEmail];
-                    }
-
-                    return true; // User is INACTIVE
+                    // Most recent login from either source, and which source it came from
+                    const lastLogin = resolveLastLogin(ledger, user);
+                    user.lastLoginTime = lastLogin.time;
+                    user.lastLoginSource = lastLogin.source;
+
+                    // Inactive unless enough weighted activity signals were seen since the cutoff date
+                    const activity = assessActivity(ledger, user, cutoffDate);
+                    user.lastActivityTime = activity.time;
+                    user.lastActivitySignal = activity.signal;
+                    user.activityScore = activity.score;
+                    user.activityIncomplete = activity.incomplete;
+
+                    return !activity.active;
                 });
                 users = users.concat(filtered);
             }
             pageToken = response.nextPageToken;
         } catch (e) {
-            Logger.log('Error listing users: ' + e.message);
-            break;
+            // A partial list would drop warned users and open approvals - stop the run instead
+            throw new Error(`Error listing users: ${e.message}`);
         }
     } while (pageToken);
 
@@ -516,11 +781,13 @@ function getInactiveUsers(cutoffDate) {
 }
 
 /**
- * Exports the license management report to Google Sheets with TWO sheets:
+ * Exports the license management report to Google Sheets with THREE sheets:
  * Sheet 1: All Inactive Users (with license info)
  * Sheet 2: Processed Users (with suspension and license change status)
+ * Sheet 3: Suspension Warnings (only if SEND_WARNING)
+ * Sheet 4: Manager Approvals (only if REQUIRE_MANAGER_APPROVAL)
  */
-function exportLicenseManagementReport(allInactiveUsers, processingResults) {
+function exportLicenseManagementReport(allInactiveUsers, processingResults, warningResults, approvalResults) {
     let ss;
     const mode = CONFIG.DRY_RUN ? 'DRY RUN' : 'LIVE';
     const timestamp = Utilities.formatDate(new Date(), 'GMT', 'yyyy-MM-dd HH:mm');
@@ -553,7 +820,7 @@ function exportLicenseManagementReport(allInactiveUsers, processingResults) {
     }
 
     // Headers for Sheet 1
-    sheet1.appendRow(['Name', 'Email', 'OU Path', 'Last Login Time', 'Creation Time', 'Suspended', 'Licenses', 'Has Target License', 'Excluded', 'Exclusion Reason']);
+    sheet1.appendRow(['Name', 'Email', 'OU Path', 'Last Login Time', 'Last Login Source', 'Last Activity', 'Last Activity Signal', 'Activity Score', 'Creation Time', 'Suspended', 'Licenses', 'Has Target License', 'Excluded', 'Exclusion Reason']);
 
     // Data for Sheet 1
     const allUsersRows = allInactiveUsers.map(user => [
@@ -561,6 +828,10 @@ function exportLicenseManagementReport(allInactiveUsers, processingResults) {
         user.primaryEmail,
         user.orgUnitPath || '/',
         user.lastLoginTime || 'Never',
+        user.lastLoginSource,
+        user.lastActivityTime || 'Never',
+        user.lastActivitySignal,
+        user.activityScore,
         user.creationTime,
         user.suspended ? 'Yes' : 'No',
         user.licenseString || 'No licenses',
@@ -574,15 +845,15 @@ function exportLicenseManagementReport(allInactiveUsers, processingResults) {
     }
 
     // Format Sheet 1
-    sheet1.getRange(1, 1, 1, 10).setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
+    sheet1.getRange(1, 1, 1, 14).setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
     sheet1.setFrozenRows(1);
-    sheet1.autoResizeColumns(1, 10);
+    sheet1.autoResizeColumns(1, 14);
 
     // Highlight users with target license
     for (let i = 2; i <= allUsersRows.length + 1; i++) {
-        const hasTargetLicense = sheet1.getRange(i, 8).getValue();
+        const hasTargetLicense = sheet1.getRange(i, 12).getValue();
         if (hasTargetLicense === 'Yes') {
-            sheet1.getRange(i, 1, 1, 10).setBackground('#fff3cd');
+            sheet1.getRange(i, 1, 1, 14).setBackground('#fff3cd');
         }
     }
 
@@ -655,6 +926,71 @@ function exportLicenseManagementReport(allInactiveUsers, processingResults) {
 
     Logger.log(`Sheet 2 created: ${sheet2Name} with ${processingRows.length} processed users`);
 
+    // ========================================
+    // SHEET 3: Suspension Warnings
+    // ========================================
+    if (CONFIG.SEND_WARNING) {
+        const sheet3Name = `Suspension Warnings - ${mode} - ${timestamp}`;
+        const sheet3 = ss.insertSheet(sheet3Name);
+
+        // Headers for Sheet 3
+        sheet3.appendRow(['Name', 'Email', 'Last Activity', 'Warned On', 'Suspension Due', 'Warning Sent To', 'Status']);
+
+        // Data for Sheet 3
+        const warningRows = warningResults.map(result => [
+            result.name,
+            result.email,
+            result.lastActivity,
+            result.warnedAt,
+            result.suspensionDue,
+            result.recipients,
+            result.status
+        ]);
+
+        if (warningRows.length > 0) {
+            sheet3.getRange(2, 1, warningRows.length, warningRows[0].length).setValues(warningRows);
+        }
+
+        // Format Sheet 3
+        sheet3.getRange(1, 1, 1, 7).setFontWeight('bold').setBackground('#fbbc04').setFontColor('#000000');
+        sheet3.setFrozenRows(1);
+        sheet3.autoResizeColumns(1, 7);
+
+        Logger.log(`Sheet 3 created: ${sheet3Name} with ${warningRows.length} users`);
+    }
+
+    // ========================================
+    // SHEET 4: Manager Approvals
+    // ========================================
+    if (CONFIG.REQUIRE_MANAGER_APPROVAL) {
+        const sheet4Name = `Manager Approvals - ${mode} - ${timestamp}`;
+        const sheet4 = ss.insertSheet(sheet4Name);
+
+        // Headers for Sheet 4
+        sheet4.appendRow(['Name', 'Email', 'Manager', 'Status', 'Decided By', 'Valid Until (GMT)']);
+
+        // Data for Sheet 4
+        const approvalRows = approvalResults.map(result => [
+            result.name,
+            result.email,
+            result.manager,
+            result.status,
+            result.decidedBy,
+            result.validUntil
+        ]);
+
+        if (approvalRows.length > 0) {
+            sheet4.getRange(2, 1, approvalRows.length, approvalRows[0].length).setValues(approvalRows);
+        }
+
+        // Format Sheet 4
+        sheet4.getRange(1, 1, 1, 6).setFontWeight('bold').setBackground('#ea4335').setFontColor('#ffffff');
+        sheet4.setFrozenRows(1);
+        sheet4.autoResizeColumns(1, 6);
+
+        Logger.log(`Sheet 4 created: ${sheet4Name} with ${approvalRows.length} users`);
+    }
+
     // ========================================
     // Summary
     // ========================================
@@ -667,14 +1003,14 @@ function exportLicenseManagementReport(allInactiveUsers, processingResults) {
 
     // Send email if configured
     if (CONFIG.SEND_EMAIL && CONFIG.EMAIL_RECIPIENTS) {
-        sendLicenseManagementEmailReport(reportUrl, allInactiveUsers.length, processingResults);
+        sendLicenseManagementEmailReport(reportUrl, allInactiveUsers.length, processingResults, warningResults, approvalResults);
     }
 }
 
 /**
  * Sends an email report with the license management results.
  */
-function sendLicenseManagementEmailReport(reportUrl, totalInactiveCount, processingResults) {
+function sendLicenseManagementEmailReport(reportUrl, totalInactiveCount, processingResults, warningResults, approvalResults) {
     try {
         const currentDate = new Date().toLocaleDateString('en-US', {
             year: 'numeric',
@@ -692,6 +1028,12 @@ function sendLicenseManagementEmailReport(reportUrl, totalInactiveCount, process
         const successfulRemovals = processingResults.filter(r => r.licenseRemoved).length;
         const successfulAssignments = processingResults.filter(r => r.licenseAssigned).length;
         const failCount = processingResults.filter(r => r.error).length;
+        const warnedCount = warningResults.filter(r => r.status.includes('Warning sent') || r.status.includes('Would warn')).length;
+        const graceCount = warningResults.filter(r => r.status.includes('In grace period')).length;
+        const droppedOutCount = warningResults.filter(r => r.status.includes('drop out') || r.status.includes('Dropped out')).length;
+        const approvedCount = approvalResults.filter(r => r.status.includes('Approved') || r.status.includes('Deadline missed') || r.status.includes('No manager')).length;
+        const awaitingCount = approvalResults.filter(r => r.status.includes('Awaiting') || r.status.includes('Sent to manager') || r.status.includes('Would ask')).length;
+        const keptCount = approvalResults.filter(r => r.status.includes('Kept') || r.status.includes('Extended')).length;
 
         const htmlBody = `
       <html>
@@ -720,6 +1062,28 @@ function sendLicenseManagementEmailReport(reportUrl, totalInactiveCount, process
                 <li>
                   <strong>📋 Sheet 2 - Processed Users:</strong> <span style="color: #ea4335; font-weight: bold;">${processingResults.length}</span>
                 </li>
+                ${CONFIG.SEND_WARNING ? `
+                <li style="margin-top: 10px; padding-top: 10px; border-top: 1px solid #ddd;">
+                  <strong>📧 Warned (${CONFIG.WARNING_GRACE_DAYS}-day grace period):</strong> <span style="color: #fbbc04; font-weight: bold;">${warnedCount}</span>
+                </li>
+                <li>
+                  <strong>⏳ Still in Grace Period:</strong> ${graceCount}
+                </li>
+                <li>
+                  <strong>↩️ Dropped Out:</strong> ${droppedOutCount}
+                </li>
+                ` : ''}
+                ${CONFIG.REQUIRE_MANAGER_APPROVAL ? `
+                <li style="margin-top: 10px; padding-top: 10px; border-top: 1px solid #ddd;">
+                  <strong>👍 Approved (or no answer by deadline):</strong> ${approvedCount}
+                </li>
+                <li>
+                  <strong>⏳ Awaiting Manager:</strong> ${awaitingCount}
+                </li>
+                <li>
+                  <strong>🛡️ Kept or Extended by Manager:</strong> ${keptCount}
+                </li>
+                ` : ''}
                 ${!CONFIG.DRY_RUN ? `
                 <li style="margin-top: 10px; padding-top: 10px; border-top: 1px solid #ddd;">
                   <strong>✅ Successfully Suspended:</strong> <span style="color: #34a853; font-weight: bold;">${successfulSuspensions}</span>
@@ -736,10 +1100,12 @@ function sendLicenseManagementEmailReport(reportUrl, totalInactiveCount, process
             </div>
             
             <div style="background-color: #e8f0fe; padding: 15px; border-radius: 5px; margin: 20px 0;">
-              <h4 style="margin-top: 0; color: #1967d2;">📑 Report Contains Two Sheets:</h4>
+              <h4 style="margin-top: 0; color: #1967d2;">📑 Report Contains ${2 + (CONFIG.SEND_WARNING ? 1 : 0) + (CONFIG.REQUIRE_MANAGER_APPROVAL ? 1 : 0)} Sheets:</h4>
               <ol style="margin: 10px 0;">
                 <li><strong>All Inactive Users:</strong> Complete list of all inactive users with license information</li>
                 <li><strong>License Management:</strong> Detailed status of suspension and license changes for each processed user</li>
+                ${CONFIG.SEND_WARNING ? '<li><strong>Suspension Warnings:</strong> Warnings sent, users in their grace period and users who dropped out</li>' : ''}
+                ${CONFIG.REQUIRE_MANAGER_APPROVAL ? '<li><strong>Manager Approvals:</strong> Each manager\'s decision, or why the user is waiting</li>' : ''}
               </ol>
             </div>
             
@@ -780,16 +1146,26 @@ Inactivity Period: ${CONFIG.INACTIVITY_DAYS} days
 
 Sheet 1 - All Inactive Users: ${totalInactiveCount}
 Sheet 2 - Processed Users: ${processingResults.length}
-${!CONFIG.DRY_RUN ? `
+${CONFIG.SEND_WARNING ? `
+Warned (${CONFIG.WARNING_GRACE_DAYS}-day grace period): ${warnedCount}
+Still in Grace Period: ${graceCount}
+Dropped Out: ${droppedOutCount}
+` : ''}${CONFIG.REQUIRE_MANAGER_APPROVAL ? `
+Approved (or no answer by deadline): ${approvedCount}
+Awaiting Manager: ${awaitingCount}
+Kept or Extended by Manager: ${keptCount}
+` : ''}${!CONFIG.DRY_RUN ? `
 Successfully Suspended: ${successfulSuspensions}
 Licenses Removed: ${successfulRemovals}
 Licenses Assigned: ${successfulAssignments}
 ` : ''}
 ${failCount > 0 ? `Failed: ${failCount}` : ''}
 
-The report contains two sheets:
+The report contains ${2 + (CONFIG.SEND_WARNING ? 1 : 0) + (CONFIG.REQUIRE_MANAGER_APPROVAL ? 1 : 0)} sheets:
 1. All Inactive Users - Complete list with license information
 2. License Management - Detailed status of suspension and license changes
+${CONFIG.SEND_WARNING ? '3. Suspension Warnings - Warnings sent, users in their grace period and users who dropped out' : ''}
+${CONFIG.REQUIRE_MANAGER_APPROVAL ? `${CONFIG.SEND_WARNING ? 4 : 3}. Manager Approvals - Each manager's decision, or why the user is waiting` : ''}
 
 View the full report here: ${reportUrl}
 
@@ -0,0 +1,933 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * OAuth Scopes - These are required for the script to access Google Workspace APIs
+ * Google Apps Script will automatically request these permissions when you run the script
+ *
+ * @scope https://www.googleapis.com/auth/admin.directory.user
+ * @scope https://www.googleapis.com/auth/admin.directory.customer.readonly
+ * @scope https://www.googleapis.com/auth/admin.datatransfer
+ * @scope https://www.googleapis.com/auth/apps.licensing
+ * @scope https://www.googleapis.com/auth/admin.reports.audit.readonly
+ * @scope https://www.googleapis.com/auth/admin.reports.usage.readonly
+ * @scope https://www.googleapis.com/auth/spreadsheets
+ * @scope https://www.googleapis.com/auth/script.send_mail
+ * @scope https://www.googleapis.com/auth/drive
+ * @scope https://www.googleapis.com/auth/script.scriptapp
+ */
+
+/**
+ * Google Workspace User Lifecycle Script
+ *
+ * Purpose:
+ * Moves inactive users with a specific license (e.g., Enterprise Plus) through
+ * one lifecycle, replacing the separate report, suspend and archive scripts:
+ *
+ *   ACTIVE → WARNED → SUSPENDED → ARCHIVED → TRANSFERRING → DELETED
+ *
+ * 1. WARNED       (STAGE_DAYS.WARN, 150 days):    the user is emailed how to keep the account.
+ * 2. SUSPENDED    (STAGE_DAYS.SUSPEND, 180 days): the account is suspended.
+ * 3. ARCHIVED     (STAGE_DAYS.ARCHIVE, 270 days): the target license is swapped for the archive license.
+ * 4. TRANSFERRING (STAGE_DAYS.DELETE, 365 days):  Drive and Calendar data is transferred
+ *                                                 to the manager or DATA_TRANSFER_TO.
+ * 5. DELETED      (once the transfer completes):  the account is deleted (ENABLE_DELETION only).
+ *
+ * Stage tracking:
+ * - Each user's stage is kept in the "Lifecycle State" tab of the lifecycle spreadsheet,
+ *   so every run continues where the last one stopped.
+ * - A user moves at most ONE stage per run and stays at least MIN_DAYS_BETWEEN_STAGES
+ *   in a stage - no stage is ever skipped, even for users who are already 400 days inactive.
+ * - Warned users who become active again drop out. Users unsuspended outside the
+ *   lifecycle (e.g. by an admin) start over as ACTIVE.
+ * - Every action is appended to the "Lifecycle Log" tab as an audit trail.
+ *
+ * Activity is decided by "Last Seen Ledger.js" and "Activity Signals.js" - add both to the project,
+ * together with "Warning Email.js" (the warning sent in the WARNED stage).
+ *
+ * Prerequisites:
+ * - Enable "Admin SDK API" in Apps Script Services (Directory, Reports and Data Transfer).
+ * - Enable "Admin License Manager API" in Apps Script Services.
+ * - Run this script with a Google Workspace Super Admin account.
+ *
+ * IMPORTANT:
+ * This script will SUSPEND, ARCHIVE and DELETE users. Use with caution!
+ * Test with DRY_RUN mode first - in DRY_RUN the stages are NOT saved.
+ */
+
+// Configuration
+const CONFIG = {
+    // SKU IDs for licenses
+    TARGET_SKU_ID: '1010020020', // Enterprise Plus - users with this license are in scope
+    ARCHIVE_SKU_ID: '1010340001', // Enterprise Plus - Archived User, assigned at the ARCHIVED stage
+    PRODUCT_ID: 'Google-Apps',
+
+    // Days of inactivity before each stage
+    STAGE_DAYS: {
+        WARN: 150,
+        SUSPEND: 180,
+        ARCHIVE: 270,
+        DELETE: 365
+    },
+
+    // Minimum days a user stays in a stage before the next one (gives warned users time to react)
+    MIN_DAYS_BETWEEN_STAGES: 14,
+
+    // DRY RUN MODE - Set to true to test without changing users (stages are not saved)
+    DRY_RUN: true,
+
+    // Deletion - Set to true to transfer data and delete users after STAGE_DAYS.DELETE.
+    // If false, users stay ARCHIVED.
+    ENABLE_DELETION: false,
+
+    // Data Transfer before deletion
+    // The user's manager receives the data; if there is none, DATA_TRANSFER_TO does.
+    TRANSFER_TO_MANAGER: true,
+    DATA_TRANSFER_TO: 'it-archive@example.com',
+    DATA_TRANSFER_APPLICATIONS: ['Drive and Docs', 'Calendar'],
+
+    // Warning Email (sent to the user at the WARNED stage)
+    WARNING_EMAIL_SUBJECT: 'Action required: your Google Workspace account will be suspended',
+    SUPPORT_CONTACT: 'it-support@example.com',
+
+    // Email Configuration (summary for admins)
+    EMAIL_RECIPIENTS: 'email1@example.com, email2@example.com, email3@example.com',
+    EMAIL_SUBJECT: 'User Lifecycle Report',
+    SEND_EMAIL: true,
+
+    // Lifecycle Spreadsheet (stage of each user + audit log)
+    // If empty or default, a spreadsheet is created on the first run and reused.
+    SPREADSHEET_ID: 'YOUR_SPREADSHEET_ID_HERE',
+
+    // Shared Drive Configuration
+    SHARED_DRIVE_FOLDER_ID: '0AA7GGQkHedVoUk9PVA',
+
+    // Last-Seen Ledger (see "Last Seen Ledger.js")
+    // Folder for the ledger file. If empty, SHARED_DRIVE_FOLDER_ID is used.
+    LAST_SEEN_LEDGER_FOLDER_ID: '',
+
+    // Activity Signals (see "Activity Signals.js")
+    // Weight of each signal when deciding if a user is active (0 = not used).
+    // A user is active if the signals seen since the cutoff date add up to ACTIVITY_SCORE_THRESHOLD.
+    // OAuth token activity also comes from background syncs, so on its own it isn't enough.
+    ACTIVITY_SIGNAL_WEIGHTS: {
+        LOGIN: 1,
+        DRIVE: 1,
+        GMAIL: 1,
+        CALENDAR: 1,
+        MEET: 1,
+        TOKEN: 0.5,
+        USAGE: 1
+    },
+    ACTIVITY_SCORE_THRESHOLD: 1,
+
+    // Safety Settings
+    // Maximum number of stage changes in one run (safety limit)
+    MAX_ACTIONS_PER_RUN: 50,
+
+    // Exclusion Settings
+    // Users in these OUs will NOT be moved through the lifecycle (e.g., /Executives, /IT)
+    EXCLUDED_OU_PATHS: [
+        // '/Executives',
+        // '/IT'
+    ],
+
+    // Exclude admin users from the lifecycle
+    EXCLUDE_ADMINS: true
+};
+
+/**
+ * Catalog of Google Workspace SKU IDs.
+ */
+const SKU_CATALOG = {
+    'Google-Apps': {
+        'Enterprise Plus': '1010020020',
+        'Enterprise Standard': '1010020028',
+        'Business Starter': '1010020027',
+        'Business Standard': '1010020028',
+        'Business Plus': '1010020025',
+        'Enterprise Plus - Archived User': '1010340001',
+        'Cloud Identity Free': '1010010001',
+        'Cloud Identity Premium': '1010050001'
+    }
+};
+
+// Lifecycle stages in order, with the STAGE_DAYS key that makes a user due for each
+const LIFECYCLE_STAGES = ['ACTIVE', 'WARNED', 'SUSPENDED', 'ARCHIVED', 'TRANSFERRING', 'DELETED'];
+const STAGE_THRESHOLD_KEYS = {
+    WARNED: 'WARN',
+    SUSPENDED: 'SUSPEND',
+    ARCHIVED: 'ARCHIVE',
+    TRANSFERRING: 'DELETE'
+};
+
+const LIFECYCLE_STATE_SHEET = 'Lifecycle State';
+const LIFECYCLE_LOG_SHEET = 'Lifecycle Log';
+const LIFECYCLE_STATE_HEADERS = ['Email', 'Stage', 'Stage Since', 'Last Activity', 'Last Activity Signal', 'Transfer ID', 'Updated'];
+const LIFECYCLE_LOG_HEADERS = ['Timestamp', 'Mode', 'Email', 'Name', 'From Stage', 'To Stage', 'Status', 'Details', 'Days Inactive', 'Last Activity Signal'];
+
+// Parameters for each application of the data transfer before deletion
+const DATA_TRANSFER_PARAMS = {
+    'Drive and Docs': [{ key: 'PRIVACY_LEVEL', value: ['SHARED', 'PRIVATE'] }],
+    'Calendar': [{ key: 'RELEASE_RESOURCES', value: ['TRUE'] }]
+};
+
+/**
+ * Helper to get friendly name from SKU ID
+ */
+function getSkuName(skuId) {
+    for (const [product, skus] of Object.entries(SKU_CATALOG)) {
+        for (const [name, id] of Object.entries(skus)) {
+            if (id === skuId) return name;
+        }
+    }
+    return skuId;
+}
+
+/**
+ * Main function - moves every in-scope user at most one lifecycle stage.
+ */
+function runUserLifecycle() {
+    const mode = CONFIG.DRY_RUN ? '🔍 DRY RUN MODE' : '⚠️ LIVE MODE - WILL WARN, SUSPEND, ARCHIVE AND DELETE USERS';
+    Logger.log(`========================================`);
+    Logger.log(mode);
+    Logger.log(`========================================`);
+
+    const days = CONFIG.STAGE_DAYS;
+    if (!(days.WARN < days.SUSPEND && days.SUSPEND < days.ARCHIVE && days.ARCHIVE < days.DELETE)) {
+        Logger.log('❌ ERROR: STAGE_DAYS must increase from WARN to SUSPEND to ARCHIVE to DELETE.');
+        return;
+    }
+
+    // 0. Get Canonical Customer ID
+    let customerId = 'my_customer';
+    try {
+        const customer = AdminDirectory.Customers.get('my_customer');
+        customerId = customer.id;
+        Logger.log(`Fetched Canonical Customer ID: ${customerId}`);
+    } catch (e) {
+        Logger.log(`Warning: Could not fetch canonical customer ID. Error: ${e.message}`);
+    }
+
+    // 1. Fetch ALL license assignments
+    Logger.log(`Fetching all license assignments for product: ${CONFIG.PRODUCT_ID}...`);
+    const licenseMap = getAllLicenseAssignments(CONFIG.PRODUCT_ID, customerId);
+    Logger.log(`Found ${Object.keys(licenseMap).length} users with licenses.`);
+
+    // 2. Bring the last-seen ledger and activity signals up to date
+    const ledger = updateLastSeenLedger();
+    const syncingSignals = updateActivitySignals(ledger, getCutoffDate(days.DELETE));
+    if (syncingSignals.length > 0) {
+        Logger.log(`⏸️ Activity signals still syncing (${syncingSignals.join(', ')}) - users only move to a later stage once they have caught up.`);
+    }
+
+    // 3. Load each user's stage from the last run
+    const ss = getLifecycleSpreadsheet();
+    const state = loadLifecycleState(ss);
+    Logger.log(`Lifecycle state: ${Object.keys(state).length} users past the ACTIVE stage`);
+
+    // 4. Decide the next step for every user
+    const steps = [];
+    const seen = {};
+
+    listAllUsers().forEach(user => {
+        const email = user.primaryEmail.toLowerCase();
+        const entry = state[email] || { stage: 'ACTIVE', since: null, transferId: null };
+        seen[email] = true;
+
+        const licenses = licenseMap[email] || [];
+        user.licenseString = licenses.length > 0 ? licenses.map(l => getSkuName(l.skuId)).join(', ') : 'No licenses';
+
+        // Only users with the target license, or already on their way through the lifecycle
+        if (entry.stage === 'ACTIVE' && !licenses.some(l => l.skuId === CONFIG.TARGET_SKU_ID)) {
+            return;
+        }
+
+        const step = getLifecycleStep(ledger, user, entry);
+        if (step) {
+            steps.push(step);
+        }
+    });
+
+    // Users deleted by the lifecycle are gone from the Directory - anyone else is logged once
+    Object.keys(state).forEach(email => {
+        if (!seen[email] && state[email].stage !== 'DELETED') {
+            Logger.log(`ℹ️ ${email} (${state[email].stage}) no longer exists - removed from the lifecycle`);
+            delete state[email];
+        }
+    });
+
+    // 5. Apply safety limit (drop-outs and resets don't count)
+    const changes = steps.filter(s => !s.reset);
+    Logger.log(`Found ${changes.length} users due for their next stage, ${steps.length - changes.length} dropping out.`);
+
+    if (changes.length > CONFIG.MAX_ACTIONS_PER_RUN) {
+        Logger.log(`⚠️ WARNING: ${changes.length} stage changes exceed safety limit of ${CONFIG.MAX_ACTIONS_PER_RUN}`);
+        Logger.log(`Only the first ${CONFIG.MAX_ACTIONS_PER_RUN} will be processed. The rest continue on the next run.`);
+        const skipped = changes.slice(CONFIG.MAX_ACTIONS_PER_RUN);
+        skipped.forEach(step => steps.splice(steps.indexOf(step), 1));
+    }
+
+    // 6. Apply the steps (or simulate in dry run mode) - the state is saved even if a step throws
+    const results = [];
+    try {
+        steps.forEach(step => {
+            results.push(applyLifecycleStep(step, state));
+        });
+    } finally {
+        if (!CONFIG.DRY_RUN) {
+            saveLifecycleState(ss, state);
+        }
+        appendLifecycleLog(ss, results);
+    }
+
+    Logger.log(`========================================`);
+    Logger.log(`LIFECYCLE RUN COMPLETE`);
+    LIFECYCLE_STAGES.slice(1).forEach(stage => {
+        const count = results.filter(r => r.to === stage && r.moved).length;
+        if (count > 0) Logger.log(`${stage}: ${count}`);
+    });
+    Logger.log(`Dropped out / reset: ${results.filter(r => r.to === 'ACTIVE').length}`);
+    Logger.log(`Failed: ${results.filter(r => !r.success).length}`);
+    Logger.log(`Report: ${ss.getUrl()}`);
+    Logger.log(`========================================`);
+
+    if (CONFIG.SEND_EMAIL && CONFIG.EMAIL_RECIPIENTS && results.length > 0) {
+        sendLifecycleEmailReport(ss.getUrl(), results);
+    }
+}
+
+/**
+ * Decides the next lifecycle step for a user, or null if there is nothing to do.
+ * Returns { user, from, to, entry, activity, reset, reason }
+ */
+function getLifecycleStep(ledger, user, entry) {
+    const stageIndex = LIFECYCLE_STAGES.indexOf(entry.stage);
+    const activity = assessActivity(ledger, user, getCutoffDate(CONFIG.STAGE_DAYS.WARN));
+    const step = { user: user, from: entry.stage, entry: entry, activity: activity, reset: false, reason: '' };
+
+    // Unsuspended outside the lifecycle (e.g. restored by an admin) - start over
+    if ((entry.stage === 'SUSPENDED' || entry.stage === 'ARCHIVED' || entry.stage === 'TRANSFERRING') && !user.suspended) {
+        return Object.assign(step, { to: 'ACTIVE', reset: true, reason: 'Unsuspended outside the lifecycle' });
+    }
+
+    // The data transfer of the last run decides whether the user can be deleted now -
+    // but only while deletion is still enabled and the user is still in scope
+    if (entry.stage === 'TRANSFERRING') {
+        if (!CONFIG.ENABLE_DELETION || shouldExcludeUser(user)) {
+            return null;
+        }
+        return Object.assign(step, { to: 'DELETED' });
+    }
+
+    // Active again during the warning period - drop out
+    if (entry.stage === 'WARNED' && activity.active) {
+        return Object.assign(step, { to: 'ACTIVE', reset: true, reason: `Active again (${activity.signal})` });
+    }
+
+    // Already suspended by someone else - the lifecycle doesn't take over
+    if (entry.stage === 'ACTIVE' && user.suspended) {
+        return null;
+    }
+
+    if (shouldExcludeUser(user)) {
+        return null;
+    }
+
+    const next = LIFECYCLE_STAGES[stageIndex + 1];
+    if (!next || next === 'DELETED' || (next === 'TRANSFERRING' && !CONFIG.ENABLE_DELETION)) {
+        return null;
+    }
+
+    // Never skip a stage: at most one step per run, after a minimum time in the current stage
+    if (entry.since) {
+        const daysInStage = (Date.now() - new Date(entry.since).getTime()) / (24 * 60 * 60 * 1000);
+        if (daysInStage < CONFIG.MIN_DAYS_BETWEEN_STAGES) {
+            return null;
+        }
+    }
+
+    // Not while activity signals are still catching up - the user may not be inactive after all
+    const nextDays = CONFIG.STAGE_DAYS[STAGE_THRESHOLD_KEYS[next]];
+    const nextActivity = assessActivity(ledger, user, getCutoffDate(nextDays));
+    if (nextActivity.active || nextActivity.incomplete) {
+        return null;
+    }
+
+    return Object.assign(step, { to: next, reason: `Inactive ${nextDays}+ days` });
+}
+
+/**
+ * Carries out one step and updates the user's entry in the state.
+ * A failed step leaves the user in the current stage, so the next run retries.
+ */
+function applyLifecycleStep(step, state) {
+    const email = step.user.primaryEmail.toLowerCase();
+    const result = {
+        email: step.user.primaryEmail,
+        name: step.user.name ? step.user.name.fullName : 'N/A',
+        from: step.from,
+        to: step.to,
+        success: true,
+        moved: false,
+        status: '',
+        details: step.reason,
+        daysInactive: getDaysInactive(step.activity.time),
+        signal: step.activity.signal
+    };
+
+    if (step.reset) {
+        result.status = CONFIG.DRY_RUN ? '🔍 DRY RUN - Would drop out' : '↩️ Dropped out';
+        if (!CONFIG.DRY_RUN) delete state[email];
+        Logger.log(`${result.status}: ${step.user.primaryEmail} (${step.reason})`);
+        return result;
+    }
+
+    if (CONFIG.DRY_RUN) {
+        result.moved = true;
+        result.status = `🔍 DRY RUN - Would move to ${step.to}`;
+        Logger.log(`[DRY RUN] ${step.user.primaryEmail}: ${step.from} → ${step.to}`);
+        return result;
+    }
+
+    try {
+        switch (step.to) {
+            case 'WARNED':
+                result.details = sendInactivityWarning(step.user, step.activity);
+                break;
+            case 'SUSPENDED':
+                AdminDirectory.Users.update({ suspended: true }, step.user.primaryEmail);
+                result.details = 'Account suspended';
+                break;
+            case 'ARCHIVED':
+                result.details = swapToArchiveLicense(step.user);
+                break;
+            case 'TRANSFERRING':
+                step.entry.transferId = startDataTransfer(step.user);
+                result.details = `Data transfer ${step.entry.transferId} started`;
+                break;
+            case 'DELETED': {
+                const transferStatus = AdminDataTransfer.Transfers.get(step.entry.transferId).overallTransferStatusCode;
+                if (transferStatus === 'failed') {
+                    // Back to ARCHIVED - the next run starts a new transfer
+                    state[email] = Object.assign(step.entry, { stage: 'ARCHIVED', transferId: null, updated: new Date().toISOString() });
+                    throw new Error(`Data transfer ${step.entry.transferId} failed - will be retried`);
+                }
+                if (transferStatus !== 'completed') {
+                    result.status = `⏳ Waiting for data transfer (${transferStatus})`;
+                    Logger.log(`⏳ ${step.user.primaryEmail}: data transfer ${transferStatus}`);
+                    return result;
+                }
+                AdminDirectory.Users.remove(step.user.primaryEmail);
+                result.details = `Data transferred (${step.entry.transferId}), account deleted`;
+                break;
+            }
+        }
+
+        state[email] = Object.assign(step.entry, {
+            stage: step.to,
+            since: new Date().toISOString(),
+            lastActivity: step.activity.time || 'Never',
+            lastActivitySignal: step.activity.signal,
+            updated: new Date().toISOString()
+        });
+
+        result.moved = true;
+        result.status = `✅ Moved to ${step.to}`;
+        Logger.log(`✅ ${step.user.primaryEmail}: ${step.from} → ${step.to}`);
+        Utilities.sleep(200);
+    } catch (e) {
+        result.success = false;
+        result.status = '❌ Failed';
+        result.details = e.message;
+        Logger.log(`❌ Error moving ${step.user.primaryEmail} to ${step.to}: ${e.message}`);
+    }
+
+    return result;
+}
+
+/**
+ * Emails the user how to keep the account. Returns a description for the log.
+ */
+function sendInactivityWarning(user, activity) {
+    // Earliest the next run can suspend: the suspend threshold and the minimum time in WARNED must both pass
+    const byThreshold = activity.time
+        ? new Date(activity.time).getTime() + (CONFIG.STAGE_DAYS.SUSPEND * 24 * 60 * 60 * 1000)
+        : 0;
+    const byMinimum = Date.now() + (CONFIG.MIN_DAYS_BETWEEN_STAGES * 24 * 60 * 60 * 1000);
+    const suspensionDate = new Date(Math.max(byThreshold, byMinimum));
+
+    const message = buildInactivityWarningEmail(user, CONFIG.STAGE_DAYS.WARN, suspensionDate, null);
+    message.to = user.primaryEmail;
+
+    MailApp.sendEmail(message);
+
+    return `Warning email sent (suspension on or after ${formatWarningDate(suspensionDate)})`;
+}
+
+/**
+ * Removes the target license and assigns the archive license. Returns a description for the log.
+ */
+function swapToArchiveLicense(user) {
+    const userEmail = user.primaryEmail;
+    const licenses = getUserLicenses(userEmail);
+
+    if (licenses.indexOf(CONFIG.TARGET_SKU_ID) !== -1) {
+        AdminLicenseManager.LicenseAssignments.remove(CONFIG.PRODUCT_ID, CONFIG.TARGET_SKU_ID, userEmail);
+        Utilities.sleep(500);
+    }
+
+    if (licenses.indexOf(CONFIG.ARCHIVE_SKU_ID) === -1) {
+        AdminLicenseManager.LicenseAssignments.insert({ userId: userEmail }, CONFIG.PRODUCT_ID, CONFIG.ARCHIVE_SKU_ID);
+    }
+
+    return `${getSkuName(CONFIG.TARGET_SKU_ID)} → ${getSkuName(CONFIG.ARCHIVE_SKU_ID)}`;
+}
+
+/**
+ * SKU IDs currently assigned to a user (the license map may be out of date after earlier steps)
+ */
+function getUserLicenses(userEmail) {
+    return [CONFIG.TARGET_SKU_ID, CONFIG.ARCHIVE_SKU_ID].filter(skuId => {
+        try {
+            AdminLicenseManager.LicenseAssignments.get(CONFIG.PRODUCT_ID, skuId, userEmail);
+            return true;
+        } catch (e) {
+            return false; // 404 - not assigned
+        }
+    });
+}
+
+/**
+ * Starts the transfer of the user's data to their manager or DATA_TRANSFER_TO. Returns the transfer ID.
+ */
+function startDataTransfer(user) {
+    const recipient = (CONFIG.TRANSFER_TO_MANAGER && getManager(user.primaryEmail)) || CONFIG.DATA_TRANSFER_TO;
+    if (!recipient) {
+        throw new Error('No data transfer recipient - set DATA_TRANSFER_TO');
+    }
+
+    const newOwner = AdminDirectory.Users.get(recipient);
+    if (newOwner.suspended) {
+        throw new Error(`Data transfer recipient ${recipient} is suspended`);
+    }
+
+    const applications = (AdminDataTransfer.Applications.list({ customerId: 'my_customer' }).applications || [])
+        .filter(app => CONFIG.DATA_TRANSFER_APPLICATIONS.indexOf(app.name) !== -1);
+
+    if (applications.length === 0) {
+        throw new Error(`None of the DATA_TRANSFER_APPLICATIONS found: ${CONFIG.DATA_TRANSFER_APPLICATIONS.join(', ')}`);
+    }
+
+    const transfer = AdminDataTransfer.Transfers.insert({
+        oldOwnerUserId: user.id,
+        newOwnerUserId: newOwner.id,
+        applicationDataTransfers: applications.map(app => ({
+            applicationId: app.id,
+            applicationTransferParams: DATA_TRANSFER_PARAMS[app.name] || []
+        }))
+    });
+
+    Logger.log(`📦 Data transfer ${transfer.id} started: ${user.primaryEmail} → ${recipient}`);
+    return transfer.id;
+}
+
+/**
+ * Gets the manager's email for a specific user.
+ * Returns null if no manager is found.
+ */
+function getManager(userEmail) {
+    try {
+        const user = AdminDirectory.Users.get(userEmail, { projection: 'full' });
+
+        if (user.relations) {
+            const managerRelation = user.relations.find(r => r.type === 'manager');
+            if (managerRelation) {
+                return managerRelation.value;
+            }
+        }
+    } catch (e) {
+        // Suppress errors for standard users
+    }
+    return null;
+}
+
+/**
+ * Checks if a user should be excluded from the lifecycle
+ */
+function shouldExcludeUser(user) {
+    // Exclude admins if configured
+    if (CONFIG.EXCLUDE_ADMINS && (user.isAdmin || user.isDelegatedAdmin)) {
+        return true;
+    }
+
+    // Exclude users in specific OUs
+    if (CONFIG.EXCLUDED_OU_PATHS.length > 0) {
+        const userOU = user.orgUnitPath || '/';
+        if (CONFIG.EXCLUDED_OU_PATHS.some(excludedOU => userOU.startsWith(excludedOU))) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Lists all users from the Directory API
+ */
+function listAllUsers() {
+    let users = [];
+    let pageToken;
+
+    do {
+        try {
+            const response = AdminDirectory.Users.list({
+                customer: 'my_customer',
+                maxResults: 500,
+                pageToken: pageToken
+            });
+
+            if (response.users) {
+                users = users.concat(response.users);
+            }
+            pageToken = response.nextPageToken;
+        } catch (e) {
+            // A partial list would drop users out of the lifecycle - stop the run instead
+            throw new Error(`Error listing users: ${e.message}`);
+        }
+    } while (pageToken);
+
+    return users;
+}
+
+/**
+ * Fetches ALL license assignments for a product.
+ * Returns a map: { 'user@domain.com': [{skuId: '...', skuName: '...'}] }
+ */
+function getAllLicenseAssignments(productId, customerId) {
+    const licenseMap = {};
+    let pageToken;
+
+    do {
+        try {
+            const response = AdminLicenseManager.LicenseAssignments.listForProduct(
+                productId,
+                customerId,
+                {
+                    maxResults: 1000,
+                    pageToken: pageToken
+                }
+            );
+
+            if (response.items) {
+                response.items.forEach(item => {
+                    const userEmail = item.userId.toLowerCase();
+
+                    if (!licenseMap[userEmail]) {
+                        licenseMap[userEmail] = [];
+                    }
+
+                    licenseMap[userEmail].push({
+                        skuId: item.skuId,
+                        skuName: item.skuName || getSkuName(item.skuId)
+                    });
+                });
+            }
+
+            pageToken = response.nextPageToken;
+
+            if (pageToken) {
+                Utilities.sleep(100);
+            }
+        } catch (e) {
+            Logger.log(`Error fetching license assignments: ${e.message}`);
+            break;
+        }
+    } while (pageToken);
+
+    return licenseMap;
+}
+
+/**
+ * Opens the lifecycle spreadsheet - CONFIG.SPREADSHEET_ID, or the one created on the first run
+ */
+function getLifecycleSpreadsheet() {
+    if (CONFIG.SPREADSHEET_ID && CONFIG.SPREADSHEET_ID !== 'YOUR_SPREADSHEET_ID_HERE') {
+        return SpreadsheetApp.openById(CONFIG.SPREADSHEET_ID);
+    }
+
+    const props = PropertiesService.getScriptProperties();
+    const spreadsheetId = props.getProperty('lifecycleSpreadsheetId');
+    if (spreadsheetId) {
+        return SpreadsheetApp.openById(spreadsheetId);
+    }
+
+    const ss = SpreadsheetApp.create('User Lifecycle - State & Audit Log');
+    moveToSharedDrive(ss);
+    props.setProperty('lifecycleSpreadsheetId', ss.getId());
+    Logger.log(`Created lifecycle spreadsheet: ${ss.getUrl()}`);
+    return ss;
+}
+
+/**
+ * Reads the "Lifecycle State" tab: { email: { stage, since, lastActivity, lastActivitySignal, transferId, updated } }
+ * Only users past the ACTIVE stage are listed.
+ */
+function loadLifecycleState(ss) {
+    const state = {};
+    const sheet = ss.getSheetByName(LIFECYCLE_STATE_SHEET);
+
+    if (!sheet || sheet.getLastRow() < 2) {
+        return state;
+    }
+
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, LIFECYCLE_STATE_HEADERS.length).getValues().forEach(row => {
+        if (!row[0]) return;
+
+        // A hand-edited or corrupted date must not stop the whole run
+        const since = row[2] ? new Date(row[2]) : null;
+        if (since && isNaN(since.getTime())) {
+            Logger.log(`⚠️ ${LIFECYCLE_STATE_SHEET}: invalid "since" date "${row[2]}" for ${row[0]} - ignored`);
+        }
+
+        state[String(row[0]).toLowerCase()] = {
+            stage: row[1],
+            since: since && !isNaN(since.getTime()) ? since.toISOString() : null,
+            lastActivity: row[3],
+            lastActivitySignal: row[4],
+            transferId: row[5] || null,
+            updated: row[6]
+        };
+    });
+
+    return state;
+}
+
+/**
+ * Rewrites the "Lifecycle State" tab, latest stage first
+ */
+function saveLifecycleState(ss, state) {
+    let sheet = ss.getSheetByName(LIFECYCLE_STATE_SHEET);
+    if (sheet) {
+        sheet.clear();
+    } else {
+        sheet = ss.insertSheet(LIFECYCLE_STATE_SHEET);
+    }
+
+    sheet.appendRow(LIFECYCLE_STATE_HEADERS);
+
+    const rows = Object.keys(state)
+        .map(email => {
+            const entry = state[email];
+            return [email, entry.stage, entry.since || '', entry.lastActivity || '', entry.lastActivitySignal || '', entry.transferId || '', entry.updated || ''];
+        })
+        .sort((a, b) => (LIFECYCLE_STAGES.indexOf(b[1]) - LIFECYCLE_STAGES.indexOf(a[1])) || a[0].localeCompare(b[0]));
+
+    if (rows.length > 0) {
+        sheet.getRange(2, 1, rows.length, LIFECYCLE_STATE_HEADERS.length).setValues(rows);
+    }
+
+    sheet.getRange(1, 1, 1, LIFECYCLE_STATE_HEADERS.length).setFontWeight('bold').setBackground('#4285f4').setFontColor('#ffffff');
+    sheet.setFrozenRows(1);
+    sheet.autoResizeColumns(1, LIFECYCLE_STATE_HEADERS.length);
+}
+
+/**
+ * Appends this run's results to the "Lifecycle Log" tab (the audit trail)
+ */
+function appendLifecycleLog(ss, results) {
+    let sheet = ss.getSheetByName(LIFECYCLE_LOG_SHEET);
+    if (!sheet) {
+        sheet = ss.insertSheet(LIFECYCLE_LOG_SHEET);
+        sheet.appendRow(LIFECYCLE_LOG_HEADERS);
+        sheet.getRange(1, 1, 1, LIFECYCLE_LOG_HEADERS.length).setFontWeight('bold').setBackground('#ea4335').setFontColor('#ffffff');
+        sheet.setFrozenRows(1);
+    }
+
+    if (results.length === 0) {
+        return;
+    }
+
+    const timestamp = Utilities.formatDate(new Date(), 'GMT', 'yyyy-MM-dd HH:mm:ss');
+    const mode = CONFIG.DRY_RUN ? 'DRY RUN' : 'LIVE';
+    const rows = results.map(r => [timestamp, mode, r.email, r.name, r.from, r.to, r.status, r.details, r.daysInactive, r.signal]);
+
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, LIFECYCLE_LOG_HEADERS.length).setValues(rows);
+}
+
+/**
+ * Days since the last activity, or 'Never'
+ */
+function getDaysInactive(lastActivityTime) {
+    if (!lastActivityTime) {
+        return 'Never';
+    }
+    return Math.floor((Date.now() - new Date(lastActivityTime).getTime()) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Sends an email summary of this run with a link to the lifecycle spreadsheet.
+ */
+function sendLifecycleEmailReport(reportUrl, results) {
+    try {
+        const currentDate = new Date().toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+
+        const mode = CONFIG.DRY_RUN ? 'DRY RUN (No users were changed)' : 'LIVE MODE (Users were changed)';
+        const counts = LIFECYCLE_STAGES.slice(1).map(stage => ({
+            stage: stage,
+            count: results.filter(r => r.to === stage && r.moved).length
+        }));
+        const droppedOut = results.filter(r => r.to === 'ACTIVE').length;
+        const failCount = results.filter(r => !r.success).length;
+
+        const htmlBody = `
+      <html>
+        <body style="font-family: Arial, sans-serif; color: #333; line-height: 1.6;">
+          <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px;">
+            <h2 style="color: #4285f4; border-bottom: 2px solid #4285f4; padding-bottom: 10px;">
+              🔄 User Lifecycle Report
+            </h2>
+
+            <div style="background-color: ${CONFIG.DRY_RUN ? '#fff3cd' : '#f8d7da'}; padding: 15px; border-radius: 5px; margin: 20px 0; border-left: 4px solid ${CONFIG.DRY_RUN ? '#ffc107' : '#dc3545'};">
+              <strong>Mode:</strong> ${mode}
+            </div>
+
+            <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <h3 style="margin-top: 0; color: #555;">Report Summary</h3>
+              <ul style="list-style: none; padding-left: 0;">
+                <li><strong>Report Date:</strong> ${currentDate}</li>
+                <li><strong>License Type:</strong> ${getSkuName(CONFIG.TARGET_SKU_ID)}</li>
+                <li><strong>Stages:</strong> warn ${CONFIG.STAGE_DAYS.WARN}, suspend ${CONFIG.STAGE_DAYS.SUSPEND}, archive ${CONFIG.STAGE_DAYS.ARCHIVE}, delete ${CONFIG.STAGE_DAYS.DELETE} days</li>
+                ${counts.map(c => `<li><strong>${c.stage}:</strong> ${c.count}</li>`).join('')}
+                <li><strong>Dropped Out:</strong> ${droppedOut}</li>
+                ${failCount > 0 ? `<li><strong>Failed:</strong> <span style="color: #ea4335; font-weight: bold;">${failCount}</span></li>` : ''}
+              </ul>
+            </div>
+
+            <p>
+              <a href="${reportUrl}"
+                 style="display: inline-block; background-color: #4285f4; color: white; padding: 12px 24px;
+                        text-decoration: none; border-radius: 5px; font-weight: bold;">
+                📄 View Lifecycle State & Log
+              </a>
+            </p>
+
+            <p style="margin-top: 30px; font-size: 12px; color: #666; border-top: 1px solid #ddd; padding-top: 15px;">
+              This report was generated by the automated user lifecycle script.<br>
+              Report generated on: ${currentDate}
+            </p>
+          </div>
+        </body>
+      </html>
+    `;
+
+        const plainBody = `
+User Lifecycle Report
+=====================
+
+Mode: ${mode}
+
+Report Date: ${currentDate}
+License Type: ${getSkuName(CONFIG.TARGET_SKU_ID)}
+Stages: warn ${CONFIG.STAGE_DAYS.WARN}, suspend ${CONFIG.STAGE_DAYS.SUSPEND}, archive ${CONFIG.STAGE_DAYS.ARCHIVE}, delete ${CONFIG.STAGE_DAYS.DELETE} days
+
+${counts.map(c => `${c.stage}: ${c.count}`).join('\n')}
+Dropped Out: ${droppedOut}
+${failCount > 0 ? `Failed: ${failCount}` : ''}
+
+View the lifecycle state and log here: ${reportUrl}
+    `;
+
+        MailApp.sendEmail({
+            to: CONFIG.EMAIL_RECIPIENTS,
+            subject: CONFIG.EMAIL_SUBJECT,
+            body: plainBody,
+            htmlBody: htmlBody
+        });
+
+        Logger.log(`Email sent successfully to: ${CONFIG.EMAIL_RECIPIENTS}`);
+    } catch (e) {
+        Logger.log(`Error sending email: ${e.message}`);
+    }
+}
+
+/**
+ * Moves a spreadsheet to the configured Shared Drive folder
+ */
+function moveToSharedDrive(spreadsheet) {
+    if (!CONFIG.SHARED_DRIVE_FOLDER_ID || CONFIG.SHARED_DRIVE_FOLDER_ID === '') {
+        Logger.log('No Shared Drive folder configured. Spreadsheet created in My Drive.');
+        return;
+    }
+
+    try {
+        const file = DriveApp.getFileById(spreadsheet.getId());
+        const targetFolder = DriveApp.getFolderById(CONFIG.SHARED_DRIVE_FOLDER_ID);
+        file.moveTo(targetFolder);
+        Logger.log(`Spreadsheet moved to Shared Drive folder: ${targetFolder.getName()}`);
+    } catch (e) {
+        Logger.log(`Error moving spreadsheet to Shared Drive: ${e.message}`);
+    }
+}
+
+/**
+ * Utility to get date N days ago.
+ */
+function getCutoffDate(daysAgo) {
+    const date = new Date();
+    date.setDate(date.getDate() - daysAgo);
+    return date;
+}
+
+/**
+ * Sets up a trigger to run the lifecycle daily.
+ * Run this function manually once to initialize the schedule.
+ */
+function setupDailyLifecycleTrigger() {
+    const functionName = 'runUserLifecycle';
+
+    const triggers = ScriptApp.getProjectTriggers();
+    const exists = triggers.some(trigger => trigger.getHandlerFunction() === functionName);
+
+    if (exists) {
+        Logger.log(`Trigger for ${functionName} already exists.`);
+        return;
+    }
+
+    ScriptApp.newTrigger(functionName)
+        .timeBased()
+        .everyDays(1)
+        .atHour(2)
+        .create();
+
+    Logger.log(`Successfully created trigger to run ${functionName} every day.`);
+}
+
+/**
+ * Deletes all triggers for the lifecycle function.
+ */
+function deleteAllLifecycleTriggers() {
+    const functionName = 'runUserLifecycle';
+    const triggers = ScriptApp.getProjectTriggers();
+    let deletedCount = 0;
+
+    triggers.forEach(trigger => {
+        if (trigger.getHandlerFunction() === functionName) {
+            ScriptApp.deleteTrigger(trigger);
+            deletedCount++;
+        }
+    });
+
+    if (deletedCount > 0) {
+        Logger.log(`✅ Deleted ${deletedCount} trigger(s) for ${functionName}`);
+    } else {
+        Logger.log('ℹ️ No triggers found to delete.');
+    }
+}
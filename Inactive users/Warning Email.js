@@ -0,0 +1,89 @@
+/**
+ * @OnlyCurrentDoc false
+ */
+
+/**
+ * INACTIVITY WARNING EMAIL
+ *
+ * Companion file for "Suspend and Manage Licenses.js" (SEND_WARNING) and
+ * "User Lifecycle.js" (the WARNED stage) - add it to the same Apps Script project.
+ *
+ * Both scripts warn inactive users before suspending them. The email is built here so
+ * its wording and layout are the same whichever script sends it; the caller only adds
+ * script-specific details (e.g. the license that will be removed, the manager in copy)
+ * and sends it.
+ */
+
+/**
+ * Builds the warning for a user inactive for more than `inactiveDays` days who will be
+ * suspended on or after `suspensionDate` (a Date).
+ * Options:
+ * - consequence: what else happens on suspension, e.g. 'its Enterprise Plus license removed'
+ * - manager:     email of the manager who gets a copy, or null
+ * Returns { subject, body, htmlBody } for MailApp.sendEmail()
+ */
+function buildInactivityWarningEmail(user, inactiveDays, suspensionDate, options) {
+    const consequence = options && options.consequence ? ` and ${options.consequence}` : '';
+    const manager = options && options.manager ? options.manager : null;
+    const name = user.name ? user.name.givenName || user.name.fullName : '';
+    const dueDate = formatWarningDate(suspensionDate);
+
+    const htmlBody = `
+      <html>
+        <body style="font-family: Arial, sans-serif; color: #333; line-height: 1.6;">
+          <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 8px;">
+            <h2 style="color: #ea4335; border-bottom: 2px solid #ea4335; padding-bottom: 10px;">
+              ⚠️ Your account will be suspended
+            </h2>
+
+            <p>Hello ${name},</p>
+
+            <p>Your Google Workspace account <strong>${user.primaryEmail}</strong> has not been used for
+            more than ${inactiveDays} days. If it stays unused, it will be
+            <strong>suspended on or after ${dueDate}</strong>${consequence}.</p>
+
+            <div style="background-color: #e8f0fe; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <h3 style="margin-top: 0; color: #1967d2;">How to keep your account</h3>
+              <p style="margin: 0;">Sign in at <a href="https://accounts.google.com">accounts.google.com</a>
+              and use Gmail, Drive or Calendar before ${dueDate}. Nothing else is needed - your account
+              will no longer be considered inactive.</p>
+            </div>
+
+            ${manager ? `<p>Your manager (${manager}) has received a copy of this message.</p>` : ''}
+
+            <p>Questions? Contact ${CONFIG.SUPPORT_CONTACT}.</p>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const plainBody = `
+Hello ${name},
+
+Your Google Workspace account ${user.primaryEmail} has not been used for more than ${inactiveDays} days.
+If it stays unused, it will be suspended on or after ${dueDate}${consequence}.
+
+How to keep your account:
+Sign in at https://accounts.google.com and use Gmail, Drive or Calendar before ${dueDate}.
+Nothing else is needed - your account will no longer be considered inactive.
+${manager ? `\nYour manager (${manager}) has received a copy of this message.\n` : ''}
+Questions? Contact ${CONFIG.SUPPORT_CONTACT}.
+    `;
+
+    return {
+        subject: CONFIG.WARNING_EMAIL_SUBJECT,
+        body: plainBody,
+        htmlBody: htmlBody
+    };
+}
+
+/**
+ * Suspension date as shown in the warning, e.g. "March 5, 2025"
+ */
+function formatWarningDate(date) {
+    return date.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}